@@ -0,0 +1,20 @@
+const express = require("express");
+const { redactConfig } = require("./config");
+
+// Administration endpoints, mounted at /api/admin behind guard
+function createAdminRouter({ config, guard }) {
+  const router = express.Router();
+
+  // Effective configuration, including reloaded settings, with secrets
+  // redacted
+  router.get("/config", guard, (req, res) => {
+    res.json({
+      success: true,
+      data: redactConfig(config),
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
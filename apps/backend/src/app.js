@@ -0,0 +1,454 @@
+const crypto = require("crypto");
+const express = require("express");
+const cors = require("cors");
+const helmet = require("helmet");
+const { requestId } = require("./context");
+const { createMigrator } = require("./migrate");
+const { ValidationError, sendValidationError } = require("./validation");
+const { schedulePurge } = require("./purge");
+const { createAuth } = require("./auth");
+const { createAuditRouter } = require("./audit");
+const { createBulkRouter } = require("./bulk");
+const { createUsersRouter } = require("./users");
+const { createOperationsRouter } = require("./operations");
+const { createAdminRouter } = require("./admin");
+const { createBackupRouter } = require("./backup");
+const {
+  createTenantResolver,
+  createTenantsRouter,
+  createTenantAdminRouter,
+} = require("./tenants");
+const { createSnapshots, createSnapshotStore } = require("./snapshots");
+const { createPubSub } = require("./pubsub");
+const { createCache } = require("./cache");
+const { createRateLimitStore, parseBudget, rateLimit } = require("./ratelimit");
+const { buildSpec, createDocsRouter } = require("./openapi");
+const { createEvents } = require("./events");
+const { createIdempotency } = require("./idempotency");
+const {
+  createHealth,
+  databaseCheck,
+  poolCheck,
+  migrationCheck,
+  breakerCheck,
+  replicaCheck,
+  eventLoopCheck,
+} = require("./health");
+const { createShutdown } = require("./shutdown");
+const { createDataSource, LAST_WRITE_HEADER } = require("./datasource");
+const { createUserRepository } = require("./userRepository");
+const {
+  CircuitOpenError,
+  createCircuitBreaker,
+  guardPool,
+  failFast,
+  sendUnavailable,
+  retryWithBackoff,
+} = require("./resilience");
+const { version } = require("../package.json");
+
+// Build the Express app around an existing database pool, without
+// listening or starting background work. db is the primary pool from
+// createPool(), replicas are { name, pool } read replicas, metrics is the
+// ./metrics module and config comes from loadConfig().
+//
+// Returns the app, start() to migrate the database and begin background
+// jobs, and the shutdown coordinator that tears everything down again.
+function createApp({ db, replicas = [], logger, metrics, config }) {
+  const app = express();
+  app.set("trust proxy", config.trustProxy);
+
+  // Database connection, behind a circuit breaker that fails fast while
+  // the database is unreachable
+  const databaseBreaker = metrics.instrumentBreaker(
+    createCircuitBreaker({
+      name: "database",
+      failureThreshold: config.database.breakerFailureThreshold,
+      resetTimeoutMs: config.database.breakerResetSeconds * 1000,
+    })
+  );
+  databaseBreaker.onStateChange((state, previous) => {
+    const log = state === "open" ? logger.warn : logger.info;
+    log.call(logger, `Database circuit breaker ${previous} -> ${state}`);
+  });
+  const pool = guardPool(metrics.instrumentPool(db), databaseBreaker);
+
+  // Reads of users may be served by replicas; writes always go to the
+  // primary
+  const dataSource = createDataSource({
+    primary: pool,
+    replicas: replicas.map(({ name, pool: replica }) => ({
+      name,
+      pool: metrics.instrumentPool(replica, name),
+    })),
+    logger,
+    stickyWindowMs: config.database.readYourWritesWindowSeconds * 1000,
+    maxLagSeconds: config.database.replicaMaxLagSeconds,
+  });
+
+  // Cache for user reads; Redis shares it, and its invalidations, across
+  // replicas
+  const cache = metrics.instrumentCache(
+    createCache({
+      driver: config.cache.driver,
+      url: config.redisUrl,
+      logger,
+      maxEntries: config.cache.maxEntries,
+    })
+  );
+  const users = createUserRepository({
+    dataSource,
+    cache,
+    logger,
+    listTtlSeconds: config.cache.userListTtlSeconds,
+    userTtlSeconds: config.cache.userTtlSeconds,
+  });
+
+  // Authentication
+  let jwtSecret = config.auth.jwtSecret;
+  if (!jwtSecret) {
+    if (config.env === "production") {
+      throw new Error("JWT_SECRET must be set in production");
+    }
+    // Tokens will not survive a restart or work across replicas
+    jwtSecret = crypto.randomBytes(32).toString("hex");
+    logger.warn("JWT_SECRET not set, using a random secret for this process");
+  }
+
+  const auth = createAuth({
+    pool,
+    logger,
+    secret: jwtSecret,
+    accessTokenTtl: config.auth.accessTokenTtl,
+    refreshTokenDays: config.auth.refreshTokenDays,
+  });
+
+  // Users data is partitioned by tenant; see tenants.js for how a request
+  // picks its tenant
+  const tenants = createTenantResolver({ pool, logger, ...config.tenants });
+
+  // Change events, shared across replicas through pub/sub
+  const pubsub = createPubSub({ driver: config.pubsub.driver, url: config.redisUrl, logger });
+  const events = createEvents({ pubsub, logger });
+  // Each replica's in-process cache learns about other replicas' writes
+  // from their change events
+  if (config.cache.driver === "memory") {
+    events.subscribe(() => users.invalidate());
+  }
+
+  // Token bucket rate limits with separate read and write budgets, per
+  // client address for every API call and per account once authenticated
+  const rateLimitStore = createRateLimitStore({
+    driver: config.rateLimit.store,
+    url: config.redisUrl,
+    logger,
+  });
+  const limitByIp = rateLimit({
+    store: rateLimitStore,
+    logger,
+    scope: "ip",
+    key: (req) => req.ip,
+    read: parseBudget(config.rateLimit.ipRead),
+    write: parseBudget(config.rateLimit.ipWrite),
+  });
+  const limitByAccount = rateLimit({
+    store: rateLimitStore,
+    logger,
+    scope: "account",
+    key: (req) => (req.user ? req.user.id : null),
+    read: parseBudget(config.rateLimit.accountRead),
+    write: parseBudget(config.rateLimit.accountWrite),
+  });
+
+  // Mutations replay their stored response when retried with the same
+  // Idempotency-Key
+  const idempotency = createIdempotency({
+    pool,
+    logger,
+    ttlSeconds: config.idempotency.ttlHours * 3600,
+  });
+  const { idempotent } = idempotency;
+
+  // Scheduled backup snapshots, when a target is configured
+  const snapshots =
+    config.backup.target === "none"
+      ? null
+      : metrics.instrumentSnapshots(
+          createSnapshots({
+            pool,
+            store: createSnapshotStore(config.backup),
+            logger,
+            retentionCount: config.backup.retentionCount,
+          })
+        );
+
+  // Health checks
+  const migrator = createMigrator({ pool, logger });
+  const health = createHealth({ logger, version });
+  health.register("database", databaseCheck(pool), { failureThreshold: 3 });
+  health.register("pool", poolCheck(pool), { critical: false, cacheMs: 0 });
+  health.register("migrations", migrationCheck(migrator), { critical: false, cacheMs: 60000 });
+  health.register("circuitBreaker", breakerCheck(databaseBreaker), {
+    critical: false,
+    cacheMs: 0,
+  });
+  health.register("replicas", replicaCheck(dataSource), { critical: false, cacheMs: 0 });
+  health.register("eventLoop", eventLoopCheck(), { critical: false });
+  // Not ready until startup, including database migrations, has finished
+  let started = false;
+  health.register("startup", () => ({ status: started ? "healthy" : "unhealthy" }), {
+    cacheMs: 0,
+  });
+
+  // Shutdown sequence; SSE streams and background jobs end before
+  // draining since they never finish on their own
+  const shutdown = createShutdown({
+    logger,
+    health,
+    preStopDelayMs: config.shutdown.preStopDelaySeconds * 1000,
+    drainTimeoutMs: config.shutdown.drainTimeoutSeconds * 1000,
+  });
+  const stopJobs = [];
+  shutdown.beforeDrain("background jobs", () => stopJobs.forEach((stop) => stop()));
+  shutdown.beforeDrain("events", () => events.stop());
+  shutdown.afterDrain("pubsub", () => pubsub.close());
+  shutdown.afterDrain("cache", () => cache.close());
+  shutdown.afterDrain("rate limit store", () => rateLimitStore.close());
+  shutdown.afterDrain("database pools", () => Promise.all([pool.end(), dataSource.close()]));
+
+  pool.on("connection", () => {
+    logger.info(`Connected to ${config.database.client} database`);
+  });
+
+  pool.on("error", (err) => {
+    logger.error("Database pool error:", err);
+  });
+
+  // Middleware
+  app.use(shutdown.track());
+  app.use(requestId());
+  app.use(helmet());
+  app.use(
+    cors({
+      origin: config.corsOrigins.length > 0 ? config.corsOrigins : false,
+      exposedHeaders: [
+        "ETag",
+        "Link",
+        "Idempotent-Replayed",
+        "X-Request-Id",
+        LAST_WRITE_HEADER,
+        "RateLimit-Limit",
+        "RateLimit-Remaining",
+        "RateLimit-Reset",
+        "RateLimit-Policy",
+        "Retry-After",
+      ],
+    })
+  );
+  app.use(dataSource.consistency());
+
+  // Request metrics
+  app.use(metrics.httpMetrics());
+
+  // Custom logging middleware
+  app.use((req, res, next) => {
+    const start = Date.now();
+
+    res.on("finish", () => {
+      const duration = (Date.now() - start) / 1000;
+
+      // Log request; finish may fire outside the request's async context
+      logger.info("HTTP Request", {
+        request_id: req.id,
+        method: req.method,
+        url: req.originalUrl,
+        statusCode: res.statusCode,
+        duration: duration,
+        userAgent: req.get("User-Agent"),
+        ip: req.ip,
+      });
+    });
+
+    next();
+  });
+
+  // Routes
+
+  app.use(createOperationsRouter({ health, register: metrics.register, logger }));
+
+  // API Routes
+
+  app.use("/api", limitByIp);
+
+  // OpenAPI document and interactive docs; served even while the database
+  // is down
+  app.use("/api", createDocsRouter({ spec: buildSpec({ version }) }));
+
+  // Reject API calls up front while the database breaker is open
+  app.use("/api", failFast(databaseBreaker));
+
+  // JSON bodies are parsed per route, with limits sized for what each
+  // route accepts
+  const smallJson = express.json({ limit: "4kb" });
+  const userJson = express.json({ limit: config.users.bodyLimit });
+
+  app.use("/api/auth", smallJson, auth.router);
+
+  // Access control: any role may read, editors and admins may write. Guards
+  // run first on their routes, so they also note the route's metrics label.
+  const allow = (role) => [
+    metrics.recordRoute,
+    auth.authenticate,
+    auth.authorize(role),
+    limitByAccount,
+  ];
+  const canRead = allow("viewer");
+  const canWrite = allow("editor");
+  const canAdmin = allow("admin");
+  // Users routes work within the request's tenant
+  const tenantRead = [...canRead, tenants.resolve];
+  const tenantWrite = [...canWrite, tenants.resolve];
+  // Writes with a JSON body; parsed before idempotency fingerprints it
+  const tenantWriteJson = [...tenantWrite, userJson];
+
+  // Bulk import and export; mounted before the user routes so the paths
+  // are not taken for user IDs
+  app.use(
+    "/api/users",
+    createBulkRouter({
+      pool,
+      logger,
+      canRead: tenantRead,
+      canWrite: tenantWrite,
+      idempotent,
+      events,
+      invalidateCache: users.invalidate,
+      maxImportRows: config.import.maxRows,
+      maxImportBytes: config.import.maxBytes,
+    })
+  );
+
+  app.use(
+    "/api/users",
+    createUsersRouter({
+      users,
+      events,
+      logger,
+      canRead: tenantRead,
+      canWrite: tenantWrite,
+      canWriteJson: tenantWriteJson,
+      idempotent,
+    })
+  );
+
+  // Live user change stream (Server-Sent Events)
+  app.use("/api/events", tenantRead, events.router);
+
+  // Audit trail of user mutations
+  app.use("/api/audit", createAuditRouter({ pool, logger, guard: tenantWrite }));
+
+  // Tenants an account may switch between
+  app.use("/api/tenants", createTenantsRouter({ pool, logger, guard: canRead }));
+
+  // Administration
+  app.use("/api/admin", createAdminRouter({ config, guard: canAdmin }));
+  app.use(
+    "/api/admin",
+    createTenantAdminRouter({ pool, logger, guard: canAdmin, resolver: tenants })
+  );
+  app.use(
+    "/api/admin",
+    createBackupRouter({
+      pool,
+      logger,
+      guard: canAdmin,
+      events,
+      // A restore may replace the tenants as well as their users
+      invalidateCache: async () => {
+        tenants.forget();
+        await users.invalidate();
+      },
+      snapshots,
+      maxRestoreBytes: config.backup.restoreMaxBytes,
+    })
+  );
+
+  // Error handling middleware
+  app.use((error, req, res, next) => {
+    if (error instanceof ValidationError) {
+      return sendValidationError(res, error);
+    }
+    if (error.type === "entity.parse.failed") {
+      return sendValidationError(
+        res,
+        new ValidationError([{ field: null, location: "body", message: "must be valid JSON" }])
+      );
+    }
+    if (error.type === "entity.too.large") {
+      return res.status(413).json({
+        success: false,
+        error: `Request body exceeds ${error.limit} bytes`,
+      });
+    }
+    if (error instanceof CircuitOpenError) {
+      return sendUnavailable(res, error.retryAfterMs);
+    }
+
+    logger.error("Unhandled error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  });
+
+  // 404 handler
+  app.use("*", (req, res) => {
+    res.status(404).json({
+      success: false,
+      error: "Route not found",
+    });
+  });
+
+  // Migrate the database, then start the background jobs. Readiness
+  // passes once this resolves.
+  async function start() {
+    // Pi nodes often boot the backend before the database is up
+    await retryWithBackoff(() => migrator.up(), {
+      name: "Database migration",
+      logger,
+      maxAttempts: config.database.startupMaxAttempts,
+    });
+    logger.info("Database initialized successfully");
+    await events.start();
+    await auth
+      .ensureAdminAccount({
+        username: config.auth.adminUsername,
+        password: config.auth.adminPassword,
+      })
+      .catch((error) => logger.error("Admin account setup failed:", error));
+
+    stopJobs.push(
+      schedulePurge({
+        pool,
+        logger,
+        retentionDays: config.users.softDeleteRetentionDays,
+        intervalMs: config.users.purgeIntervalMinutes * 60000,
+      }),
+      idempotency.scheduleCleanup(60 * 60000),
+      dataSource.monitor(config.database.replicaCheckIntervalSeconds * 1000),
+      metrics.scheduleBusinessMetrics({
+        pool,
+        logger,
+        intervalMs: config.metrics.businessIntervalSeconds * 1000,
+      })
+    );
+    if (snapshots) {
+      stopJobs.push(snapshots.schedule(config.backup.intervalMinutes * 60000));
+    }
+    started = true;
+  }
+
+  return { app, start, shutdown };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,142 @@
+const express = require("express");
+const { validate } = require("./validation");
+const { auditQuery } = require("./schemas");
+
+// Plain JSON form of a row, so Dates compare and store as ISO strings
+function snapshot(row) {
+  return row ? JSON.parse(JSON.stringify(row)) : null;
+}
+
+// Field-level diff between two snapshots: { field: { from, to } }
+function diff(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+// Record an audit event on the connection performing the mutation, so it
+// commits or rolls back together with it. Events belong to req.tenant.
+async function recordAuditEvent(
+  connection,
+  req,
+  { action, entityType = "user", entityId, before, after }
+) {
+  const beforeData = snapshot(before);
+  const afterData = snapshot(after);
+  await connection.execute(
+    `INSERT INTO audit_events
+       (tenant_id, entity_type, entity_id, action, actor_id, actor, request_id,
+        before_data, after_data, changes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      req.tenant ? req.tenant.id : null,
+      entityType,
+      entityId,
+      action,
+      req.user ? req.user.id : null,
+      req.user ? req.user.username : null,
+      req.id || null,
+      beforeData && JSON.stringify(beforeData),
+      afterData && JSON.stringify(afterData),
+      JSON.stringify(diff(beforeData, afterData)),
+    ]
+  );
+}
+
+// MariaDB and SQLite return JSON columns as strings
+function parseJson(value) {
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+function formatEvent(row) {
+  return {
+    id: Number(row.id),
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    action: row.action,
+    actorId: row.actor_id,
+    actor: row.actor,
+    requestId: row.request_id,
+    before: parseJson(row.before_data),
+    after: parseJson(row.after_data),
+    changes: parseJson(row.changes),
+    createdAt: row.created_at,
+  };
+}
+
+// GET /api/audit, newest first, within the tenant resolved into req.tenant
+function createAuditRouter({ pool, logger, guard }) {
+  const router = express.Router();
+
+  router.get("/", guard, validate({ query: auditQuery }), async (req, res) => {
+    try {
+      const query = req.valid.query;
+      const filters = ["tenant_id = ?"];
+      const params = [req.tenant.id];
+
+      if (query.entityType) {
+        filters.push("entity_type = ?");
+        params.push(query.entityType);
+      }
+      if (query.entityId) {
+        filters.push("entity_id = ?");
+        params.push(query.entityId);
+      }
+      if (query.actor) {
+        filters.push("actor = ?");
+        params.push(query.actor);
+      }
+      if (query.action) {
+        filters.push("action = ?");
+        params.push(query.action);
+      }
+      if (query.from) {
+        filters.push("created_at >= ?");
+        params.push(query.from);
+      }
+      if (query.to) {
+        filters.push("created_at < ?");
+        params.push(query.to);
+      }
+
+      const where = `WHERE ${filters.join(" AND ")}`;
+      const limit = query.limit || 50;
+      const offset = query.offset || 0;
+
+      const [[{ total }]] = await pool.query(
+        `SELECT COUNT(*) AS total FROM audit_events ${where}`,
+        params
+      );
+      const [rows] = await pool.query(
+        `SELECT * FROM audit_events ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      res.json({
+        success: true,
+        data: rows.map(formatEvent),
+        count: Number(total),
+        total: Number(total),
+        limit,
+        offset,
+      });
+    } catch (error) {
+      logger.error("Get audit events error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch audit events",
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { recordAuditEvent, createAuditRouter, diff };
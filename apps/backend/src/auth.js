@@ -0,0 +1,246 @@
+const crypto = require("crypto");
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const { validate } = require("./validation");
+const { loginBody, refreshBody } = require("./schemas");
+const { UniqueViolationError } = require("./db");
+
+// Roles in increasing order of privilege
+const ROLES = ["viewer", "editor", "admin"];
+const BCRYPT_ROUNDS = 10;
+
+// Compared against when the username is unknown, so failed logins take
+// the same time whether or not the account exists
+const DUMMY_HASH = bcrypt.hashSync("not-a-real-password", BCRYPT_ROUNDS);
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Accounts with their tenant's slug as tenant, null when they are free to
+// choose one
+const ACCOUNT_COLUMNS = "accounts.*, tenants.slug AS tenant";
+const ACCOUNT_TENANT_JOIN = "LEFT JOIN tenants ON tenants.id = accounts.tenant_id";
+
+function publicAccount(account) {
+  return {
+    id: account.id,
+    username: account.username,
+    role: account.role,
+    tenant: account.tenant || null,
+  };
+}
+
+function createAuth({ pool, logger, secret, accessTokenTtl = "15m", refreshTokenDays = 7 }) {
+  // Issue an access token and a new stored refresh token for an account.
+  // Accounts of a tenant carry it as the tenant claim.
+  async function issueTokens(account) {
+    const claims = { username: account.username, role: account.role };
+    if (account.tenant) claims.tenant = account.tenant;
+    const accessToken = jwt.sign(claims, secret, {
+      subject: String(account.id),
+      expiresIn: accessTokenTtl,
+      algorithm: "HS256",
+    });
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    await pool.execute(
+      "INSERT INTO refresh_tokens (account_id, token_hash, expires_at) VALUES (?, ?, ?)",
+      [account.id, hashToken(refreshToken), new Date(Date.now() + refreshTokenDays * 86400000)]
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+      account: publicAccount(account),
+    };
+  }
+
+  // Require a valid Bearer access token; sets req.user
+  function authenticate(req, res, next) {
+    const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+    if (!match) {
+      res.set("WWW-Authenticate", "Bearer");
+      return res.status(401).json({
+        success: false,
+        error: "Authentication required",
+      });
+    }
+
+    try {
+      const claims = jwt.verify(match[1], secret, { algorithms: ["HS256"] });
+      req.user = {
+        id: Number(claims.sub),
+        username: claims.username,
+        role: claims.role,
+        tenant: claims.tenant || null,
+      };
+      next();
+    } catch (error) {
+      res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired token",
+      });
+    }
+  }
+
+  // Require at least the given role; use after authenticate
+  function authorize(role) {
+    const required = ROLES.indexOf(role);
+    return (req, res, next) => {
+      if (!req.user || ROLES.indexOf(req.user.role) < required) {
+        return res.status(403).json({
+          success: false,
+          error: "Insufficient permissions",
+        });
+      }
+      next();
+    };
+  }
+
+  // Create the first admin account when none exist yet
+  async function ensureAdminAccount({ username, password }) {
+    const [rows] = await pool.execute("SELECT COUNT(*) AS count FROM accounts");
+    if (Number(rows[0].count) > 0) return;
+    if (!username || !password) {
+      logger.warn("No accounts exist; set ADMIN_USERNAME and ADMIN_PASSWORD to create an admin");
+      return;
+    }
+
+    const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    try {
+      await pool.execute(
+        "INSERT INTO accounts (username, password_hash, role) VALUES (?, ?, 'admin')",
+        [username, hash]
+      );
+    } catch (error) {
+      // Another replica created it first
+      if (error instanceof UniqueViolationError) return;
+      throw error;
+    }
+    logger.info(`Created admin account "${username}"`);
+  }
+
+  const router = express.Router();
+
+  // Exchange username and password for a token pair
+  router.post("/login", validate({ body: loginBody }), async (req, res) => {
+    try {
+      const { username, password } = req.valid.body;
+      const [rows] = await pool.execute(
+        `SELECT ${ACCOUNT_COLUMNS} FROM accounts ${ACCOUNT_TENANT_JOIN} WHERE accounts.username = ?`,
+        [username]
+      );
+      const account = rows[0];
+      const valid = await bcrypt.compare(
+        password,
+        account ? account.password_hash : DUMMY_HASH
+      );
+
+      if (!account || !valid) {
+        return res.status(401).json({
+          success: false,
+          error: "Invalid username or password",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await issueTokens(account),
+      });
+    } catch (error) {
+      logger.error("Login error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to log in",
+      });
+    }
+  });
+
+  // Rotate a refresh token into a new token pair
+  router.post("/refresh", validate({ body: refreshBody }), async (req, res) => {
+    try {
+      const tokenHash = hashToken(req.valid.body.refreshToken);
+      const [rows] = await pool.execute(
+        `SELECT refresh_tokens.id AS token_id, refresh_tokens.revoked_at,
+                refresh_tokens.expires_at < ? AS expired, ${ACCOUNT_COLUMNS}
+         FROM refresh_tokens JOIN accounts ON accounts.id = refresh_tokens.account_id
+         ${ACCOUNT_TENANT_JOIN}
+         WHERE refresh_tokens.token_hash = ?`,
+        [new Date(), tokenHash]
+      );
+      const token = rows[0];
+
+      if (token && token.revoked_at) {
+        // A rotated token was presented again: assume it leaked and revoke
+        // every session of the account
+        await pool.execute(
+          "UPDATE refresh_tokens SET revoked_at = ? WHERE account_id = ? AND revoked_at IS NULL",
+          [new Date(), token.id]
+        );
+        logger.warn(`Refresh token reuse detected for account "${token.username}"`);
+      }
+
+      let rotated = false;
+      if (token && !token.revoked_at && !token.expired) {
+        const [result] = await pool.execute(
+          "UPDATE refresh_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL",
+          [new Date(), token.token_id]
+        );
+        rotated = result.affectedRows === 1;
+      }
+
+      if (!rotated) {
+        return res.status(401).json({
+          success: false,
+          error: "Invalid or expired refresh token",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await issueTokens(token),
+      });
+    } catch (error) {
+      logger.error("Token refresh error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to refresh token",
+      });
+    }
+  });
+
+  // Revoke a refresh token
+  router.post("/logout", validate({ body: refreshBody }), async (req, res) => {
+    try {
+      await pool.execute(
+        "UPDATE refresh_tokens SET revoked_at = ? WHERE token_hash = ? AND revoked_at IS NULL",
+        [new Date(), hashToken(req.valid.body.refreshToken)]
+      );
+      res.json({
+        success: true,
+        message: "Logged out successfully",
+      });
+    } catch (error) {
+      logger.error("Logout error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to log out",
+      });
+    }
+  });
+
+  // Current account
+  router.get("/me", authenticate, (req, res) => {
+    res.json({
+      success: true,
+      data: req.user,
+    });
+  });
+
+  return { router, authenticate, authorize, ensureAdminAccount };
+}
+
+module.exports = { createAuth, ROLES };
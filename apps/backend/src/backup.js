@@ -0,0 +1,468 @@
+const crypto = require("crypto");
+const readline = require("readline");
+const zlib = require("zlib");
+const { Readable, pipeline, promises: streams } = require("stream");
+const express = require("express");
+const { validate } = require("./validation");
+const { backupQuery, restoreQuery } = require("./schemas");
+const { limitBytes, tooLarge } = require("./bulk");
+const { UniqueViolationError, ForeignKeyViolationError } = require("./db");
+
+// Application tables in restore order, with the columns backed up. Tokens
+// and idempotency keys are left out: they are short-lived and go with
+// their accounts on restore. Update these along with the migrations.
+const TABLES = {
+  tenants: ["id", "slug", "name", "created_at", "updated_at"],
+  users: [
+    "id",
+    "tenant_id",
+    "name",
+    "email",
+    "version",
+    "created_at",
+    "updated_at",
+    "deleted_at",
+  ],
+  accounts: ["id", "username", "password_hash", "role", "tenant_id", "created_at", "updated_at"],
+  audit_events: [
+    "id",
+    "tenant_id",
+    "entity_type",
+    "entity_id",
+    "action",
+    "actor_id",
+    "actor",
+    "request_id",
+    "before_data",
+    "after_data",
+    "changes",
+    "created_at",
+  ],
+};
+
+const FORMAT = "sample-app-backup";
+const FORMAT_VERSION = 1;
+
+function invalid(message, status = 422) {
+  return Object.assign(new Error(message), { status });
+}
+
+async function schemaVersion(connection) {
+  const [rows] = await connection.query("SELECT MAX(version) AS version FROM schema_migrations");
+  return rows[0].version;
+}
+
+// Backup records: a header, every row as { table, row }, then a trailer
+// with the row counts. Read inside a transaction so the tables are
+// consistent with each other.
+async function* backupRecords(connection, client) {
+  await connection.beginTransaction();
+  try {
+    // PostgreSQL takes a new snapshot per statement by default; InnoDB
+    // and SQLite keep one for the whole transaction
+    if (client === "postgres") {
+      await connection.query("SET TRANSACTION ISOLATION LEVEL REPEATABLE READ, READ ONLY");
+    }
+    yield {
+      type: "header",
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      schemaVersion: await schemaVersion(connection),
+      client,
+      createdAt: new Date().toISOString(),
+      tables: Object.keys(TABLES),
+    };
+
+    const rows = {};
+    for (const [table, columns] of Object.entries(TABLES)) {
+      rows[table] = 0;
+      for await (const row of connection.stream(
+        `SELECT ${columns.join(", ")} FROM ${table} ORDER BY id`
+      )) {
+        rows[table] += 1;
+        yield { table, row };
+      }
+    }
+    yield { type: "trailer", rows };
+  } finally {
+    await connection.rollback().catch(() => {});
+  }
+}
+
+// NDJSON lines of a backup. The trailer also carries the SHA-256 of every
+// line before it, which restore verifies.
+async function* ndjsonLines(records) {
+  const hash = crypto.createHash("sha256");
+  for await (const record of records) {
+    if (record.type === "trailer") {
+      yield `${JSON.stringify({ ...record, sha256: hash.digest("hex") })}\n`;
+    } else {
+      const line = `${JSON.stringify(record)}\n`;
+      hash.update(line);
+      yield line;
+    }
+  }
+}
+
+function sqlLiteral(value, client) {
+  if (value === null || value === undefined) return "NULL";
+  if (typeof value === "number") return String(value);
+  let text;
+  if (value instanceof Date) {
+    // MariaDB takes no zone in a literal; the dump sets the session to UTC
+    text = value.toISOString();
+    if (client === "mariadb") text = text.slice(0, 23).replace("T", " ");
+  } else {
+    text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+  text = text.replace(/'/g, "''");
+  // MariaDB also treats backslashes as escapes
+  if (client === "mariadb") text = text.replace(/\\/g, "\\\\");
+  return `'${text}'`;
+}
+
+// SQL statements replacing the application tables, in the dialect of the
+// database the backup was taken from. Meant for that database's own
+// client (mariadb, psql, sqlite3); restore through the API takes NDJSON.
+async function* sqlLines(records, client) {
+  for await (const record of records) {
+    if (record.type === "header") {
+      yield `-- ${FORMAT} ${record.version}: schema version ${record.schemaVersion}, ` +
+        `${record.client}, ${record.createdAt}\n`;
+      if (client === "mariadb") yield "SET time_zone = '+00:00';\n";
+      yield "BEGIN;\n";
+      for (const table of Object.keys(TABLES).reverse()) yield `DELETE FROM ${table};\n`;
+    } else if (record.type === "trailer") {
+      if (client === "postgres") {
+        for (const table of Object.keys(TABLES)) {
+          yield `SELECT setval(pg_get_serial_sequence('${table}', 'id'), ` +
+            `COALESCE((SELECT MAX(id) FROM ${table}), 0) + 1, false);\n`;
+        }
+      }
+      yield "COMMIT;\n";
+      const counts = Object.entries(record.rows).map(([table, n]) => `${table}=${n}`);
+      yield `-- rows: ${counts.join(", ")}\n`;
+    } else {
+      const columns = Object.keys(record.row);
+      const values = columns.map((column) => sqlLiteral(record.row[column], client));
+      yield `INSERT INTO ${record.table} (${columns.join(", ")}) VALUES (${values.join(", ")});\n`;
+    }
+  }
+}
+
+// Backup of the application tables as lines of text, in "ndjson" or "sql"
+// format, read from connection. The caller owns the connection.
+function backupLines(connection, { client, format = "ndjson" }) {
+  const records = backupRecords(connection, client);
+  return format === "sql" ? sqlLines(records, client) : ndjsonLines(records);
+}
+
+// Gzipped backup as a readable stream, for responses and snapshot files.
+// Once the stream has ended or failed, await close() before releasing the
+// connection: a backup cut short may still be rolling back on it.
+function backupStream(connection, options) {
+  const lines = backupLines(connection, options);
+  const stream = zlib.createGzip();
+  pipeline(Readable.from(lines), stream, () => {});
+  // Waits for the generator to finish, or stops it at its next yield
+  return { stream, close: () => lines.return() };
+}
+
+// Values as the drivers take them: timestamps as Dates, JSON as text
+function toColumn(column, value) {
+  if (typeof value === "string" && column.endsWith("_at")) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date;
+  }
+  if (value !== null && typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+// Replace the application tables with the NDJSON backup in lines, an
+// async iterable of strings, inside the caller's transaction. Throws an
+// error with status 422 when the backup is malformed, fails its checksum
+// or its row counts, and 409 when it is for another schema version;
+// nothing is committed then. Returns the header and restored row counts.
+async function restoreBackup(connection, lines, { client, batchSize = 500 }) {
+  const hash = crypto.createHash("sha256");
+  const rows = Object.fromEntries(Object.keys(TABLES).map((table) => [table, 0]));
+  let header = null;
+  let trailer = null;
+  let batch = { table: null, columns: null, values: [] };
+
+  async function flush() {
+    if (batch.values.length === 0) return;
+    await connection.query(`INSERT INTO ${batch.table} (${batch.columns.join(", ")}) VALUES ?`, [
+      batch.values,
+    ]);
+    batch = { table: null, columns: null, values: [] };
+  }
+
+  let number = 0;
+  for await (const line of lines) {
+    number += 1;
+    if (trailer) throw invalid(`Line ${number}: data after the backup trailer`);
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw invalid(`Line ${number}: not valid JSON`);
+    }
+    if (record === null || typeof record !== "object") {
+      throw invalid(`Line ${number}: not a backup record`);
+    }
+
+    if (!header) {
+      if (record.type !== "header" || record.format !== FORMAT) {
+        throw invalid("Not a backup: the first line must be its header");
+      }
+      if (record.version !== FORMAT_VERSION) {
+        throw invalid(`Unsupported backup format version ${record.version}`);
+      }
+      const current = await schemaVersion(connection);
+      if (record.schemaVersion !== current) {
+        throw invalid(
+          `Backup is for schema version ${record.schemaVersion}, the database is at ${current}`,
+          409
+        );
+      }
+      header = record;
+      hash.update(`${line}\n`);
+      for (const table of Object.keys(TABLES).reverse()) {
+        await connection.query(`DELETE FROM ${table}`);
+      }
+      continue;
+    }
+
+    if (record.type === "trailer") {
+      trailer = record;
+      continue;
+    }
+    hash.update(`${line}\n`);
+
+    const { table, row } = record;
+    if (!Object.hasOwn(TABLES, table) || !row || typeof row !== "object") {
+      throw invalid(`Line ${number}: unknown table ${JSON.stringify(table)}`);
+    }
+    const columns = Object.keys(row);
+    const unknown = columns.find((column) => !TABLES[table].includes(column));
+    if (unknown) throw invalid(`Line ${number}: unknown column ${table}.${unknown}`);
+
+    if (batch.table !== table || batch.columns.join() !== columns.join()) {
+      await flush();
+      batch = { table, columns, values: [] };
+    }
+    batch.values.push(columns.map((column) => toColumn(column, row[column])));
+    rows[table] += 1;
+    if (batch.values.length >= batchSize) await flush();
+  }
+  await flush();
+
+  if (!header) throw invalid("Backup is empty");
+  if (!trailer) throw invalid("Backup is truncated: it has no trailer");
+  if (trailer.sha256 !== hash.digest("hex")) {
+    throw invalid("Checksum mismatch: the backup is corrupt or was modified");
+  }
+  for (const table of Object.keys(TABLES)) {
+    if ((trailer.rows || {})[table] !== rows[table]) {
+      throw invalid(`Row count mismatch for ${table}: expected ${(trailer.rows || {})[table]}`);
+    }
+  }
+
+  // Inserting explicit ids does not advance PostgreSQL sequences
+  if (client === "postgres") {
+    for (const table of Object.keys(TABLES)) {
+      await connection.query(
+        `SELECT setval(pg_get_serial_sequence('${table}', 'id'), ` +
+          `COALESCE((SELECT MAX(id) FROM ${table}), 0) + 1, false)`
+      );
+    }
+  }
+
+  return { schemaVersion: header.schemaVersion, createdAt: header.createdAt, rows };
+}
+
+// Backup download, restore upload and snapshot storage, mounted at
+// /api/admin behind guard. snapshots is the scheduler from
+// createSnapshots(), or null when no snapshot target is configured.
+function createBackupRouter({
+  pool,
+  logger,
+  guard,
+  events,
+  invalidateCache = async () => {},
+  snapshots = null,
+  maxRestoreBytes = 100 * 1024 * 1024,
+}) {
+  const router = express.Router();
+
+  // Stream a gzipped backup
+  router.get("/backup", guard, validate({ query: backupQuery }), async (req, res) => {
+    const format = req.valid.query.format || "ndjson";
+
+    let connection;
+    try {
+      connection = await pool.getConnection();
+    } catch (error) {
+      logger.error("Backup error:", error);
+      return res.status(500).json({
+        success: false,
+        error: "Failed to create backup",
+      });
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    res.set("Content-Type", "application/gzip");
+    res.set("Content-Disposition", `attachment; filename="backup-${stamp}.${format}.gz"`);
+
+    const backup = backupStream(connection, { client: pool.client, format });
+    try {
+      await streams.pipeline(backup.stream, res);
+    } catch (error) {
+      logger.error("Backup error:", error);
+    } finally {
+      await backup.close();
+      connection.release();
+    }
+  });
+
+  // Replace the application tables with an uploaded NDJSON backup, gzipped
+  // or not. A dry run restores everything, then rolls it back.
+  router.post("/restore", guard, validate({ query: restoreQuery }), async (req, res) => {
+    if (Number(req.get("Content-Length")) > maxRestoreBytes) {
+      return res.status(413).json({
+        success: false,
+        error: tooLarge(maxRestoreBytes, "Restore").message,
+      });
+    }
+
+    let body;
+    if (req.is(["application/gzip", "application/x-gzip"])) {
+      body = zlib.createGunzip();
+      // Unlike pipe(), pipeline() passes on the body exceeding its limit
+      pipeline(limitBytes(req, maxRestoreBytes, "Restore"), body, () => {});
+    } else if (req.is(["application/x-ndjson", "application/ndjson"])) {
+      body = limitBytes(req, maxRestoreBytes, "Restore");
+    } else {
+      return res.status(415).json({
+        success: false,
+        error: "Content-Type must be application/gzip or application/x-ndjson",
+      });
+    }
+    const lines = readline.createInterface({ input: body, crlfDelay: Infinity });
+    const dryRun = req.valid.query.dryRun === "true";
+
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const result = await restoreBackup(connection, lines, { client: pool.client });
+
+      if (dryRun) {
+        await connection.rollback();
+      } else {
+        await connection.commit();
+        logger.warn(
+          `Restored backup from ${result.createdAt} by ${req.user.username}: ` +
+            JSON.stringify(result.rows)
+        );
+        await invalidateCache();
+        events.publish("users.restored", { rows: result.rows });
+      }
+
+      res.json({
+        success: true,
+        data: { dryRun, ...result },
+      });
+    } catch (error) {
+      if (connection) await connection.rollback().catch(() => {});
+      req.unpipe();
+      req.resume();
+
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      if (error.code === "Z_DATA_ERROR" || error.code === "Z_BUF_ERROR") {
+        return res.status(422).json({
+          success: false,
+          error: `Malformed gzip: ${error.message}`,
+        });
+      }
+      if (error instanceof UniqueViolationError) {
+        return res.status(422).json({
+          success: false,
+          error: `Backup contains duplicate rows: ${error.message}`,
+        });
+      }
+      if (error instanceof ForeignKeyViolationError) {
+        return res.status(422).json({
+          success: false,
+          error: `Backup contains rows referencing missing ones: ${error.message}`,
+        });
+      }
+      logger.error("Restore error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to restore backup",
+      });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  // Stored snapshots, newest first
+  router.get("/snapshots", guard, async (req, res) => {
+    if (!snapshots) return notConfigured(res);
+    try {
+      res.json({
+        success: true,
+        data: await snapshots.list(),
+      });
+    } catch (error) {
+      logger.error("List snapshots error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to list snapshots",
+      });
+    }
+  });
+
+  // Take a snapshot now, such as before an upgrade
+  router.post("/snapshots", guard, async (req, res) => {
+    if (!snapshots) return notConfigured(res);
+    try {
+      res.status(201).json({
+        success: true,
+        data: await snapshots.take(),
+      });
+    } catch (error) {
+      logger.error("Snapshot error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to take snapshot",
+      });
+    }
+  });
+
+  return router;
+}
+
+function notConfigured(res) {
+  return res.status(404).json({
+    success: false,
+    error: "Snapshots are not configured; set BACKUP_TARGET",
+  });
+}
+
+module.exports = {
+  TABLES,
+  backupLines,
+  backupStream,
+  restoreBackup,
+  createBackupRouter,
+};
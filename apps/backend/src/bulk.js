@@ -0,0 +1,371 @@
+const crypto = require("crypto");
+const readline = require("readline");
+const { Readable, Transform, pipeline } = require("stream");
+const express = require("express");
+const { parse } = require("csv-parse");
+const { stringify } = require("csv-stringify");
+const { validate, validateObject } = require("./validation");
+const { userBody, importQuery, exportQuery } = require("./schemas");
+const { recordAuditEvent } = require("./audit");
+const { streamedBody } = require("./idempotency");
+
+const EXPORT_COLUMNS = ["id", "name", "email", "created_at", "updated_at"];
+
+// Parsed import records, one object per row. Rows that cannot be parsed
+// yield { parseError } instead of failing the whole import.
+async function* ndjsonRecords(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      yield { parseError: "is not valid JSON" };
+    }
+  }
+}
+
+function csvRecords(stream) {
+  const parser = parse({
+    bom: true,
+    columns: (header) => header.map((column) => column.trim().toLowerCase()),
+    skip_empty_lines: true,
+    trim: true,
+  });
+  // Unlike pipe(), pipeline() passes source errors, such as the body
+  // exceeding its limit, on to whoever reads the parser
+  pipeline(stream, parser, () => {});
+  return parser;
+}
+
+function tooLarge(maxBytes, label = "Import") {
+  return Object.assign(new Error(`${label} is limited to ${maxBytes} bytes`), { status: 413 });
+}
+
+// The request body, failing once it exceeds maxBytes. Chunked bodies
+// declare no length, so the bytes are counted as they are read, and fed
+// to hash when one is given.
+function limitBytes(req, maxBytes, label = "Import", hash = null) {
+  return Readable.from(
+    (async function* () {
+      let received = 0;
+      for await (const chunk of req.iterator({ destroyOnReturn: false })) {
+        received += chunk.length;
+        if (received > maxBytes) throw tooLarge(maxBytes, label);
+        if (hash) hash.update(chunk);
+        yield chunk;
+      }
+    })(),
+    { objectMode: false }
+  );
+}
+
+// Import rows into the users of req.tenant inside the given transaction,
+// flushing every batchSize rows. Returns per-row results ordered by row
+// number.
+async function importUsers(
+  connection,
+  req,
+  records,
+  { onConflict, batchSize, maxRows }
+) {
+  const results = [];
+  // Rows by lowercased email. Live users win over deleted ones sharing
+  // the address, as case-sensitive collations let old rows do.
+  const byEmail = (rows) => {
+    const users = new Map();
+    for (const row of rows) {
+      const key = row.email.toLowerCase();
+      if (!users.has(key) || !row.deleted_at) users.set(key, row);
+    }
+    return users;
+  };
+
+  async function flush(batch) {
+    if (batch.length === 0) return;
+
+    // Emails arrive lowercased by userBody; LOWER() also matches rows
+    // stored before that, whatever the column's collation
+    const [existingRows] = await connection.query(
+      "SELECT * FROM users WHERE tenant_id = ? AND LOWER(email) IN (?) FOR UPDATE",
+      [req.tenant.id, batch.map((item) => item.email)]
+    );
+    const existing = byEmail(existingRows);
+    const inserts = new Map();
+
+    for (const item of batch) {
+      const key = item.email.toLowerCase();
+      const current = existing.get(key);
+      const pending = inserts.get(key);
+
+      if (pending) {
+        // Same email earlier in this batch: last row wins when upserting
+        if (onConflict === "upsert") {
+          pending.name = item.name;
+          results.push({ row: item.row, status: "merged", mergedInto: pending.row });
+        } else {
+          results.push({
+            row: item.row,
+            status: "skipped",
+            reason: "duplicate email in import",
+          });
+        }
+      } else if (!current) {
+        inserts.set(key, item);
+      } else if (current.deleted_at) {
+        // Imports never revive or rename users in the trash; restoring
+        // them is an explicit call
+        results.push({
+          row: item.row,
+          status: "skipped",
+          id: current.id,
+          reason: "email belongs to a deleted user",
+        });
+      } else if (onConflict !== "upsert") {
+        results.push({
+          row: item.row,
+          status: "skipped",
+          id: current.id,
+          reason: "email exists",
+        });
+      } else if (current.name === item.name) {
+        results.push({ row: item.row, status: "unchanged", id: current.id });
+      } else {
+        await connection.execute(
+          "UPDATE users SET name = ?, version = version + 1 WHERE id = ?",
+          [item.name, current.id]
+        );
+        const [rows] = await connection.execute("SELECT * FROM users WHERE id = ?", [
+          current.id,
+        ]);
+        await recordAuditEvent(connection, req, {
+          action: "update",
+          entityId: current.id,
+          before: current,
+          after: rows[0],
+        });
+        results.push({ row: item.row, status: "updated", id: current.id });
+      }
+    }
+
+    if (inserts.size === 0) return;
+    const items = [...inserts.values()];
+    await connection.query("INSERT INTO users (tenant_id, name, email) VALUES ?", [
+      items.map((item) => [req.tenant.id, item.name, item.email]),
+    ]);
+    const [createdRows] = await connection.query(
+      "SELECT * FROM users WHERE tenant_id = ? AND LOWER(email) IN (?)",
+      [req.tenant.id, items.map((item) => item.email)]
+    );
+    const created = byEmail(createdRows);
+    for (const item of items) {
+      const user = created.get(item.email.toLowerCase());
+      await recordAuditEvent(connection, req, {
+        action: "create",
+        entityId: user.id,
+        after: user,
+      });
+      results.push({ row: item.row, status: "created", id: user.id });
+    }
+  }
+
+  let batch = [];
+  let row = 0;
+  for await (const record of records) {
+    row += 1;
+    if (row > maxRows) {
+      throw Object.assign(new Error(`Import is limited to ${maxRows} rows`), { status: 413 });
+    }
+
+    if (record.parseError) {
+      results.push({
+        row,
+        status: "invalid",
+        errors: [{ field: null, location: "body", message: record.parseError }],
+      });
+      continue;
+    }
+
+    // Ignore extra columns such as id or timestamps from an export
+    const { value, errors } = validateObject(
+      { name: record.name, email: record.email },
+      userBody,
+      "body"
+    );
+    if (errors.length > 0) {
+      results.push({ row, status: "invalid", errors });
+      continue;
+    }
+
+    batch.push({ row, ...value });
+    if (batch.length >= batchSize) {
+      await flush(batch);
+      batch = [];
+    }
+  }
+  await flush(batch);
+
+  return results.sort((a, b) => a.row - b.row);
+}
+
+function createBulkRouter({
+  pool,
+  logger,
+  canRead,
+  canWrite,
+  idempotent,
+  events,
+  invalidateCache = async () => {},
+  maxImportRows = 10000,
+  maxImportBytes = 10 * 1024 * 1024,
+}) {
+  const router = express.Router();
+
+  // Stream all users of the tenant as CSV or NDJSON
+  router.get("/export", canRead, validate({ query: exportQuery }), async (req, res) => {
+    const format = req.valid.query.format || "csv";
+    const includeDeleted = req.valid.query.includeDeleted === "true";
+    const columns = includeDeleted ? [...EXPORT_COLUMNS, "deleted_at"] : EXPORT_COLUMNS;
+
+    const sql = `SELECT ${columns.join(", ")} FROM users WHERE tenant_id = ?${
+      includeDeleted ? "" : " AND deleted_at IS NULL"
+    } ORDER BY id`;
+    let connection;
+    let rows;
+    try {
+      connection = await pool.getConnection();
+      // Drivers can throw here already, e.g. when SQLite fails to prepare
+      rows = connection.stream(sql, [req.tenant.id]);
+    } catch (error) {
+      if (connection) connection.release();
+      logger.error("Export users error:", error);
+      return res.status(500).json({
+        success: false,
+        error: "Failed to export users",
+      });
+    }
+    const formatter =
+      format === "csv"
+        ? stringify({
+            header: true,
+            columns,
+            cast: { date: (value) => value.toISOString() },
+          })
+        : new Transform({
+            writableObjectMode: true,
+            transform(row, encoding, callback) {
+              callback(null, `${JSON.stringify(row)}\n`);
+            },
+          });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set(
+      "Content-Type",
+      format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson"
+    );
+    res.set("Content-Disposition", `attachment; filename="users-${date}.${format}"`);
+
+    pipeline(rows, formatter, res, (error) => {
+      connection.release();
+      if (error) {
+        logger.error("Export users error:", error);
+      }
+    });
+  });
+
+  // Import users from a CSV or NDJSON request body
+  const validateImport = validate({ query: importQuery });
+  router.post("/import", canWrite, streamedBody, idempotent, validateImport, async (req, res) => {
+    if (Number(req.get("Content-Length")) > maxImportBytes) {
+      return res.status(413).json({
+        success: false,
+        error: tooLarge(maxImportBytes).message,
+      });
+    }
+
+    // The body's digest identifies it to idempotent once fully read
+    const hash = crypto.createHash("sha256");
+    let records;
+    if (req.is("text/csv")) {
+      records = csvRecords(limitBytes(req, maxImportBytes, "Import", hash));
+    } else if (req.is(["application/x-ndjson", "application/ndjson"])) {
+      records = ndjsonRecords(limitBytes(req, maxImportBytes, "Import", hash));
+    } else {
+      return res.status(415).json({
+        success: false,
+        error: "Content-Type must be text/csv or application/x-ndjson",
+      });
+    }
+
+    const dryRun = req.valid.query.dryRun === "true";
+    const options = {
+      onConflict: req.valid.query.onConflict || "skip",
+      batchSize: req.valid.query.batchSize || 100,
+      maxRows: maxImportRows,
+    };
+
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const results = await importUsers(connection, req, records, options);
+      req.bodyDigest = hash.digest("hex");
+
+      // A dry run performs every write so conflicts are detected, then
+      // discards them
+      if (dryRun) {
+        await connection.rollback();
+      } else {
+        await connection.commit();
+      }
+
+      const summary = {};
+      for (const result of results) {
+        summary[result.status] = (summary[result.status] || 0) + 1;
+      }
+      if (!dryRun && (summary.created || summary.updated)) {
+        await invalidateCache();
+        events.publish("users.imported", summary, req.tenant.id);
+      }
+      res.json({
+        success: true,
+        data: {
+          dryRun,
+          onConflict: options.onConflict,
+          batchSize: options.batchSize,
+          summary,
+          results,
+        },
+      });
+    } catch (error) {
+      if (connection) await connection.rollback().catch(() => {});
+      req.unpipe();
+      req.resume();
+
+      if (error.status === 413) {
+        return res.status(413).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      if (error.code && error.code.startsWith("CSV_")) {
+        return res.status(400).json({
+          success: false,
+          error: `Malformed CSV: ${error.message}`,
+        });
+      }
+      logger.error("Import users error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to import users",
+      });
+    } finally {
+      if (connection) connection.release();
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBulkRouter, importUsers, limitBytes, tooLarge };
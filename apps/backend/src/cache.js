@@ -0,0 +1,95 @@
+// Cache adapters share one interface:
+//   get(key) -> Promise<value | undefined>
+//   set(key, value, ttlSeconds) -> Promise
+//   del(key) -> Promise
+//   generation(key) -> Promise<number>, 0 when never bumped
+//   bump(key) -> Promise<number>
+//   close() -> Promise
+// Values are plain JSON-serializable values. Generations are counters
+// that never expire; embedding one in keys invalidates them all at once.
+
+// In-process LRU, for one replica and for tests
+function createMemoryCache({ maxEntries = 1000 } = {}) {
+  // Map iteration order doubles as recency order, oldest first
+  const entries = new Map();
+  const generations = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return undefined;
+      entries.set(key, entry);
+      // Round-trip through JSON so callers get the same shape as from Redis
+      return JSON.parse(entry.payload);
+    },
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, {
+        payload: JSON.stringify(value),
+        expiresAt: Date.now() + ttlSeconds * 1000,
+      });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async del(key) {
+      entries.delete(key);
+    },
+    async generation(key) {
+      return generations.get(key) || 0;
+    },
+    async bump(key) {
+      const value = (generations.get(key) || 0) + 1;
+      generations.set(key, value);
+      return value;
+    },
+    async close() {
+      entries.clear();
+    },
+  };
+}
+
+// Redis adapter, shared by every replica so invalidation is global.
+// Commands fail fast while Redis is unreachable instead of queueing, so
+// callers can fall back to the database.
+function createRedisCache({ url, logger, prefix = "cache:" }) {
+  const Redis = require("ioredis");
+  const client = new Redis(url, {
+    keyPrefix: prefix,
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+  });
+  client.on("error", (error) => logger.error("Redis cache error:", error));
+
+  return {
+    async get(key) {
+      const payload = await client.get(key);
+      return payload === null ? undefined : JSON.parse(payload);
+    },
+    async set(key, value, ttlSeconds) {
+      await client.set(key, JSON.stringify(value), "EX", ttlSeconds);
+    },
+    async del(key) {
+      await client.del(key);
+    },
+    async generation(key) {
+      return Number(await client.get(key)) || 0;
+    },
+    async bump(key) {
+      return client.incr(key);
+    },
+    async close() {
+      await client.quit();
+    },
+  };
+}
+
+function createCache({ driver = "memory", url, logger, maxEntries }) {
+  if (driver === "memory") return createMemoryCache({ maxEntries });
+  if (driver === "redis") return createRedisCache({ url, logger });
+  throw new Error(`Unknown cache driver "${driver}", expected memory or redis`);
+}
+
+module.exports = { createCache, createMemoryCache, createRedisCache };
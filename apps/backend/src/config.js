@@ -0,0 +1,328 @@
+const fs = require("fs");
+const { parseBudget } = require("./ratelimit");
+const { SLUG_PATTERN } = require("./validation");
+
+// Application settings read from environment variables, grouped by the
+// part of the app they configure. Everything else takes this object
+// rather than reading process.env itself.
+//
+// Any variable may instead name a file holding its value with a _FILE
+// suffix, such as DATABASE_PASSWORD_FILE for a mounted Kubernetes secret.
+// The file wins when both are set.
+
+const LOG_LEVELS = ["error", "warn", "info", "http", "verbose", "debug", "silly"];
+
+// Credentials shipped in the chart's values.yaml and used as local
+// development defaults; production refuses to start with them
+const DEFAULT_CREDENTIALS = {
+  DATABASE_PASSWORD: ["apppass123"],
+  JWT_SECRET: ["change-me-to-a-long-random-string"],
+  ADMIN_PASSWORD: ["admin123"],
+};
+
+// Settings applied to a running process by watchConfig
+const RELOADABLE = [["logging", "level"]];
+
+// Keys whose values the admin config endpoint never shows. Token
+// lifetimes such as accessTokenTtl stay visible.
+const SECRET_KEY = /password|secret|accessKey|token$/i;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// Read and validate the configuration. Every problem is collected and
+// reported at once in a ConfigError.
+function loadConfig(env = process.env) {
+  const problems = [];
+
+  // Raw value, from NAME_FILE or NAME; empty counts as unset
+  function raw(name) {
+    const file = env[`${name}_FILE`];
+    if (file) {
+      try {
+        return fs.readFileSync(file, "utf8").trim() || undefined;
+      } catch (error) {
+        problems.push(`${name}_FILE: cannot read ${file} (${error.code || error.message})`);
+        return undefined;
+      }
+    }
+    return env[name] || undefined;
+  }
+
+  const string = (name, fallback) => {
+    const value = raw(name);
+    return value === undefined ? fallback : value;
+  };
+  const int = (name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => {
+    const value = raw(name);
+    if (value === undefined) return fallback;
+    if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+      problems.push(`${name} must be an integer from ${min} to ${max}, got "${value}"`);
+      return fallback;
+    }
+    return Number(value);
+  };
+  const oneOf = (name, values, fallback) => {
+    const value = string(name, fallback);
+    if (!values.includes(value)) {
+      problems.push(`${name} must be one of ${values.join(", ")}, got "${value}"`);
+      return fallback;
+    }
+    return value;
+  };
+  const list = (name) =>
+    string(name, "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+  const budget = (name, fallback) => {
+    const value = string(name, fallback);
+    try {
+      parseBudget(value);
+      return value;
+    } catch (error) {
+      problems.push(`${name}: ${error.message}`);
+      return fallback;
+    }
+  };
+  const boolean = (name, fallback) => {
+    const value = string(name, String(fallback));
+    if (!["true", "false"].includes(value)) {
+      problems.push(`${name} must be true or false, got "${value}"`);
+      return fallback;
+    }
+    return value === "true";
+  };
+  const size = (name, fallback) => {
+    const value = string(name, fallback);
+    if (!/^\d+(b|kb|mb)?$/i.test(value)) {
+      problems.push(`${name} must be a size such as 16kb, got "${value}"`);
+      return fallback;
+    }
+    return value;
+  };
+
+  const nodeEnv = string("NODE_ENV", "development");
+  const production = nodeEnv === "production";
+  const client = oneOf("DATABASE_CLIENT", ["mariadb", "postgres", "sqlite"], "mariadb");
+
+  const config = {
+    env: nodeEnv,
+    port: int("PORT", 3001, { min: 1, max: 65535 }),
+    // Take the client address from X-Forwarded-For set by the ingress and
+    // other in-cluster proxies, so rate limits apply per client
+    trustProxy: string("TRUST_PROXY", "loopback, linklocal, uniquelocal"),
+    // Only these origins may call the API cross-origin
+    corsOrigins: list("CORS_ORIGINS"),
+    redisUrl: string("REDIS_URL"),
+    // How often watchConfig looks for changed settings
+    reloadIntervalSeconds: int("CONFIG_RELOAD_INTERVAL_SECONDS", 30, { min: 1 }),
+
+    logging: {
+      level: oneOf("LOG_LEVEL", LOG_LEVELS, "info"),
+    },
+
+    database: {
+      client,
+      host: string("DATABASE_HOST"),
+      port: int("DATABASE_PORT", undefined, { min: 1, max: 65535 }),
+      name: string("DATABASE_NAME", "appdb"),
+      user: string("DATABASE_USER", "appuser"),
+      password: string("DATABASE_PASSWORD", production ? undefined : "apppass123"),
+      // SQLite only: database file, or ":memory:"
+      file: string("DATABASE_FILE", "appdb.sqlite"),
+      poolSize: int("DATABASE_POOL_SIZE", 10, { min: 1 }),
+      connectTimeoutMs: int("DATABASE_CONNECT_TIMEOUT_MS", 5000, { min: 1 }),
+      // Read replicas as host[:port] entries
+      replicaHosts: list("DATABASE_REPLICA_HOSTS"),
+      replicaMaxLagSeconds: int("DATABASE_REPLICA_MAX_LAG_SECONDS", 10),
+      replicaCheckIntervalSeconds: int("DATABASE_REPLICA_CHECK_INTERVAL_SECONDS", 5, { min: 1 }),
+      readYourWritesWindowSeconds: int("READ_YOUR_WRITES_WINDOW_SECONDS", 5),
+      breakerFailureThreshold: int("DATABASE_BREAKER_FAILURE_THRESHOLD", 5, { min: 1 }),
+      breakerResetSeconds: int("DATABASE_BREAKER_RESET_SECONDS", 10, { min: 1 }),
+      // 0 retries forever
+      startupMaxAttempts: int("DATABASE_STARTUP_MAX_ATTEMPTS", 20),
+    },
+
+    auth: {
+      // Generated per process when unset, outside production
+      jwtSecret: string("JWT_SECRET", null),
+      accessTokenTtl: string("JWT_ACCESS_TTL", "15m"),
+      refreshTokenDays: int("JWT_REFRESH_TTL_DAYS", 7, { min: 1 }),
+      // Only used to create the first account
+      adminUsername: string("ADMIN_USERNAME"),
+      adminPassword: string("ADMIN_PASSWORD"),
+    },
+
+    cache: {
+      driver: oneOf("CACHE_DRIVER", ["memory", "redis"], "memory"),
+      maxEntries: int("CACHE_MAX_ENTRIES", 1000, { min: 1 }),
+      userListTtlSeconds: int("CACHE_USER_LIST_TTL_SECONDS", 30),
+      userTtlSeconds: int("CACHE_USER_TTL_SECONDS", 60),
+    },
+    pubsub: {
+      driver: oneOf("PUBSUB_DRIVER", ["memory", "redis"], "memory"),
+    },
+
+    // Budgets are "<requests>/<seconds>"
+    rateLimit: {
+      store: oneOf("RATE_LIMIT_STORE", ["memory", "redis"], "memory"),
+      ipRead: budget("RATE_LIMIT_IP_READ", "600/60"),
+      ipWrite: budget("RATE_LIMIT_IP_WRITE", "120/60"),
+      accountRead: budget("RATE_LIMIT_ACCOUNT_READ", "300/60"),
+      accountWrite: budget("RATE_LIMIT_ACCOUNT_WRITE", "60/60"),
+    },
+
+    users: {
+      bodyLimit: size("USER_BODY_LIMIT", "16kb"),
+      softDeleteRetentionDays: int("SOFT_DELETE_RETENTION_DAYS", 30),
+      purgeIntervalMinutes: int("SOFT_DELETE_PURGE_INTERVAL_MINUTES", 60, { min: 1 }),
+    },
+    tenants: {
+      // Tenant of requests that name none by header, subdomain or token
+      defaultSlug: string("TENANT_DEFAULT", "default"),
+      // Requests to <slug>.<baseDomain> work in that tenant
+      baseDomain: string("TENANT_BASE_DOMAIN"),
+      cacheSeconds: int("TENANT_CACHE_SECONDS", 30),
+    },
+    import: {
+      maxRows: int("IMPORT_MAX_ROWS", 10000, { min: 1 }),
+      maxBytes: int("IMPORT_MAX_BYTES", 10 * 1024 * 1024, { min: 1 }),
+    },
+    idempotency: {
+      ttlHours: int("IDEMPOTENCY_TTL_HOURS", 24, { min: 1 }),
+    },
+    metrics: {
+      businessIntervalSeconds: int("BUSINESS_METRICS_INTERVAL_SECONDS", 60, { min: 1 }),
+    },
+    backup: {
+      // Where scheduled snapshots go; none disables them
+      target: oneOf("BACKUP_TARGET", ["none", "directory", "s3"], "none"),
+      directory: string("BACKUP_DIRECTORY", "backups"),
+      intervalMinutes: int("BACKUP_INTERVAL_MINUTES", 1440, { min: 1 }),
+      retentionCount: int("BACKUP_RETENTION_COUNT", 7, { min: 1 }),
+      restoreMaxBytes: int("BACKUP_RESTORE_MAX_BYTES", 100 * 1024 * 1024, { min: 1 }),
+      // Any S3-compatible service, such as MinIO
+      s3: {
+        endpoint: string("BACKUP_S3_ENDPOINT", "https://s3.amazonaws.com"),
+        bucket: string("BACKUP_S3_BUCKET"),
+        prefix: string("BACKUP_S3_PREFIX", ""),
+        region: string("BACKUP_S3_REGION", "us-east-1"),
+        accessKeyId: string("BACKUP_S3_ACCESS_KEY_ID"),
+        secretAccessKey: string("BACKUP_S3_SECRET_ACCESS_KEY"),
+        // MinIO needs path-style URLs unless it has a wildcard DNS name
+        pathStyle: boolean("BACKUP_S3_PATH_STYLE", true),
+      },
+    },
+    shutdown: {
+      // Give endpoint removal time to propagate before refusing traffic
+      preStopDelaySeconds: int("SHUTDOWN_PRESTOP_DELAY_SECONDS", production ? 5 : 0),
+      drainTimeoutSeconds: int("SHUTDOWN_DRAIN_TIMEOUT_SECONDS", 20),
+    },
+  };
+
+  const drivers = [config.cache.driver, config.pubsub.driver, config.rateLimit.store];
+  if (drivers.includes("redis") && !config.redisUrl) {
+    problems.push("REDIS_URL is required when a cache, pub/sub or rate limit driver is redis");
+  }
+
+  const { tenants } = config;
+  if (!SLUG_PATTERN.test(tenants.defaultSlug)) {
+    problems.push(`TENANT_DEFAULT must be a lowercase tenant slug, got "${tenants.defaultSlug}"`);
+  }
+  if (tenants.baseDomain && !/^[a-z0-9.-]+$/.test(tenants.baseDomain)) {
+    problems.push(`TENANT_BASE_DOMAIN must be a lowercase domain name, got "${tenants.baseDomain}"`);
+  }
+
+  const { s3 } = config.backup;
+  if (config.backup.target === "s3") {
+    if (!s3.bucket) problems.push("BACKUP_S3_BUCKET is required when BACKUP_TARGET is s3");
+    if (!/^https?:\/\//.test(s3.endpoint)) {
+      problems.push(`BACKUP_S3_ENDPOINT must be an http(s) URL, got "${s3.endpoint}"`);
+    }
+  }
+
+  if (production) {
+    if (!config.auth.jwtSecret) {
+      problems.push("JWT_SECRET (or JWT_SECRET_FILE) is required in production");
+    }
+    // better-sqlite3 is only a development dependency, for tests and local runs
+    if (client === "sqlite") {
+      problems.push("DATABASE_CLIENT sqlite is for development and tests, not production");
+    } else if (!config.database.password) {
+      problems.push("DATABASE_PASSWORD (or DATABASE_PASSWORD_FILE) is required in production");
+    }
+    const current = {
+      DATABASE_PASSWORD: config.database.password,
+      JWT_SECRET: config.auth.jwtSecret,
+      ADMIN_PASSWORD: config.auth.adminPassword,
+    };
+    for (const [name, defaults] of Object.entries(DEFAULT_CREDENTIALS)) {
+      if (defaults.includes(current[name])) {
+        problems.push(`${name} is a default credential and must be changed in production`);
+      }
+    }
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  return config;
+}
+
+// Copy of the config safe to show to operators: secrets are masked and
+// credentials removed from URLs
+function redactConfig(config) {
+  const redact = (value, key) => {
+    if (SECRET_KEY.test(key)) return value === undefined || value === null ? value : "[REDACTED]";
+    if (typeof value === "string" && /^[a-z][\w+.-]*:\/\/[^/]*@/i.test(value)) {
+      const url = new URL(value);
+      if (url.password) url.password = "[REDACTED]";
+      return url.toString();
+    }
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+    }
+    return value;
+  };
+  return redact(config, "");
+}
+
+// Re-read the configuration every reloadIntervalSeconds and on SIGHUP,
+// copying changed reloadable settings into config and passing it to
+// onChange. Others need a restart. Returns a function that stops watching.
+function watchConfig(config, { env = process.env, logger, onChange }) {
+  function reload() {
+    let next;
+    try {
+      next = loadConfig(env);
+    } catch (error) {
+      logger.error("Configuration reload failed, keeping current settings:", error);
+      return;
+    }
+
+    let changed = false;
+    for (const [section, key] of RELOADABLE) {
+      const [from, to] = [config[section][key], next[section][key]];
+      if (to !== from) {
+        logger.info(`Configuration ${section}.${key} changed from ${from} to ${to}`);
+        config[section][key] = to;
+        changed = true;
+      }
+    }
+    if (changed) onChange(config);
+  }
+
+  const timer = setInterval(reload, config.reloadIntervalSeconds * 1000);
+  timer.unref();
+  process.on("SIGHUP", reload);
+  return () => {
+    clearInterval(timer);
+    process.off("SIGHUP", reload);
+  };
+}
+
+module.exports = { loadConfig, redactConfig, watchConfig, ConfigError };
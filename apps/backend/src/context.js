@@ -0,0 +1,35 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Per-request state that follows the request through async calls, so the
+// logger can tag every line without the request being passed around
+const storage = new AsyncLocalStorage();
+
+// Incoming IDs are echoed into headers and logs, so only accept tame ones
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function currentRequestId() {
+  const store = storage.getStore();
+  return store ? store.requestId : undefined;
+}
+
+// Accept the caller's X-Request-Id or generate one, expose it as req.id
+// and in the response header, and add it to every error response body
+function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    const id =
+      incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+    req.id = id;
+    res.set("X-Request-Id", id);
+
+    const json = res.json.bind(res);
+    res.json = (body) =>
+      json(body && body.success === false ? { ...body, requestId: id } : body);
+
+    storage.run({ requestId: id }, next);
+  };
+}
+
+module.exports = { requestId, currentRequestId };
@@ -0,0 +1,133 @@
+const { isConnectionError } = require("./resilience");
+
+// Response header carrying the time of the caller's last write. Clients
+// echo it back so their reads go to the primary until replicas have had
+// time to catch up (read-your-writes).
+const LAST_WRITE_HEADER = "X-Last-Write";
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+// Routes reads to healthy replicas in turn and everything else to the
+// primary. Replicas are polled for reachability and replication lag; a
+// replica failing a read is taken out of rotation and the read retried
+// on the primary.
+function createDataSource({
+  primary,
+  replicas = [],
+  logger,
+  stickyWindowMs = 5000,
+  maxLagSeconds = 10,
+}) {
+  const states = replicas.map((replica) => ({
+    ...replica,
+    // Unknown until the first check; only healthy replicas serve reads
+    healthy: null,
+    lagSeconds: null,
+    error: null,
+  }));
+  let next = 0;
+
+  function setHealth(replica, healthy, details = {}) {
+    if (replica.healthy !== healthy) {
+      const log = healthy ? logger.info : logger.warn;
+      log.call(
+        logger,
+        `Read replica ${replica.name} is ${healthy ? "healthy" : "unhealthy"}${
+          details.error ? `: ${details.error}` : ""
+        }`
+      );
+    }
+    Object.assign(replica, { healthy, lagSeconds: null, error: null }, details);
+  }
+
+  // True when the request carries a write recent enough that a replica
+  // may not have it yet. Such reads go to the primary and must not be
+  // answered from anything a replica filled, such as the cache.
+  function isSticky(req) {
+    const lastWrite = Number(req.get(LAST_WRITE_HEADER));
+    return Number.isFinite(lastWrite) && Date.now() - lastWrite < stickyWindowMs;
+  }
+
+  function pickReplica(req) {
+    if (isSticky(req)) return null;
+    const healthy = states.filter((replica) => replica.healthy);
+    if (healthy.length === 0) return null;
+    next = (next + 1) % healthy.length;
+    return healthy[next];
+  }
+
+  // Run a read-only fn(pool) against a replica when possible
+  async function read(req, fn) {
+    const replica = pickReplica(req);
+    if (!replica) return fn(primary);
+
+    try {
+      return await fn(replica.pool);
+    } catch (error) {
+      if (!isConnectionError(error)) throw error;
+      setHealth(replica, false, { error: error.message });
+      return fn(primary);
+    }
+  }
+
+  // Middleware stamping successful mutations with the last write header.
+  // The stamp is taken when headers go out, so slow writes such as
+  // imports still get the full window.
+  function consistency() {
+    return (req, res, next) => {
+      if (SAFE_METHODS.has(req.method)) return next();
+      const writeHead = res.writeHead;
+      res.writeHead = function (statusCode, ...args) {
+        if (statusCode < 400) {
+          res.setHeader(LAST_WRITE_HEADER, String(Date.now()));
+        }
+        return writeHead.call(this, statusCode, ...args);
+      };
+      next();
+    };
+  }
+
+  async function checkReplica(replica) {
+    let lagSeconds;
+    try {
+      await replica.pool.query("SELECT 1");
+      lagSeconds = await replica.pool.replicationLag();
+    } catch (error) {
+      return setHealth(replica, false, { error: error.message });
+    }
+
+    if (lagSeconds !== null && lagSeconds > maxLagSeconds) {
+      return setHealth(replica, false, {
+        lagSeconds,
+        error: `replication lag ${lagSeconds}s exceeds ${maxLagSeconds}s`,
+      });
+    }
+    setHealth(replica, true, { lagSeconds });
+  }
+
+  // Check replicas on an interval; returns a function that stops it
+  function monitor(intervalMs) {
+    if (states.length === 0) return () => {};
+    const run = () =>
+      Promise.all(states.map(checkReplica)).catch((error) => {
+        logger.error("Replica health check failed:", error);
+      });
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  // Replica states for health reporting; failure details stay in the logs
+  function status() {
+    return states.map(({ name, healthy, lagSeconds }) => ({ name, healthy, lagSeconds }));
+  }
+
+  async function close() {
+    await Promise.all(states.map((replica) => replica.pool.end()));
+  }
+
+  return { primary, read, isSticky, consistency, monitor, status, close };
+}
+
+module.exports = { createDataSource, LAST_WRITE_HEADER };
@@ -0,0 +1,90 @@
+const {
+  DatabaseError,
+  UniqueViolationError,
+  ForeignKeyViolationError,
+  UndefinedTableError,
+} = require("./drivers/errors");
+
+// Database drivers share one pool interface, modelled on mysql2's:
+//   client -> "mariadb" | "postgres" | "sqlite"
+//   query(sql, params) / execute(sql, params)
+//     -> Promise<[rows]> for statements returning rows (SELECT, RETURNING;
+//        MariaDB supports only a trailing "RETURNING id" on inserts)
+//     -> Promise<[{ affectedRows }]> for other statements
+//   getConnection() -> Promise<connection>, which also has
+//     beginTransaction(), commit(), rollback(), release(),
+//     stream(sql, params) -> object mode Readable of rows,
+//     lock(name, timeoutSeconds) -> Promise<boolean> and unlock(name)
+//   stats() -> { active, idle, queued, limit }
+//   replicationLag() -> Promise<seconds | null>, null when not a replica;
+//     rejects when replication is stopped
+//   on("connection" | "acquire" | "error", listener), where acquire
+//     listeners get the seconds spent waiting for a connection
+//   end() -> Promise
+// SQL uses "?" placeholders; an array value expands to a list, for
+// "IN (?)", and an array of arrays to a list of rows, for "VALUES ?".
+// Unique key, foreign key and missing table errors are raised as
+// UniqueViolationError, ForeignKeyViolationError and UndefinedTableError.
+const DRIVERS = {
+  mariadb: { module: "./drivers/mariadb", host: "mariadb-service", port: 3306 },
+  postgres: { module: "./drivers/postgres", host: "postgres-service", port: 5432 },
+  sqlite: { module: "./drivers/sqlite" },
+};
+
+// Create the connection pool for the database settings from
+// loadConfig(). Replica pools pass their own host and port and share
+// everything else.
+function createPool(database, { host, port } = {}) {
+  const driver = DRIVERS[database.client];
+  if (!driver) {
+    throw new Error(
+      `Unknown database client "${database.client}", expected mariadb, postgres or sqlite`
+    );
+  }
+  // Drivers load on demand, so only the chosen one needs to be installed
+  return require(driver.module).createPool({
+    host: host || database.host || driver.host,
+    port: port || database.port || driver.port,
+    database: database.name,
+    user: database.user,
+    password: database.password,
+    filename: database.file,
+    connectionLimit: database.poolSize,
+    // Fail fast when the database is unreachable rather than hanging requests
+    connectTimeoutMs: database.connectTimeoutMs,
+  });
+}
+
+// Parse read replica entries of the form host[:port]
+function replicaEndpoints(hosts) {
+  return hosts.map((entry) => {
+    const [host, port] = entry.split(":");
+    return { name: entry, host, port: port ? parseInt(port, 10) : undefined };
+  });
+}
+
+// Run fn inside a transaction on a pooled connection, rolling back on error
+async function withTransaction(pool, fn) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  createPool,
+  replicaEndpoints,
+  withTransaction,
+  DatabaseError,
+  UniqueViolationError,
+  ForeignKeyViolationError,
+  UndefinedTableError,
+};
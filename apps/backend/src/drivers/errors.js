@@ -0,0 +1,49 @@
+// Errors every driver raises in place of its own, so callers can handle
+// them without knowing which database is behind the pool. The original
+// driver error is kept as cause.
+class DatabaseError extends Error {
+  constructor(code, cause) {
+    super(cause.message, { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+// Insert or update hit a unique key, such as a duplicate email
+class UniqueViolationError extends DatabaseError {
+  constructor(cause) {
+    super("UNIQUE_VIOLATION", cause);
+  }
+}
+
+// Insert, update or delete broke a foreign key, such as a user whose
+// tenant does not exist
+class ForeignKeyViolationError extends DatabaseError {
+  constructor(cause) {
+    super("FOREIGN_KEY_VIOLATION", cause);
+  }
+}
+
+// Statement referenced a table that does not exist (yet)
+class UndefinedTableError extends DatabaseError {
+  constructor(cause) {
+    super("UNDEFINED_TABLE", cause);
+  }
+}
+
+// Translate a driver error using a map of matchers to error classes,
+// leaving anything unmatched (including connection errors) untouched
+function normalizeError(error, translations) {
+  for (const [matches, Type] of translations) {
+    if (matches(error)) return new Type(error);
+  }
+  return error;
+}
+
+module.exports = {
+  DatabaseError,
+  UniqueViolationError,
+  ForeignKeyViolationError,
+  UndefinedTableError,
+  normalizeError,
+};
@@ -0,0 +1,135 @@
+const { EventEmitter } = require("events");
+const mysql = require("mysql2/promise");
+const {
+  UniqueViolationError,
+  ForeignKeyViolationError,
+  UndefinedTableError,
+  normalizeError,
+} = require("./errors");
+
+const ERRORS = [
+  [(error) => error.code === "ER_DUP_ENTRY", UniqueViolationError],
+  [
+    (error) => error.code === "ER_NO_REFERENCED_ROW_2" || error.code === "ER_ROW_IS_REFERENCED_2",
+    ForeignKeyViolationError,
+  ],
+  [(error) => error.code === "ER_NO_SUCH_TABLE", UndefinedTableError],
+];
+
+// MySQL has no RETURNING and MariaDB only has it from 10.5, so inserts
+// ending in RETURNING id answer with the insert ID instead
+const RETURNING_ID = /\s+RETURNING\s+id\s*$/i;
+
+async function run(target, method, sql, params) {
+  try {
+    if (!RETURNING_ID.test(sql)) return await target[method](sql, params);
+    const [result, fields] = await target[method](sql.replace(RETURNING_ID, ""), params);
+    return [[{ id: result.insertId }], fields];
+  } catch (error) {
+    throw normalizeError(error, ERRORS);
+  }
+}
+
+function wrapConnection(connection) {
+  return {
+    query: (sql, params) => run(connection, "query", sql, params),
+    execute: (sql, params) => run(connection, "execute", sql, params),
+    beginTransaction: () => connection.beginTransaction(),
+    commit: () => connection.commit(),
+    rollback: () => connection.rollback(),
+    release: () => connection.release(),
+    // Rows one at a time, without buffering the whole result
+    stream: (sql, params) => connection.connection.query(sql, params).stream(),
+    async lock(name, timeoutSeconds) {
+      const [rows] = await connection.query("SELECT GET_LOCK(?, ?) AS acquired", [
+        name,
+        timeoutSeconds,
+      ]);
+      return rows[0].acquired === 1;
+    },
+    async unlock(name) {
+      await connection.query("SELECT RELEASE_LOCK(?)", [name]);
+    },
+  };
+}
+
+// MariaDB (and MySQL) through mysql2, which supports every placeholder
+// form natively
+function createPool({ host, port, database, user, password, connectionLimit, connectTimeoutMs }) {
+  const pool = mysql.createPool({
+    host,
+    port,
+    database,
+    user,
+    password,
+    connectionLimit,
+    connectTimeout: connectTimeoutMs,
+    // Timestamps are passed in as Dates; read and write them in UTC so
+    // the app and database time zones cannot disagree
+    timezone: "Z",
+  });
+  const core = pool.pool;
+  const events = new EventEmitter();
+  core.on("connection", (connection) => {
+    // Server-side defaults such as CURRENT_TIMESTAMP follow the session
+    // time zone too. A connection that cannot switch is dropped rather
+    // than used with the server's local one.
+    connection.query("SET time_zone = '+00:00'", (error) => {
+      if (error) connection.destroy();
+    });
+    events.emit("connection");
+  });
+
+  // Time every checkout, including those made by pool.query. Waiters
+  // requeued by the pool come back through getConnection with their
+  // already wrapped callback; time them only once.
+  const TIMED = Symbol("timed");
+  const getCoreConnection = core.getConnection.bind(core);
+  core.getConnection = (callback) => {
+    if (callback[TIMED]) return getCoreConnection(callback);
+    const start = process.hrtime.bigint();
+    const timed = (error, connection) => {
+      events.emit("acquire", Number(process.hrtime.bigint() - start) / 1e9);
+      callback(error, connection);
+    };
+    timed[TIMED] = true;
+    return getCoreConnection(timed);
+  };
+
+  return {
+    client: "mariadb",
+    query: (sql, params) => run(pool, "query", sql, params),
+    execute: (sql, params) => run(pool, "execute", sql, params),
+    getConnection: async () => wrapConnection(await pool.getConnection()),
+    // mysql2 does not expose occupancy, so read its internal queues
+    stats: () => ({
+      active: core._allConnections.length - core._freeConnections.length,
+      idle: core._freeConnections.length,
+      queued: core._connectionQueue.length,
+      limit: core.config.connectionLimit,
+    }),
+    async replicationLag() {
+      let rows;
+      try {
+        [rows] = await pool.query("SHOW SLAVE STATUS");
+      } catch (error) {
+        // Lag needs the REPLICA MONITOR privilege; without it only
+        // reachability can be checked
+        if (error.code === "ER_SPECIFIC_ACCESS_DENIED_ERROR") return null;
+        throw error;
+      }
+      if (rows.length === 0) return null;
+      if (rows[0].Seconds_Behind_Master === null) {
+        throw new Error("replication is not running");
+      }
+      return Number(rows[0].Seconds_Behind_Master);
+    },
+    on(event, listener) {
+      events.on(event, listener);
+      return this;
+    },
+    end: () => pool.end(),
+  };
+}
+
+module.exports = { createPool };
@@ -0,0 +1,43 @@
+// Expand mysql2-style "?" placeholders for drivers that bind only plain
+// values: an array becomes a list, for "IN (?)", and an array of arrays a
+// list of rows, for "VALUES ?". marker(n) renders the nth bound value.
+// Question marks inside quoted strings and identifiers are left alone.
+// Returns { sql, values }.
+function expandPlaceholders(sql, params, marker) {
+  if (!params || params.length === 0) return { sql, values: [] };
+
+  const values = [];
+  const bind = (value) => {
+    values.push(value);
+    return marker(values.length);
+  };
+  const render = (value) => {
+    if (!Array.isArray(value)) return bind(value);
+    return value
+      .map((item) => (Array.isArray(item) ? `(${item.map(bind).join(", ")})` : bind(item)))
+      .join(", ");
+  };
+
+  let text = "";
+  let quote = null;
+  let index = 0;
+  for (const char of sql) {
+    if (quote) {
+      // A doubled quote closes and reopens, which comes out the same
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"' || char === "`") {
+      quote = char;
+    } else if (char === "?") {
+      if (index >= params.length) {
+        throw new Error(`Missing value for placeholder ${index + 1}`);
+      }
+      text += render(params[index]);
+      index += 1;
+      continue;
+    }
+    text += char;
+  }
+  return { sql: text, values };
+}
+
+module.exports = { expandPlaceholders };
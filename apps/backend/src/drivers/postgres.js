@@ -0,0 +1,144 @@
+const { EventEmitter } = require("events");
+const { Pool, types } = require("pg");
+const QueryStream = require("pg-query-stream");
+const {
+  UniqueViolationError,
+  ForeignKeyViolationError,
+  UndefinedTableError,
+  normalizeError,
+} = require("./errors");
+const { expandPlaceholders } = require("./placeholders");
+
+const ERRORS = [
+  [(error) => error.code === "23505", UniqueViolationError],
+  [(error) => error.code === "23503", ForeignKeyViolationError],
+  [(error) => error.code === "42P01", UndefinedTableError],
+];
+
+// Return BIGINT columns, counts among them, as numbers like mysql2 does
+const INT8_OID = 20;
+const TYPES = {
+  getTypeParser(oid, format) {
+    return oid === INT8_OID ? Number : types.getTypeParser(oid, format);
+  },
+};
+
+const LOCK_NOT_AVAILABLE = "55P03";
+
+// Statements returning rows (SELECT, RETURNING) resolve to [rows, fields],
+// others to [{ affectedRows }], the same shapes as mysql2
+async function run(client, sql, params) {
+  const { sql: text, values } = expandPlaceholders(sql, params, (n) => `$${n}`);
+  let result;
+  try {
+    result = await client.query(text, values);
+  } catch (error) {
+    throw normalizeError(error, ERRORS);
+  }
+  return result.fields.length > 0
+    ? [result.rows, result.fields]
+    : [{ affectedRows: result.rowCount }];
+}
+
+function wrapConnection(client) {
+  return {
+    query: (sql, params) => run(client, sql, params),
+    execute: (sql, params) => run(client, sql, params),
+    beginTransaction: () => client.query("BEGIN"),
+    commit: () => client.query("COMMIT"),
+    rollback: () => client.query("ROLLBACK"),
+    release: () => client.release(),
+    // Rows one at a time through a cursor, without buffering the result
+    stream(sql, params) {
+      const { sql: text, values } = expandPlaceholders(sql, params, (n) => `$${n}`);
+      return client.query(new QueryStream(text, values));
+    },
+    // Session advisory lock, waiting at most timeoutSeconds for it
+    async lock(name, timeoutSeconds) {
+      await client.query(`SET lock_timeout = '${Number(timeoutSeconds)}s'`);
+      try {
+        await client.query("SELECT pg_advisory_lock(hashtext($1))", [name]);
+        return true;
+      } catch (error) {
+        if (error.code === LOCK_NOT_AVAILABLE) return false;
+        throw error;
+      } finally {
+        await client.query("RESET lock_timeout");
+      }
+    },
+    async unlock(name) {
+      await client.query("SELECT pg_advisory_unlock(hashtext($1))", [name]);
+    },
+  };
+}
+
+// PostgreSQL through node-postgres. Placeholders are rewritten to $n.
+function createPool({ host, port, database, user, password, connectionLimit, connectTimeoutMs }) {
+  const pool = new Pool({
+    host,
+    port,
+    database,
+    user,
+    password,
+    max: connectionLimit,
+    connectionTimeoutMillis: connectTimeoutMs,
+    types: TYPES,
+  });
+  const events = new EventEmitter();
+  pool.on("connect", () => events.emit("connection"));
+  // Idle clients that lose their connection are dropped by the pool;
+  // without a listener the error would crash the process
+  pool.on("error", (error) => {
+    if (events.listenerCount("error") > 0) events.emit("error", error);
+  });
+
+  async function connect() {
+    const start = process.hrtime.bigint();
+    try {
+      return await pool.connect();
+    } finally {
+      events.emit("acquire", Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  }
+
+  async function query(sql, params) {
+    const client = await connect();
+    try {
+      return await run(client, sql, params);
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    client: "postgres",
+    query,
+    execute: query,
+    getConnection: async () => wrapConnection(await connect()),
+    stats: () => ({
+      active: pool.totalCount - pool.idleCount,
+      idle: pool.idleCount,
+      queued: pool.waitingCount,
+      limit: pool.options.max,
+    }),
+    // Seconds since the last replayed transaction, or 0 when everything
+    // received has been replayed, so an idle primary does not look like lag
+    async replicationLag() {
+      const [rows] = await query(
+        `SELECT pg_is_in_recovery() AS replica,
+                CASE WHEN pg_last_wal_receive_lsn() = pg_last_wal_replay_lsn() THEN 0
+                     ELSE EXTRACT(EPOCH FROM now() - pg_last_xact_replay_timestamp())
+                END AS lag_seconds`
+      );
+      if (!rows[0].replica || rows[0].lag_seconds === null) return null;
+      return Math.round(Number(rows[0].lag_seconds));
+    },
+    on(event, listener) {
+      events.on(event, listener);
+      return this;
+    },
+    end: () => pool.end(),
+  };
+}
+
+module.exports = { createPool };
@@ -0,0 +1,139 @@
+const { EventEmitter } = require("events");
+const { Readable } = require("stream");
+const Database = require("better-sqlite3");
+const {
+  UniqueViolationError,
+  ForeignKeyViolationError,
+  UndefinedTableError,
+  normalizeError,
+} = require("./errors");
+const { expandPlaceholders } = require("./placeholders");
+
+const ERRORS = [
+  [
+    (error) =>
+      error.code === "SQLITE_CONSTRAINT_UNIQUE" || error.code === "SQLITE_CONSTRAINT_PRIMARYKEY",
+    UniqueViolationError,
+  ],
+  [(error) => error.code === "SQLITE_CONSTRAINT_FOREIGNKEY", ForeignKeyViolationError],
+  [(error) => /^no such table/.test(error.message), UndefinedTableError],
+];
+
+// SQLite takes no row locks; the single connection serializes writers
+const FOR_UPDATE = /\s+FOR\s+UPDATE\b/gi;
+
+// Dates are stored as ISO 8601 text, which sorts and compares correctly
+function toSqlite(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value === undefined ? null : value;
+}
+
+// In-process SQLite through better-sqlite3, for tests and single-node
+// installs. A single connection is handed out to one caller at a time;
+// everyone else queues for it, as with a pool of one.
+function createPool({ filename }) {
+  const db = new Database(filename);
+  if (filename !== ":memory:") db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+
+  const events = new EventEmitter();
+  const waiters = [];
+  let busy = false;
+
+  function acquire() {
+    const start = process.hrtime.bigint();
+    const acquired = () => events.emit("acquire", Number(process.hrtime.bigint() - start) / 1e9);
+    if (!busy) {
+      busy = true;
+      acquired();
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      waiters.push(() => {
+        acquired();
+        resolve();
+      });
+    });
+  }
+
+  function release() {
+    const next = waiters.shift();
+    if (next) next();
+    else busy = false;
+  }
+
+  function prepare(sql, params) {
+    const { sql: text, values } = expandPlaceholders(
+      sql.replace(FOR_UPDATE, ""),
+      params,
+      () => "?"
+    );
+    try {
+      return { statement: db.prepare(text), values: values.map(toSqlite) };
+    } catch (error) {
+      throw normalizeError(error, ERRORS);
+    }
+  }
+
+  // Statements returning rows (SELECT, RETURNING) resolve to [rows],
+  // others to [{ affectedRows }], the same shapes as mysql2
+  async function run(sql, params) {
+    const { statement, values } = prepare(sql, params);
+    try {
+      if (statement.reader) return [statement.all(values)];
+      return [{ affectedRows: statement.run(values).changes }];
+    } catch (error) {
+      throw normalizeError(error, ERRORS);
+    }
+  }
+
+  async function query(sql, params) {
+    await acquire();
+    try {
+      return await run(sql, params);
+    } finally {
+      release();
+    }
+  }
+
+  const connection = {
+    query: run,
+    execute: run,
+    beginTransaction: () => run("BEGIN"),
+    commit: () => run("COMMIT"),
+    rollback: () => run("ROLLBACK"),
+    release,
+    stream(sql, params) {
+      const { statement, values } = prepare(sql, params);
+      return Readable.from(statement.iterate(values));
+    },
+    // Nothing else can reach the database while this connection is held
+    lock: async () => true,
+    unlock: async () => {},
+  };
+
+  return {
+    client: "sqlite",
+    query,
+    execute: query,
+    async getConnection() {
+      await acquire();
+      return { ...connection };
+    },
+    stats: () => ({
+      active: busy ? 1 : 0,
+      idle: busy ? 0 : 1,
+      queued: waiters.length,
+      limit: 1,
+    }),
+    replicationLag: async () => null,
+    on(event, listener) {
+      events.on(event, listener);
+      return this;
+    },
+    end: async () => db.close(),
+  };
+}
+
+module.exports = { createPool };
@@ -0,0 +1,33 @@
+const crypto = require("crypto");
+
+// Entity tags for optimistic concurrency on user records. The tag is
+// derived from the row version, which every write increments.
+
+function userEtag(user) {
+  return `"${user.id}-${user.version}"`;
+}
+
+// Parse an If-Match header into "*" or the list of row versions it names
+// for the given user. Weak tags never match (RFC 9110 strong comparison).
+// Returns null when the header is absent.
+function parseIfMatch(header, id) {
+  if (header === undefined) return null;
+  if (header.trim() === "*") return "*";
+
+  const versions = [];
+  for (const tag of header.split(",")) {
+    const match = /^"(\d+)-(\d+)"$/.exec(tag.trim());
+    if (match && Number(match[1]) === Number(id)) {
+      versions.push(Number(match[2]));
+    }
+  }
+  return versions;
+}
+
+// Strong tag for a whole response body, such as a page of users
+function bodyEtag(body) {
+  const hash = crypto.createHash("sha1").update(JSON.stringify(body)).digest("base64url");
+  return `"${hash}"`;
+}
+
+module.exports = { userEtag, parseIfMatch, bodyEtag };
@@ -0,0 +1,77 @@
+const { EventEmitter } = require("events");
+const express = require("express");
+
+const CHANNEL = "user-events";
+const HEARTBEAT_MS = 25000;
+
+// Change events for users, fanned out to every replica through pub/sub
+// and streamed to browsers as Server-Sent Events. Events of a tenant only
+// reach subscribers working in it; events without one reach everybody.
+function createEvents({ pubsub, logger }) {
+  const local = new EventEmitter();
+  local.setMaxListeners(0);
+  let subscription = null;
+
+  // Subscribe this process to the shared channel
+  async function start() {
+    subscription = await pubsub.subscribe(CHANNEL, (event) => local.emit("event", event));
+  }
+
+  async function stop() {
+    if (subscription) await subscription();
+    subscription = null;
+    local.emit("close");
+  }
+
+  // Publish a user change within tenantId; failures are logged, never
+  // surfaced to the request that made the change
+  function publish(type, data, tenantId = null) {
+    const event = { type, data, tenantId, at: new Date().toISOString() };
+    pubsub.publish(CHANNEL, event).catch((error) => {
+      logger.error(`Failed to publish ${type} event:`, error);
+    });
+  }
+
+  // Listen to events from every replica in this process; returns a
+  // function that stops listening
+  function subscribe(listener) {
+    local.on("event", listener);
+    return () => local.off("event", listener);
+  }
+
+  const router = express.Router();
+
+  // GET /api/events, for the tenant resolved into req.tenant
+  router.get("/", (req, res) => {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // Stop nginx from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    let id = 0;
+    const send = (event) => {
+      if (event.tenantId && event.tenantId !== req.tenant.id) return;
+      id += 1;
+      res.write(`id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    const end = () => res.end();
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+
+    local.on("event", send);
+    local.once("close", end);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      local.off("event", send);
+      local.off("close", end);
+    });
+  });
+
+  return { start, stop, publish, subscribe, router };
+}
+
+module.exports = { createEvents };
@@ -0,0 +1,195 @@
+const { monitorEventLoopDelay } = require("perf_hooks");
+
+const STATES = ["healthy", "degraded", "unhealthy"];
+
+const worst = (a, b) => (STATES.indexOf(a) >= STATES.indexOf(b) ? a : b);
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Registry of dependency checks. A check resolves to
+// { status?, ...details } (status defaults to healthy) or throws, which
+// counts as a failure. Results are cached so probes and dashboards
+// polling at once do not multiply the load on dependencies.
+function createHealth({ logger, version }) {
+  const checks = new Map();
+  let shuttingDown = false;
+
+  // Options:
+  //   critical: an unhealthy result makes the whole service unhealthy;
+  //     otherwise it only degrades it
+  //   timeoutMs: how long the check may take
+  //   cacheMs: how long a result is reused
+  //   failureThreshold: consecutive failures before the check reports
+  //     unhealthy; earlier failures report degraded, so a single blip
+  //     does not fail readiness
+  function register(name, check, options = {}) {
+    checks.set(name, {
+      check,
+      critical: options.critical !== false,
+      timeoutMs: options.timeoutMs || 2000,
+      cacheMs: options.cacheMs === undefined ? 5000 : options.cacheMs,
+      failureThreshold: options.failureThreshold || 1,
+      failures: 0,
+      result: null,
+      checkedAt: 0,
+      running: null,
+    });
+  }
+
+  async function runCheck(name, entry) {
+    const start = Date.now();
+    try {
+      const details =
+        (await withTimeout(Promise.resolve().then(entry.check), entry.timeoutMs)) || {};
+      entry.failures = 0;
+      return { status: "healthy", ...details, latencyMs: Date.now() - start };
+    } catch (error) {
+      entry.failures += 1;
+      logger.warn(`Health check "${name}" failed: ${error.message}`);
+      return {
+        status: entry.failures >= entry.failureThreshold ? "unhealthy" : "degraded",
+        // Details of the failure stay in the logs
+        error: "check failed",
+        consecutiveFailures: entry.failures,
+        latencyMs: Date.now() - start,
+      };
+    }
+  }
+
+  // Cached result of one check; concurrent callers share a running check
+  function resultOf(name, entry) {
+    if (entry.result && Date.now() - entry.checkedAt < entry.cacheMs) {
+      return Promise.resolve(entry.result);
+    }
+    if (!entry.running) {
+      entry.running = runCheck(name, entry).then((result) => {
+        entry.result = result;
+        entry.checkedAt = Date.now();
+        entry.running = null;
+        return result;
+      });
+    }
+    return entry.running;
+  }
+
+  // Run every check (or only critical ones) and combine the results
+  async function report({ criticalOnly = false } = {}) {
+    const entries = [...checks].filter(([, entry]) => !criticalOnly || entry.critical);
+    const results = await Promise.all(entries.map(([name, entry]) => resultOf(name, entry)));
+
+    let status = "healthy";
+    const components = {};
+    entries.forEach(([name, entry], index) => {
+      const result = results[index];
+      components[name] = result;
+      status = worst(
+        status,
+        result.status === "unhealthy" && !entry.critical ? "degraded" : result.status
+      );
+    });
+    if (shuttingDown) status = "unhealthy";
+
+    return {
+      status,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      version,
+      shuttingDown,
+      checks: components,
+    };
+  }
+
+  // Fail readiness from now on, so the service is taken out of rotation
+  // while it drains
+  function markShuttingDown() {
+    shuttingDown = true;
+  }
+
+  return { register, report, markShuttingDown };
+}
+
+// Database round trip, degraded when slower than slowMs
+function databaseCheck(pool, { slowMs = 1000 } = {}) {
+  return async () => {
+    const start = Date.now();
+    await pool.query("SELECT 1");
+    const latencyMs = Date.now() - start;
+    return { status: latencyMs > slowMs ? "degraded" : "healthy", queryMs: latencyMs };
+  };
+}
+
+// Pool saturation, degraded once requests queue for a connection
+function poolCheck(pool, { saturatedRatio = 0.9 } = {}) {
+  return () => {
+    const stats = pool.stats();
+    const saturation = stats.limit ? stats.active / stats.limit : 0;
+    return {
+      status: stats.queued > 0 || saturation >= saturatedRatio ? "degraded" : "healthy",
+      ...stats,
+      saturation: Math.round(saturation * 100) / 100,
+    };
+  };
+}
+
+// Schema migrations on disk that are not applied yet
+function migrationCheck(migrator) {
+  return async () => {
+    const pending = await migrator.pending();
+    return { status: pending.length > 0 ? "degraded" : "healthy", pending };
+  };
+}
+
+// Circuit breaker state: half-open degrades, open is unhealthy
+function breakerCheck(breaker) {
+  return () => {
+    const state = breaker.state();
+    const status = { closed: "healthy", half_open: "degraded" }[state] || "unhealthy";
+    return { status, state, retryAfterMs: breaker.retryAfterMs() };
+  };
+}
+
+// Read replicas; any out of rotation degrades the service, since reads
+// fall back to the primary
+function replicaCheck(dataSource) {
+  return () => {
+    const replicas = dataSource.status();
+    const allHealthy = replicas.every((replica) => replica.healthy);
+    return { status: allHealthy ? "healthy" : "degraded", replicas };
+  };
+}
+
+// Event loop lag over the interval since the previous check
+function eventLoopCheck({ degradedMs = 200, unhealthyMs = 1000 } = {}) {
+  const histogram = monitorEventLoopDelay({ resolution: 20 });
+  histogram.enable();
+
+  return () => {
+    const p99Ms = histogram.percentile(99) / 1e6;
+    const maxMs = histogram.max / 1e6;
+    histogram.reset();
+    let status = "healthy";
+    if (p99Ms > unhealthyMs) status = "unhealthy";
+    else if (p99Ms > degradedMs) status = "degraded";
+    return {
+      status,
+      p99LagMs: Math.round(p99Ms * 10) / 10,
+      maxLagMs: Math.round(maxMs * 10) / 10,
+    };
+  };
+}
+
+module.exports = {
+  createHealth,
+  databaseCheck,
+  poolCheck,
+  migrationCheck,
+  breakerCheck,
+  replicaCheck,
+  eventLoopCheck,
+};
@@ -0,0 +1,201 @@
+const crypto = require("crypto");
+const { ValidationError } = require("./validation");
+const { UniqueViolationError } = require("./db");
+
+// Visible ASCII, as recommended by the IETF Idempotency-Key draft
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+// Response headers worth replaying alongside the body
+const REPLAYED_HEADERS = ["etag", "location"];
+
+// Identify a request by method, URL, tenant and payload. Streamed bodies
+// such as imports are not buffered, so they are identified by type and the
+// SHA-256 of their bytes, once those have been read.
+function fingerprint(req, bodyDigest = null) {
+  const body = req.streamedBody
+    ? { type: req.get("Content-Type") || null, bodyDigest }
+    : req.body;
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([req.method, req.originalUrl, req.tenant ? req.tenant.id : null, body]))
+    .digest("hex");
+}
+
+// Marks a route as reading its body as a stream rather than parsed up
+// front; use before idempotent
+function streamedBody(req, res, next) {
+  req.streamedBody = true;
+  next();
+}
+
+// A body left for the route to stream
+function isStreamed(req) {
+  return (
+    Boolean(req.streamedBody) &&
+    Boolean(req.get("Transfer-Encoding") || Number(req.get("Content-Length")))
+  );
+}
+
+// SHA-256 of a streamed body, as routes record it in req.bodyDigest
+async function digestBody(req) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of req) hash.update(chunk);
+  return hash.digest("hex");
+}
+
+function parseJson(value) {
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+function createIdempotency({ pool, logger, ttlSeconds = 86400 }) {
+  // Store the response of a finished request under its key, with the
+  // request's final fingerprint. Server errors, and streamed bodies the
+  // route did not read to the end, release the key instead, so the client
+  // can retry.
+  async function complete(record, res, body, hash) {
+    if (res.statusCode >= 500 || !hash) {
+      await release(record);
+      return;
+    }
+    const headers = {};
+    for (const name of REPLAYED_HEADERS) {
+      if (res.get(name)) headers[name] = res.get(name);
+    }
+    await pool.execute(
+      `UPDATE idempotency_keys
+       SET fingerprint = ?, status_code = ?, response_headers = ?, response_body = ?
+       WHERE id = ?`,
+      [hash, res.statusCode, JSON.stringify(headers), JSON.stringify(body), record.id]
+    );
+  }
+
+  async function release(record) {
+    await pool.execute("DELETE FROM idempotency_keys WHERE id = ? AND status_code IS NULL", [
+      record.id,
+    ]);
+  }
+
+  // Claim the key for this request, or return the row already holding it
+  async function claim(accountId, key, hash) {
+    const now = new Date();
+    await pool.execute(
+      "DELETE FROM idempotency_keys WHERE account_id = ? AND idempotency_key = ? AND expires_at < ?",
+      [accountId, key, now]
+    );
+    try {
+      const [rows] = await pool.execute(
+        `INSERT INTO idempotency_keys (account_id, idempotency_key, fingerprint, expires_at)
+         VALUES (?, ?, ?, ?) RETURNING id`,
+        [accountId, key, hash, new Date(now.getTime() + ttlSeconds * 1000)]
+      );
+      return { claimed: true, record: { id: rows[0].id } };
+    } catch (error) {
+      if (!(error instanceof UniqueViolationError)) throw error;
+    }
+
+    const [rows] = await pool.execute(
+      "SELECT * FROM idempotency_keys WHERE account_id = ? AND idempotency_key = ?",
+      [accountId, key]
+    );
+    return { claimed: false, record: rows[0] };
+  }
+
+  // Middleware honouring the Idempotency-Key header; use after authenticate.
+  // Routes streaming their body use streamedBody first and set
+  // req.bodyDigest once they have read it all, see digestBody.
+  async function idempotent(req, res, next) {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) return next();
+    if (!KEY_PATTERN.test(key)) {
+      return next(
+        new ValidationError([
+          {
+            field: "Idempotency-Key",
+            location: "header",
+            message: "must be 1 to 255 visible ASCII characters",
+          },
+        ])
+      );
+    }
+
+    const streamed = isStreamed(req);
+    const hash = fingerprint(req);
+    let claimed;
+    let record;
+    try {
+      ({ claimed, record } = await claim(req.user.id, key, hash));
+    } catch (error) {
+      logger.error("Idempotency key error:", error);
+      return res.status(500).json({
+        success: false,
+        error: "Failed to process idempotency key",
+      });
+    }
+
+    if (!claimed) {
+      if (!record || record.status_code === null) {
+        return res.status(409).json({
+          success: false,
+          error: "A request with this Idempotency-Key is still in progress",
+        });
+      }
+      // Only a body with the same bytes may replay the stored response
+      let expected = hash;
+      if (streamed) {
+        try {
+          expected = fingerprint(req, await digestBody(req));
+        } catch (error) {
+          logger.error("Idempotency key error:", error);
+          return res.status(400).json({
+            success: false,
+            error: "Failed to read request body",
+          });
+        }
+      }
+      if (record.fingerprint !== expected) {
+        return res.status(422).json({
+          success: false,
+          error: "Idempotency-Key was already used for a different request",
+        });
+      }
+
+      res.set(parseJson(record.response_headers) || {});
+      res.set("Idempotent-Replayed", "true");
+      return res.status(record.status_code).json(parseJson(record.response_body));
+    }
+
+    // Store the response before sending it, so a retry arriving right
+    // after it sees the stored result rather than an in-flight key
+    let stored = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      stored = true;
+      const final = streamed ? req.bodyDigest && fingerprint(req, req.bodyDigest) : hash;
+      complete(record, res, body, final)
+        .catch((error) => logger.error("Idempotency key error:", error))
+        .finally(() => json(body));
+      return res;
+    };
+    res.on("close", () => {
+      if (!stored) {
+        release(record).catch((error) => logger.error("Idempotency key error:", error));
+      }
+    });
+    next();
+  }
+
+  // Remove expired keys on an interval; returns a function that stops it
+  function scheduleCleanup(intervalMs) {
+    const run = () =>
+      pool
+        .execute("DELETE FROM idempotency_keys WHERE expires_at < ?", [new Date()])
+        .catch((error) => logger.error("Idempotency key cleanup failed:", error));
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  return { idempotent, scheduleCleanup };
+}
+
+module.exports = { createIdempotency, streamedBody };
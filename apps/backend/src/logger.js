@@ -0,0 +1,81 @@
+const winston = require("winston");
+const { trace } = require("@opentelemetry/api");
+const { currentRequestId } = require("./context");
+
+// Keys whose values must never reach the logs, at any depth
+const SENSITIVE_KEY = /password|passwd|secret|token|authorization|cookie|api[-_]?key/i;
+
+// Attach the active trace and span IDs so log lines can be joined to traces
+const traceContext = winston.format((info) => {
+  const span = trace.getActiveSpan();
+  if (span) {
+    const { traceId, spanId } = span.spanContext();
+    info.trace_id = traceId;
+    info.span_id = spanId;
+  }
+  return info;
+});
+
+// Attach the ID of the request being handled, if any
+const requestContext = winston.format((info) => {
+  const requestId = currentRequestId();
+  if (requestId && !info.request_id) info.request_id = requestId;
+  return info;
+});
+
+function redactValue(value, seen) {
+  if (!value || typeof value !== "object" || value instanceof Date) return value;
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+  if (Array.isArray(value)) return value.map((item) => redactValue(item, seen));
+
+  // An Error's name, message and stack are not enumerable own properties
+  const copy =
+    value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY.test(key) ? "[REDACTED]" : redactValue(item, seen);
+  }
+  return copy;
+}
+
+// Replace sensitive fields with a placeholder. Only string keys are
+// touched, leaving winston's internal symbol keys intact.
+const redact = winston.format((info) => {
+  const seen = new Set([info]);
+  for (const [key, value] of Object.entries(info)) {
+    info[key] = SENSITIVE_KEY.test(key) ? "[REDACTED]" : redactValue(value, seen);
+  }
+  return info;
+});
+
+// Single-line JSON for log collectors; colorized text for local
+// development unless LOG_FORMAT asks otherwise
+const logFormat =
+  process.env.LOG_FORMAT || (process.env.NODE_ENV === "production" ? "json" : "pretty");
+
+// Configure Winston logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  format: winston.format.combine(
+    traceContext(),
+    requestContext(),
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redact(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(
+      logFormat === "json"
+        ? {}
+        : {
+            format: winston.format.combine(
+              winston.format.colorize(),
+              winston.format.simple()
+            ),
+          }
+    ),
+  ],
+});
+
+module.exports = logger;
@@ -0,0 +1,316 @@
+const promClient = require("prom-client");
+
+const register = promClient.register;
+
+// Collect default metrics
+promClient.collectDefaultMetrics({ register });
+
+// HTTP metrics
+const httpRequestDuration = new promClient.Histogram({
+  name: "http_request_duration_seconds",
+  help: "Duration of HTTP requests in seconds",
+  labelNames: ["method", "route", "status_code"],
+  buckets: [0.1, 0.3, 0.5, 0.7, 1, 3, 5, 7, 10],
+});
+
+const httpRequestsTotal = new promClient.Counter({
+  name: "http_requests_total",
+  help: "Total number of HTTP requests",
+  labelNames: ["method", "route", "status_code"],
+});
+
+// Requests per tenant for chargeback: counts, and the time spent serving
+// them. Only requests that resolved a tenant are counted.
+const tenantRequestsTotal = new promClient.Counter({
+  name: "tenant_http_requests_total",
+  help: "Total number of HTTP requests per tenant",
+  labelNames: ["tenant", "method", "status_code"],
+});
+
+const tenantRequestSeconds = new promClient.Counter({
+  name: "tenant_http_request_seconds_total",
+  help: "Total time spent serving HTTP requests per tenant in seconds",
+  labelNames: ["tenant"],
+});
+
+// Database metrics
+const databaseQueryDuration = new promClient.Histogram({
+  name: "database_query_duration_seconds",
+  help: "Duration of database queries in seconds",
+  labelNames: ["query_type"],
+  buckets: [0.01, 0.05, 0.1, 0.3, 0.5, 1, 3, 5],
+});
+
+const databaseQueryErrors = new promClient.Counter({
+  name: "database_query_errors_total",
+  help: "Total number of failed database queries",
+  labelNames: ["query_type"],
+});
+
+const databaseConnectionAcquireDuration = new promClient.Histogram({
+  name: "database_connection_acquire_duration_seconds",
+  help: "Time spent waiting for a connection from the pool in seconds",
+  labelNames: ["pool"],
+  buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5],
+});
+
+// Occupancy of every instrumented pool, labelled by pool name
+const instrumentedPools = new Map();
+const poolGauge = (name, help, read) =>
+  new promClient.Gauge({
+    name,
+    help,
+    labelNames: ["pool"],
+    collect() {
+      for (const [poolName, pool] of instrumentedPools) {
+        this.set({ pool: poolName }, read(pool.stats()));
+      }
+    },
+  });
+poolGauge(
+  "database_connections_active",
+  "Number of pool connections currently in use",
+  (stats) => stats.active
+);
+poolGauge(
+  "database_connections_idle",
+  "Number of open pool connections waiting to be used",
+  (stats) => stats.idle
+);
+poolGauge(
+  "database_connections_queued",
+  "Number of requests waiting for a pool connection",
+  (stats) => stats.queued
+);
+
+// Business metrics, mirroring the user_stats view
+const usersTotal = new promClient.Gauge({
+  name: "users_total",
+  help: "Number of users, excluding deleted ones",
+});
+
+const userSignups = new promClient.Gauge({
+  name: "user_signups",
+  help: "Number of users created within the period",
+  labelNames: ["period"],
+});
+
+const tenantUsers = new promClient.Gauge({
+  name: "tenant_users",
+  help: "Number of users per tenant, excluding deleted ones",
+  labelNames: ["tenant"],
+});
+
+// Route label for a request: the matched route template, so /api/users/123
+// and /api/users/456 share one series. Requests that matched no route
+// share a single label.
+function routeLabel(baseUrl, route) {
+  if (!route) return "unmatched";
+  const path = baseUrl + (route.path === "/" && baseUrl ? "" : route.path);
+  return path || "/";
+}
+
+// Route middleware noting the route label while req.baseUrl still holds
+// the router's mount path: once an error passed to next() reaches the
+// error handler, baseUrl is reset. Use first in route guards.
+function recordRoute(req, res, next) {
+  res.locals.route = routeLabel(req.baseUrl, req.route);
+  next();
+}
+
+// Middleware recording duration and count of every request, and per
+// tenant once a route has resolved one into req.tenant
+function httpMetrics() {
+  return (req, res, next) => {
+    const end = httpRequestDuration.startTimer();
+
+    res.on("finish", () => {
+      const labels = {
+        method: req.method,
+        route: res.locals.route || routeLabel(req.baseUrl, req.route),
+        status_code: String(res.statusCode),
+      };
+      const seconds = end(labels);
+      httpRequestsTotal.inc(labels);
+
+      if (req.tenant) {
+        const tenant = req.tenant.slug;
+        tenantRequestsTotal.inc({ tenant, method: req.method, status_code: labels.status_code });
+        tenantRequestSeconds.inc({ tenant }, seconds);
+      }
+    });
+    next();
+  };
+}
+
+const QUERY_TYPE = /^\s*(select|insert|update|delete|replace)\b/i;
+
+function queryType(sql) {
+  const match = QUERY_TYPE.exec(typeof sql === "string" ? sql : (sql && sql.sql) || "");
+  return match ? match[1].toLowerCase() : "other";
+}
+
+// Wrap the query and execute methods of a promise pool or connection so
+// each statement is timed and its failures counted
+function timeQueries(target) {
+  for (const method of ["query", "execute"]) {
+    const original = target[method].bind(target);
+    target[method] = async (sql, ...args) => {
+      const labels = { query_type: queryType(sql) };
+      const end = databaseQueryDuration.startTimer(labels);
+      try {
+        return await original(sql, ...args);
+      } catch (error) {
+        databaseQueryErrors.inc(labels);
+        throw error;
+      } finally {
+        end();
+      }
+    };
+  }
+  return target;
+}
+
+// Instrument a database pool: query timing, connection acquire time and
+// pool occupancy
+function instrumentPool(pool, name = "primary") {
+  pool.on("acquire", (seconds) => {
+    databaseConnectionAcquireDuration.observe({ pool: name }, seconds);
+  });
+
+  timeQueries(pool);
+  const getConnection = pool.getConnection.bind(pool);
+  pool.getConnection = async () => timeQueries(await getConnection());
+
+  instrumentedPools.set(name, pool);
+  return pool;
+}
+
+// Circuit breaker state (0 closed, 1 half-open, 2 open) and transitions
+const BREAKER_STATES = ["closed", "half_open", "open"];
+const circuitBreakerState = new promClient.Gauge({
+  name: "circuit_breaker_state",
+  help: "Circuit breaker state: 0 closed, 1 half-open, 2 open",
+  labelNames: ["name"],
+});
+const circuitBreakerTransitions = new promClient.Counter({
+  name: "circuit_breaker_transitions_total",
+  help: "Total number of circuit breaker state changes",
+  labelNames: ["name", "state"],
+});
+
+function instrumentBreaker(breaker) {
+  circuitBreakerState.set({ name: breaker.name }, 0);
+  breaker.onStateChange((state) => {
+    circuitBreakerState.set({ name: breaker.name }, BREAKER_STATES.indexOf(state));
+    circuitBreakerTransitions.inc({ name: breaker.name, state });
+  });
+  return breaker;
+}
+
+// Cache lookups, labelled by keyspace: the first two segments of the key,
+// such as users:list
+const cacheHits = new promClient.Counter({
+  name: "cache_hits_total",
+  help: "Total number of cache lookups that found an entry",
+  labelNames: ["keyspace"],
+});
+const cacheMisses = new promClient.Counter({
+  name: "cache_misses_total",
+  help: "Total number of cache lookups that found no entry",
+  labelNames: ["keyspace"],
+});
+
+function instrumentCache(cache) {
+  const get = cache.get.bind(cache);
+  cache.get = async (key) => {
+    const value = await get(key);
+    const keyspace = key.split(":").slice(0, 2).join(":");
+    (value === undefined ? cacheMisses : cacheHits).inc({ keyspace });
+    return value;
+  };
+  return cache;
+}
+
+// Scheduled backup snapshots: when the newest was stored, its age and
+// size, and failed attempts. Once snapshots are configured, the age is
+// infinite until one is stored.
+let lastSnapshotSeconds;
+const backupLastSuccess = new promClient.Gauge({
+  name: "backup_last_success_timestamp_seconds",
+  help: "Unix time of the newest stored backup snapshot",
+});
+new promClient.Gauge({
+  name: "backup_age_seconds",
+  help: "Seconds since the newest stored backup snapshot",
+  collect() {
+    if (lastSnapshotSeconds === null) this.set(Infinity);
+    else if (lastSnapshotSeconds !== undefined) this.set(Date.now() / 1000 - lastSnapshotSeconds);
+  },
+});
+const backupSize = new promClient.Gauge({
+  name: "backup_size_bytes",
+  help: "Size of the newest stored backup snapshot in bytes",
+});
+const backupFailures = new promClient.Counter({
+  name: "backup_failures_total",
+  help: "Total number of backup snapshots that failed",
+});
+
+function instrumentSnapshots(snapshots) {
+  if (lastSnapshotSeconds === undefined) lastSnapshotSeconds = null;
+  snapshots.onSnapshot((error, snapshot) => {
+    if (error) {
+      backupFailures.inc();
+      return;
+    }
+    lastSnapshotSeconds = Date.parse(snapshot.createdAt) / 1000;
+    backupLastSuccess.set(lastSnapshotSeconds);
+    backupSize.set(snapshot.size);
+  });
+  return snapshots;
+}
+
+// Refresh the business gauges on an interval; returns a function that
+// stops it
+function scheduleBusinessMetrics({ pool, logger, intervalMs }) {
+  const run = async () => {
+    try {
+      const [rows] = await pool.query(
+        "SELECT total_users, users_last_week, users_last_month FROM user_stats"
+      );
+      usersTotal.set(Number(rows[0].total_users));
+      userSignups.set({ period: "7d" }, Number(rows[0].users_last_week));
+      userSignups.set({ period: "30d" }, Number(rows[0].users_last_month));
+
+      const [tenants] = await pool.query(
+        `SELECT tenants.slug, COUNT(users.id) AS users
+         FROM tenants LEFT JOIN users ON users.tenant_id = tenants.id AND users.deleted_at IS NULL
+         GROUP BY tenants.slug`
+      );
+      // Deleted tenants drop out
+      tenantUsers.reset();
+      for (const tenant of tenants) {
+        tenantUsers.set({ tenant: tenant.slug }, Number(tenant.users));
+      }
+    } catch (error) {
+      logger.error("Business metrics refresh failed:", error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  register,
+  httpMetrics,
+  recordRoute,
+  instrumentPool,
+  instrumentBreaker,
+  instrumentCache,
+  instrumentSnapshots,
+  scheduleBusinessMetrics,
+};
@@ -0,0 +1,270 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { UndefinedTableError } = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+// 0001_create_users.up.sql is written for MariaDB; a database client can
+// override either direction with its own file, such as
+// 0001_create_users.postgres.up.sql
+const MIGRATION_FILE = /^(\d+)_([\w-]+)(?:\.(mariadb|postgres|sqlite))?\.(up|down)\.sql$/;
+const DEFAULT_CLIENT = "mariadb";
+const LOCK_NAME = "schema_migrations";
+const LOCK_TIMEOUT_SECONDS = 60;
+
+// Read the migration files for a database client from disk, ordered by
+// version
+function loadMigrations(directory = MIGRATIONS_DIR, client = DEFAULT_CLIENT) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(directory)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+
+    const [, version, name, fileClient, direction] = match;
+    if (fileClient && fileClient !== client) continue;
+    const migration = migrations.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has conflicting names: ${migration.name}, ${name}`);
+    }
+    migrations.set(version, migration);
+    // The client's own file wins over the default, whichever is read first
+    if (migration[direction] && !fileClient) continue;
+
+    const sql = fs.readFileSync(path.join(directory, file), "utf8");
+    migration[direction] = sql;
+    if (direction === "up") {
+      migration.checksum = crypto.createHash("sha256").update(sql).digest("hex");
+    }
+  }
+
+  return [...migrations.values()]
+    .map((migration) => {
+      if (!migration.up) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no up file`);
+      }
+      return migration;
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+// SQLite trigger bodies are BEGIN ... END blocks of statements
+const TRIGGER_BODY = /^\s*CREATE\s+TRIGGER\b[\s\S]*\bBEGIN\b/i;
+
+// Split a migration file into individual statements. Semicolons inside
+// PostgreSQL dollar-quoted bodies and SQLite trigger bodies do not end one.
+function splitStatements(sql) {
+  const statements = [];
+  let lines = [];
+  let dollarQuoted = false;
+
+  for (const line of sql.split("\n")) {
+    if (!dollarQuoted && line.trim().startsWith("--")) continue;
+    lines.push(line);
+    if ((line.match(/\$\$/g) || []).length % 2 === 1) dollarQuoted = !dollarQuoted;
+    if (dollarQuoted || !/;\s*$/.test(line)) continue;
+
+    const statement = lines.join("\n");
+    if (TRIGGER_BODY.test(statement) && !/\bEND;\s*$/i.test(line)) continue;
+    statements.push(statement.replace(/;\s*$/, ""));
+    lines = [];
+  }
+  statements.push(lines.join("\n"));
+
+  return statements.map((statement) => statement.trim()).filter(Boolean);
+}
+
+function createMigrator({ pool, logger, directory = MIGRATIONS_DIR }) {
+  const client = pool.client || DEFAULT_CLIENT;
+
+  // Run fn on a dedicated connection holding the migration advisory lock,
+  // so concurrently starting replicas apply migrations one at a time
+  async function withLock(fn) {
+    const connection = await pool.getConnection();
+    try {
+      if (!(await connection.lock(LOCK_NAME, LOCK_TIMEOUT_SECONDS))) {
+        throw new Error(`Timed out waiting for migration lock "${LOCK_NAME}"`);
+      }
+
+      try {
+        await connection.query(`
+          CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(32) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            execution_ms INT NOT NULL
+          )
+        `);
+        return await fn(connection);
+      } finally {
+        await connection.unlock(LOCK_NAME);
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  async function appliedMigrations(connection) {
+    const [rows] = await connection.query(
+      "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version"
+    );
+    return rows;
+  }
+
+  // Refuse to continue when an applied migration file was edited afterwards
+  function verifyChecksums(migrations, applied) {
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+    for (const row of applied) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        logger.warn(`Applied migration ${row.version}_${row.name} is missing from ${directory}`);
+      } else if (migration.checksum !== row.checksum) {
+        throw new Error(
+          `Checksum mismatch for migration ${row.version}_${row.name}: file was modified after it was applied`
+        );
+      }
+    }
+  }
+
+  async function runStatements(connection, sql) {
+    for (const statement of splitStatements(sql)) {
+      await connection.query(statement);
+    }
+  }
+
+  // Apply pending migrations, optionally stopping at a target version
+  async function up(target) {
+    const migrations = loadMigrations(directory, client);
+
+    return withLock(async (connection) => {
+      const applied = await appliedMigrations(connection);
+      verifyChecksums(migrations, applied);
+
+      const appliedVersions = new Set(applied.map((row) => row.version));
+      const pending = migrations.filter(
+        (m) =>
+          !appliedVersions.has(m.version) &&
+          (target === undefined || Number(m.version) <= Number(target))
+      );
+
+      for (const migration of pending) {
+        const start = Date.now();
+        await runStatements(connection, migration.up);
+        await connection.query(
+          "INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES (?, ?, ?, ?)",
+          [migration.version, migration.name, migration.checksum, Date.now() - start]
+        );
+        logger.info(`Applied migration ${migration.version}_${migration.name}`);
+      }
+
+      if (pending.length === 0) {
+        logger.info("Database schema is up to date");
+      }
+      return pending.map((m) => `${m.version}_${m.name}`);
+    });
+  }
+
+  // Revert the most recently applied migrations
+  async function down(steps = 1) {
+    const migrations = loadMigrations(directory, client);
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+
+    return withLock(async (connection) => {
+      const applied = await appliedMigrations(connection);
+      verifyChecksums(migrations, applied);
+
+      const reverting = applied.slice(-steps).reverse();
+      for (const row of reverting) {
+        const migration = byVersion.get(row.version);
+        if (!migration || !migration.down) {
+          throw new Error(`Migration ${row.version}_${row.name} has no down file`);
+        }
+        await runStatements(connection, migration.down);
+        await connection.query("DELETE FROM schema_migrations WHERE version = ?", [
+          row.version,
+        ]);
+        logger.info(`Reverted migration ${row.version}_${row.name}`);
+      }
+      return reverting.map((row) => `${row.version}_${row.name}`);
+    });
+  }
+
+  // List every known migration with its applied state
+  async function status() {
+    const migrations = loadMigrations(directory, client);
+
+    return withLock(async (connection) => {
+      const applied = await appliedMigrations(connection);
+      const byVersion = new Map(applied.map((row) => [row.version, row]));
+      return migrations.map((m) => {
+        const row = byVersion.get(m.version);
+        return {
+          version: m.version,
+          name: m.name,
+          applied: Boolean(row),
+          appliedAt: row ? row.applied_at : null,
+          checksumMatches: row ? row.checksum === m.checksum : null,
+        };
+      });
+    });
+  }
+
+  // Versions on disk that are not applied yet. Reads without taking the
+  // migration lock, so it is cheap enough for health checks.
+  async function pending() {
+    const migrations = loadMigrations(directory, client);
+    let applied = [];
+    try {
+      [applied] = await pool.query("SELECT version FROM schema_migrations");
+    } catch (error) {
+      if (!(error instanceof UndefinedTableError)) throw error;
+    }
+    const appliedVersions = new Set(applied.map((row) => row.version));
+    return migrations
+      .filter((m) => !appliedVersions.has(m.version))
+      .map((m) => `${m.version}_${m.name}`);
+  }
+
+  return { up, down, status, pending };
+}
+
+// CLI: node src/migrate.js [up [version] | down [steps] | status]
+async function main(argv) {
+  require("dotenv").config();
+  const logger = require("./logger");
+  const { loadConfig } = require("./config");
+  const { createPool } = require("./db");
+
+  const [command = "up", arg] = argv;
+  const pool = createPool(loadConfig().database);
+  const migrator = createMigrator({ pool, logger });
+
+  try {
+    if (command === "up") {
+      await migrator.up(arg);
+    } else if (command === "down") {
+      await migrator.down(arg ? parseInt(arg, 10) : 1);
+    } else if (command === "status") {
+      for (const m of await migrator.status()) {
+        const state = m.applied
+          ? `applied ${new Date(m.appliedAt).toISOString()}${m.checksumMatches ? "" : " (checksum mismatch)"}`
+          : "pending";
+        console.log(`${m.version}_${m.name}\t${state}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}", expected up, down or status`);
+    }
+  } catch (error) {
+    logger.error("Migration failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { createMigrator, loadMigrations, splitStatements };
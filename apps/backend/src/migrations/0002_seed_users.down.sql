@@ -0,0 +1,7 @@
+DELETE FROM users WHERE email IN (
+    'john.doe@example.com',
+    'jane.smith@example.com',
+    'bob.johnson@example.com',
+    'alice.brown@example.com',
+    'charlie.wilson@example.com'
+);
@@ -0,0 +1,10 @@
+-- Sample data, only inserted into an empty table
+INSERT INTO users (name, email)
+SELECT seed.name, seed.email FROM (
+    SELECT 'John Doe' AS name, 'john.doe@example.com' AS email
+    UNION ALL SELECT 'Jane Smith', 'jane.smith@example.com'
+    UNION ALL SELECT 'Bob Johnson', 'bob.johnson@example.com'
+    UNION ALL SELECT 'Alice Brown', 'alice.brown@example.com'
+    UNION ALL SELECT 'Charlie Wilson', 'charlie.wilson@example.com'
+) AS seed
+WHERE NOT EXISTS (SELECT 1 FROM users);
@@ -0,0 +1,9 @@
+-- View for user statistics
+CREATE OR REPLACE VIEW user_stats AS
+SELECT
+    COUNT(*) as total_users,
+    COUNT(*) FILTER (WHERE created_at >= CURRENT_DATE - INTERVAL '7 days') as users_last_week,
+    COUNT(*) FILTER (WHERE created_at >= CURRENT_DATE - INTERVAL '30 days') as users_last_month,
+    MIN(created_at) as first_user_created,
+    MAX(created_at) as last_user_created
+FROM users;
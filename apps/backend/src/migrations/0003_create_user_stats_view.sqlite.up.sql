@@ -0,0 +1,11 @@
+-- View for user statistics
+DROP VIEW IF EXISTS user_stats;
+
+CREATE VIEW user_stats AS
+SELECT
+    COUNT(*) as total_users,
+    COUNT(CASE WHEN created_at >= strftime('%Y-%m-%dT%H:%M:%fZ', 'now', 'start of day', '-7 days') THEN 1 END) as users_last_week,
+    COUNT(CASE WHEN created_at >= strftime('%Y-%m-%dT%H:%M:%fZ', 'now', 'start of day', '-30 days') THEN 1 END) as users_last_month,
+    MIN(created_at) as first_user_created,
+    MAX(created_at) as last_user_created
+FROM users;
@@ -0,0 +1,12 @@
+CREATE OR REPLACE VIEW user_stats AS
+SELECT
+    COUNT(*) as total_users,
+    COUNT(CASE WHEN created_at >= DATE_SUB(CURDATE(), INTERVAL 7 DAY) THEN 1 END) as users_last_week,
+    COUNT(CASE WHEN created_at >= DATE_SUB(CURDATE(), INTERVAL 30 DAY) THEN 1 END) as users_last_month,
+    MIN(created_at) as first_user_created,
+    MAX(created_at) as last_user_created
+FROM users;
+
+DROP INDEX IF EXISTS idx_users_deleted_at ON users;
+
+ALTER TABLE users DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,17 @@
+-- Soft delete: deleted rows keep their data until purged
+ALTER TABLE users ADD COLUMN deleted_at TEXT NULL DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_deleted_at ON users(deleted_at);
+
+-- Statistics only count live users
+DROP VIEW IF EXISTS user_stats;
+
+CREATE VIEW user_stats AS
+SELECT
+    COUNT(*) as total_users,
+    COUNT(CASE WHEN created_at >= strftime('%Y-%m-%dT%H:%M:%fZ', 'now', 'start of day', '-7 days') THEN 1 END) as users_last_week,
+    COUNT(CASE WHEN created_at >= strftime('%Y-%m-%dT%H:%M:%fZ', 'now', 'start of day', '-30 days') THEN 1 END) as users_last_month,
+    MIN(created_at) as first_user_created,
+    MAX(created_at) as last_user_created
+FROM users
+WHERE deleted_at IS NULL;
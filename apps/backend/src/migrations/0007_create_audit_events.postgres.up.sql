@@ -0,0 +1,20 @@
+-- Audit trail of every mutation, with before/after snapshots and a field diff
+CREATE TABLE IF NOT EXISTS audit_events (
+    id BIGSERIAL PRIMARY KEY,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id INT NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    actor_id INT NULL,
+    actor VARCHAR(100) NULL,
+    request_id VARCHAR(100) NULL,
+    before_data JSONB NULL,
+    after_data JSONB NULL,
+    changes JSONB NULL,
+    created_at TIMESTAMPTZ(3) DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events(entity_type, entity_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at);
@@ -0,0 +1,17 @@
+DROP INDEX IF EXISTS idx_audit_events_tenant ON audit_events;
+
+ALTER TABLE audit_events DROP COLUMN IF EXISTS tenant_id;
+
+ALTER TABLE accounts DROP FOREIGN KEY IF EXISTS fk_accounts_tenant;
+
+ALTER TABLE accounts DROP COLUMN IF EXISTS tenant_id;
+
+ALTER TABLE users ADD UNIQUE INDEX IF NOT EXISTS email (email);
+
+ALTER TABLE users DROP FOREIGN KEY IF EXISTS fk_users_tenant;
+
+ALTER TABLE users DROP INDEX IF EXISTS uq_users_tenant_email;
+
+ALTER TABLE users DROP COLUMN IF EXISTS tenant_id;
+
+DROP TABLE IF EXISTS tenants;
@@ -0,0 +1,13 @@
+DROP INDEX IF EXISTS idx_audit_events_tenant;
+
+ALTER TABLE audit_events DROP COLUMN IF EXISTS tenant_id;
+
+ALTER TABLE accounts DROP COLUMN IF EXISTS tenant_id;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS uq_users_tenant_email;
+
+ALTER TABLE users ADD CONSTRAINT users_email_key UNIQUE (email);
+
+ALTER TABLE users DROP COLUMN IF EXISTS tenant_id;
+
+DROP TABLE IF EXISTS tenants;
@@ -0,0 +1,38 @@
+-- Tenants own users, so one deployment can serve several teams. Slugs
+-- are DNS labels and select a tenant by header, subdomain or token claim.
+CREATE TABLE IF NOT EXISTS tenants (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(63) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS tenants_set_updated_at ON tenants;
+
+CREATE TRIGGER tenants_set_updated_at BEFORE UPDATE ON tenants
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Existing users and audit events belong to the default tenant
+INSERT INTO tenants (id, slug, name) VALUES (1, 'default', 'Default') ON CONFLICT DO NOTHING;
+
+SELECT setval(pg_get_serial_sequence('tenants', 'id'), (SELECT MAX(id) FROM tenants));
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tenant_id INT NOT NULL DEFAULT 1
+    CONSTRAINT fk_users_tenant REFERENCES tenants(id);
+
+-- Emails are unique per tenant
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_key;
+
+ALTER TABLE users ADD CONSTRAINT uq_users_tenant_email UNIQUE (tenant_id, email);
+
+-- Accounts with a tenant may only use that one; the others choose
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS tenant_id INT NULL DEFAULT NULL
+    CONSTRAINT fk_accounts_tenant REFERENCES tenants(id);
+
+-- Audit events outlive their tenant, so no foreign key here
+ALTER TABLE audit_events ADD COLUMN IF NOT EXISTS tenant_id INT NULL DEFAULT NULL;
+
+UPDATE audit_events SET tenant_id = 1 WHERE entity_type = 'user' AND tenant_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_tenant ON audit_events(tenant_id, created_at);
@@ -0,0 +1,48 @@
+DROP INDEX IF EXISTS idx_audit_events_tenant;
+
+ALTER TABLE audit_events DROP COLUMN tenant_id;
+
+ALTER TABLE accounts DROP COLUMN tenant_id;
+
+DROP VIEW IF EXISTS user_stats;
+
+CREATE TABLE users_old (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(100) COLLATE NOCASE UNIQUE NOT NULL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    version INTEGER NOT NULL DEFAULT 1,
+    deleted_at TEXT NULL DEFAULT NULL
+);
+
+INSERT INTO users_old (id, name, email, created_at, updated_at, version, deleted_at)
+SELECT id, name, email, created_at, updated_at, version, deleted_at FROM users;
+
+DROP TABLE users;
+
+ALTER TABLE users_old RENAME TO users;
+
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at);
+
+CREATE INDEX IF NOT EXISTS idx_users_deleted_at ON users(deleted_at);
+
+CREATE TRIGGER IF NOT EXISTS users_set_updated_at AFTER UPDATE ON users
+FOR EACH ROW WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+    UPDATE users SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE VIEW user_stats AS
+SELECT
+    COUNT(*) as total_users,
+    COUNT(CASE WHEN created_at >= strftime('%Y-%m-%dT%H:%M:%fZ', 'now', 'start of day', '-7 days') THEN 1 END) as users_last_week,
+    COUNT(CASE WHEN created_at >= strftime('%Y-%m-%dT%H:%M:%fZ', 'now', 'start of day', '-30 days') THEN 1 END) as users_last_month,
+    MIN(created_at) as first_user_created,
+    MAX(created_at) as last_user_created
+FROM users
+WHERE deleted_at IS NULL;
+
+DROP TABLE IF EXISTS tenants;
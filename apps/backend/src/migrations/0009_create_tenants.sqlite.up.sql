@@ -0,0 +1,74 @@
+-- Tenants own users, so one deployment can serve several teams. Slugs
+-- are DNS labels and select a tenant by header, subdomain or token claim.
+CREATE TABLE IF NOT EXISTS tenants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug VARCHAR(63) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TRIGGER IF NOT EXISTS tenants_set_updated_at AFTER UPDATE ON tenants
+FOR EACH ROW WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+    UPDATE tenants SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+-- Existing users and audit events belong to the default tenant
+INSERT OR IGNORE INTO tenants (id, slug, name) VALUES (1, 'default', 'Default');
+
+-- Emails become unique per tenant. SQLite cannot drop the column's own
+-- UNIQUE constraint, so the table is rebuilt; nothing references it.
+DROP VIEW IF EXISTS user_stats;
+
+CREATE TABLE users_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tenant_id INTEGER NOT NULL DEFAULT 1,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(100) COLLATE NOCASE NOT NULL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    version INTEGER NOT NULL DEFAULT 1,
+    deleted_at TEXT NULL DEFAULT NULL,
+    CONSTRAINT uq_users_tenant_email UNIQUE (tenant_id, email),
+    CONSTRAINT fk_users_tenant FOREIGN KEY (tenant_id) REFERENCES tenants(id)
+);
+
+INSERT INTO users_new (id, name, email, created_at, updated_at, version, deleted_at)
+SELECT id, name, email, created_at, updated_at, version, deleted_at FROM users;
+
+DROP TABLE users;
+
+ALTER TABLE users_new RENAME TO users;
+
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at);
+
+CREATE INDEX IF NOT EXISTS idx_users_deleted_at ON users(deleted_at);
+
+CREATE TRIGGER IF NOT EXISTS users_set_updated_at AFTER UPDATE ON users
+FOR EACH ROW WHEN NEW.updated_at = OLD.updated_at
+BEGIN
+    UPDATE users SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id;
+END;
+
+CREATE VIEW user_stats AS
+SELECT
+    COUNT(*) as total_users,
+    COUNT(CASE WHEN created_at >= strftime('%Y-%m-%dT%H:%M:%fZ', 'now', 'start of day', '-7 days') THEN 1 END) as users_last_week,
+    COUNT(CASE WHEN created_at >= strftime('%Y-%m-%dT%H:%M:%fZ', 'now', 'start of day', '-30 days') THEN 1 END) as users_last_month,
+    MIN(created_at) as first_user_created,
+    MAX(created_at) as last_user_created
+FROM users
+WHERE deleted_at IS NULL;
+
+-- Accounts with a tenant may only use that one; the others choose
+ALTER TABLE accounts ADD COLUMN tenant_id INTEGER NULL DEFAULT NULL REFERENCES tenants(id);
+
+-- Audit events outlive their tenant, so no foreign key here
+ALTER TABLE audit_events ADD COLUMN tenant_id INTEGER NULL DEFAULT NULL;
+
+UPDATE audit_events SET tenant_id = 1 WHERE entity_type = 'user' AND tenant_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_tenant ON audit_events(tenant_id, created_at);
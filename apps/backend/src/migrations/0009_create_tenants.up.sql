@@ -0,0 +1,33 @@
+-- Tenants own users, so one deployment can serve several teams. Slugs
+-- are DNS labels and select a tenant by header, subdomain or token claim.
+CREATE TABLE IF NOT EXISTS tenants (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    slug VARCHAR(63) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Existing users and audit events belong to the default tenant
+INSERT IGNORE INTO tenants (id, slug, name) VALUES (1, 'default', 'Default');
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tenant_id INT NOT NULL DEFAULT 1 AFTER id;
+
+ALTER TABLE users ADD CONSTRAINT fk_users_tenant FOREIGN KEY IF NOT EXISTS (tenant_id) REFERENCES tenants(id);
+
+-- Emails are unique per tenant
+ALTER TABLE users DROP INDEX IF EXISTS email;
+
+ALTER TABLE users ADD UNIQUE INDEX IF NOT EXISTS uq_users_tenant_email (tenant_id, email);
+
+-- Accounts with a tenant may only use that one; the others choose
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS tenant_id INT NULL DEFAULT NULL;
+
+ALTER TABLE accounts ADD CONSTRAINT fk_accounts_tenant FOREIGN KEY IF NOT EXISTS (tenant_id) REFERENCES tenants(id);
+
+-- Audit events outlive their tenant, so no foreign key here
+ALTER TABLE audit_events ADD COLUMN IF NOT EXISTS tenant_id INT NULL DEFAULT NULL;
+
+UPDATE audit_events SET tenant_id = 1 WHERE entity_type = 'user' AND tenant_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_tenant ON audit_events(tenant_id, created_at);
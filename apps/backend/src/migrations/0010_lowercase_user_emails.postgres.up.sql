@@ -0,0 +1,23 @@
+-- The API stores emails lowercase; bring older rows in line so lookups
+-- and the unique key agree whatever the column's collation. Where a
+-- case-sensitive collation let one address in twice within a tenant, the
+-- oldest live user keeps it and the others move to the trash.
+UPDATE users u SET deleted_at = CURRENT_TIMESTAMP, version = u.version + 1
+WHERE u.deleted_at IS NULL AND EXISTS (
+    SELECT 1 FROM users keeper
+    WHERE keeper.tenant_id = u.tenant_id
+        AND LOWER(keeper.email::text) = LOWER(u.email::text)
+        AND keeper.id < u.id
+        AND keeper.deleted_at IS NULL
+);
+
+-- Users in the trash keep their address when another user shares it;
+-- live ones only when the lowercase form is already taken as is
+UPDATE users u SET email = LOWER(u.email::text)
+WHERE u.email::text <> LOWER(u.email::text) AND NOT EXISTS (
+    SELECT 1 FROM users twin
+    WHERE twin.tenant_id = u.tenant_id
+        AND LOWER(twin.email::text) = LOWER(u.email::text)
+        AND twin.id <> u.id
+        AND (u.deleted_at IS NOT NULL OR twin.email::text = LOWER(u.email::text))
+);
@@ -0,0 +1,25 @@
+-- The API stores emails lowercase; bring older rows in line so lookups
+-- and the unique key agree whatever the column's collation. Where a
+-- case-sensitive collation let one address in twice within a tenant, the
+-- oldest live user keeps it and the others move to the trash.
+UPDATE users SET
+    deleted_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now'),
+    version = version + 1
+WHERE deleted_at IS NULL AND EXISTS (
+    SELECT 1 FROM users keeper
+    WHERE keeper.tenant_id = users.tenant_id
+        AND LOWER(keeper.email) = LOWER(users.email)
+        AND keeper.id < users.id
+        AND keeper.deleted_at IS NULL
+);
+
+-- Users in the trash keep their address when another user shares it;
+-- live ones only when the lowercase form is already taken as is
+UPDATE users SET email = LOWER(email)
+WHERE email COLLATE BINARY <> LOWER(email) AND NOT EXISTS (
+    SELECT 1 FROM users twin
+    WHERE twin.tenant_id = users.tenant_id
+        AND LOWER(twin.email) = LOWER(users.email)
+        AND twin.id <> users.id
+        AND (users.deleted_at IS NOT NULL OR twin.email COLLATE BINARY = LOWER(users.email))
+);
@@ -0,0 +1,23 @@
+-- The API stores emails lowercase; bring older rows in line so lookups
+-- and the unique key agree whatever the column's collation. Where a
+-- case-sensitive collation let one address in twice within a tenant, the
+-- oldest live user keeps it and the others move to the trash.
+UPDATE users u
+JOIN users keeper
+    ON keeper.tenant_id = u.tenant_id
+    AND LOWER(keeper.email) = LOWER(u.email)
+    AND keeper.id < u.id
+    AND keeper.deleted_at IS NULL
+SET u.deleted_at = CURRENT_TIMESTAMP, u.version = u.version + 1
+WHERE u.deleted_at IS NULL;
+
+-- Users in the trash keep their address when another user shares it;
+-- live ones only when the lowercase form is already taken as is
+UPDATE users u
+LEFT JOIN users twin
+    ON twin.tenant_id = u.tenant_id
+    AND LOWER(twin.email) = LOWER(u.email)
+    AND twin.id <> u.id
+    AND (u.deleted_at IS NOT NULL OR BINARY twin.email = LOWER(u.email))
+SET u.email = LOWER(u.email)
+WHERE twin.id IS NULL AND BINARY u.email <> LOWER(u.email);
@@ -0,0 +1,902 @@
+const express = require("express");
+const swaggerUi = require("swagger-ui-express");
+const { partial, SLUG_PATTERN } = require("./validation");
+const {
+  userBody,
+  userIdParams,
+  listUsersQuery,
+  getUserQuery,
+  loginBody,
+  refreshBody,
+  auditQuery,
+  importQuery,
+  exportQuery,
+  backupQuery,
+  restoreQuery,
+  tenantBody,
+  tenantIdParams,
+} = require("./schemas");
+
+// OpenAPI 3.1 description of the API. Parameters and request bodies are
+// derived from the validation schemas, so the document cannot drift from
+// what the routes accept.
+
+// JSON Schema for a single validation rule
+function ruleSchema(rule) {
+  if (rule.type === "integer") {
+    return { type: "integer", minimum: rule.min, maximum: rule.max };
+  }
+  if (rule.type === "date") {
+    return { type: "string", format: "date-time" };
+  }
+  // Slugs are not a JSON Schema format, so they become a pattern
+  const slug = rule.format === "slug";
+  return {
+    type: "string",
+    minLength: rule.minLength,
+    maxLength: rule.maxLength,
+    format: slug ? undefined : rule.format,
+    pattern: slug ? SLUG_PATTERN.source : undefined,
+    enum: rule.enum,
+  };
+}
+
+// Drop keys left undefined by ruleSchema, which JSON output would omit
+// anyway but validators reject
+function compact(object) {
+  return JSON.parse(JSON.stringify(object));
+}
+
+function parameters(schema, location) {
+  return Object.entries(schema).map(([name, rule]) =>
+    compact({
+      name,
+      in: location,
+      required: location === "path" || Boolean(rule.required),
+      schema: ruleSchema(rule),
+    })
+  );
+}
+
+// Request bodies reject unknown fields, see validateObject
+function bodySchema(schema) {
+  return compact({
+    type: "object",
+    properties: Object.fromEntries(
+      Object.entries(schema).map(([name, rule]) => [name, ruleSchema(rule)])
+    ),
+    required: Object.keys(schema).filter((name) => schema[name].required),
+    additionalProperties: false,
+  });
+}
+
+function jsonBody(schema) {
+  return { required: true, content: { "application/json": { schema } } };
+}
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+
+function json(description, schema, headers) {
+  return compact({ description, headers, content: { "application/json": { schema } } });
+}
+
+// The { success: true, data } envelope around a payload
+function success(data, extra = {}) {
+  return {
+    type: "object",
+    properties: { success: { const: true }, data, ...extra },
+    required: ["success", "data"],
+  };
+}
+
+const message = {
+  type: "object",
+  properties: { success: { const: true }, message: { type: "string" } },
+  required: ["success", "message"],
+};
+
+const header = (description, schema = { type: "string" }) => ({ description, schema });
+const etagHeader = { ETag: header("Entity tag of the returned user") };
+const idempotencyKey = {
+  name: "Idempotency-Key",
+  in: "header",
+  required: false,
+  description: "Retries with the same key replay the first response",
+  schema: { type: "string", minLength: 1, maxLength: 255 },
+};
+const ifMatch = {
+  name: "If-Match",
+  in: "header",
+  required: false,
+  description: "Only apply the change if the user still has one of these ETags",
+  schema: { type: "string" },
+};
+const tenantHeader = {
+  name: "X-Tenant",
+  in: "header",
+  required: false,
+  description:
+    "Slug of the tenant to work in. Without it the subdomain names the tenant, else the " +
+    "default one is used. Accounts pinned to a tenant may only name their own.",
+  schema: { type: "string", maxLength: 63, pattern: SLUG_PATTERN.source },
+};
+const ifNoneMatch = {
+  name: "If-None-Match",
+  in: "header",
+  required: false,
+  description: "Answer 304 when the response still has one of these ETags",
+  schema: { type: "string" },
+};
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+  },
+  schemas: {
+    User: {
+      type: "object",
+      properties: {
+        id: { type: "integer" },
+        tenant_id: { type: "integer" },
+        name: { type: "string" },
+        email: { type: "string" },
+        created_at: { type: "string", format: "date-time" },
+        updated_at: { type: "string", format: "date-time" },
+        deleted_at: { type: ["string", "null"], format: "date-time" },
+        version: { type: "integer", minimum: 1 },
+      },
+      required: ["id", "tenant_id", "name", "email", "created_at", "updated_at", "version"],
+    },
+    Tenant: {
+      type: "object",
+      properties: {
+        id: { type: "integer" },
+        slug: { type: "string" },
+        name: { type: "string" },
+        created_at: { type: "string", format: "date-time" },
+        updated_at: { type: "string", format: "date-time" },
+        user_count: { type: "integer", description: "Live users; admin endpoints only" },
+      },
+      required: ["id", "slug", "name", "created_at", "updated_at"],
+    },
+    Account: {
+      type: "object",
+      properties: {
+        id: { type: "integer" },
+        username: { type: "string" },
+        role: { type: "string", enum: ["viewer", "editor", "admin"] },
+        tenant: {
+          type: ["string", "null"],
+          description: "Slug of the only tenant the account may work in",
+        },
+      },
+      required: ["id", "username", "role"],
+    },
+    TokenPair: {
+      type: "object",
+      properties: {
+        accessToken: { type: "string" },
+        refreshToken: { type: "string" },
+        expiresIn: { type: "integer", description: "Access token lifetime in seconds" },
+        account: ref("Account"),
+      },
+      required: ["accessToken", "refreshToken", "expiresIn", "account"],
+    },
+    AuditEvent: {
+      type: "object",
+      properties: {
+        id: { type: "integer" },
+        entityType: { type: "string" },
+        entityId: { type: "integer" },
+        action: { type: "string", enum: ["create", "update", "delete", "restore"] },
+        actorId: { type: ["integer", "null"] },
+        actor: { type: ["string", "null"] },
+        requestId: { type: ["string", "null"] },
+        before: { type: ["object", "null"] },
+        after: { type: ["object", "null"] },
+        changes: {
+          type: "object",
+          description: "Changed fields as { field: { from, to } }",
+        },
+        createdAt: { type: "string", format: "date-time" },
+      },
+      required: ["id", "entityType", "entityId", "action", "changes", "createdAt"],
+    },
+    ImportResult: {
+      type: "object",
+      properties: {
+        dryRun: { type: "boolean" },
+        onConflict: { type: "string", enum: ["skip", "upsert"] },
+        batchSize: { type: "integer" },
+        summary: {
+          type: "object",
+          description: "Number of rows per status",
+          additionalProperties: { type: "integer" },
+        },
+        results: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              row: { type: "integer" },
+              status: {
+                type: "string",
+                enum: ["created", "updated", "unchanged", "merged", "skipped", "invalid"],
+              },
+              id: { type: "integer" },
+              mergedInto: { type: "integer" },
+              reason: { type: "string" },
+              errors: { type: "array", items: ref("FieldError") },
+            },
+            required: ["row", "status"],
+          },
+        },
+      },
+      required: ["dryRun", "onConflict", "batchSize", "summary", "results"],
+    },
+    RestoreResult: {
+      type: "object",
+      properties: {
+        dryRun: { type: "boolean" },
+        schemaVersion: { type: "string" },
+        createdAt: { type: "string", format: "date-time" },
+        rows: {
+          type: "object",
+          description: "Number of rows restored per table",
+          additionalProperties: { type: "integer" },
+        },
+      },
+      required: ["dryRun", "schemaVersion", "createdAt", "rows"],
+    },
+    Snapshot: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        size: { type: "integer" },
+        createdAt: { type: "string", format: "date-time" },
+      },
+      required: ["name", "size", "createdAt"],
+    },
+    HealthReport: {
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["healthy", "degraded", "unhealthy"] },
+        timestamp: { type: "string", format: "date-time" },
+        uptime: { type: "number" },
+        version: { type: "string" },
+        shuttingDown: { type: "boolean" },
+        checks: { type: "object", additionalProperties: ref("HealthCheck") },
+      },
+      required: ["status", "timestamp", "uptime", "version", "shuttingDown", "checks"],
+    },
+    HealthCheck: {
+      type: "object",
+      description: "Result of one check, with check-specific details",
+      properties: {
+        status: { type: "string", enum: ["healthy", "degraded", "unhealthy"] },
+        error: { type: "string" },
+        latencyMs: { type: "number" },
+      },
+      required: ["status"],
+    },
+    FieldError: {
+      type: "object",
+      properties: {
+        field: { type: ["string", "null"] },
+        location: { type: "string", enum: ["params", "query", "body"] },
+        message: { type: "string" },
+      },
+      required: ["field", "location", "message"],
+    },
+    Error: {
+      type: "object",
+      properties: {
+        success: { const: false },
+        error: { type: "string" },
+        requestId: { type: "string", description: "Also sent as X-Request-Id" },
+        details: { type: "array", items: ref("FieldError") },
+        data: { description: "Current state of the resource, when relevant" },
+      },
+      required: ["success", "error"],
+    },
+  },
+  responses: {
+    ValidationError: json("Invalid parameters or body", ref("Error")),
+    Unauthorized: json("Missing or invalid access token", ref("Error")),
+    Forbidden: json("The account's role or tenant does not allow this", ref("Error")),
+    NotFound: json("User or tenant not found", ref("Error")),
+    TenantNotFound: json("Tenant not found", ref("Error")),
+    Conflict: json("Conflicts with the current state", ref("Error")),
+    EmailConflict: json(
+      "Email already exists. When it belongs to a deleted user, data holds that user so " +
+        "it can be restored instead",
+      ref("Error")
+    ),
+    PreconditionFailed: json("If-Match did not match; data holds the current user", ref("Error")),
+    TooLarge: json("Request body too large", ref("Error")),
+    IdempotencyMismatch: json(
+      "Idempotency-Key was reused for a different request",
+      ref("Error")
+    ),
+    TooManyRequests: json("Rate limit exceeded", ref("Error"), {
+      "Retry-After": header("Seconds to wait before retrying", { type: "integer" }),
+    }),
+    ServerError: json("Unexpected server error", ref("Error")),
+    Unavailable: json("The database is unavailable", ref("Error"), {
+      "Retry-After": header("Seconds to wait before retrying", { type: "integer" }),
+    }),
+  },
+};
+
+// Responses every authenticated API route can give
+const apiErrors = {
+  401: response("Unauthorized"),
+  403: response("Forbidden"),
+  429: response("TooManyRequests"),
+  500: response("ServerError"),
+  503: response("Unavailable"),
+};
+const writeErrors = {
+  ...apiErrors,
+  409: response("Conflict"),
+  422: response("IdempotencyMismatch"),
+};
+// Routes scoped to a tenant also answer 404 for an unknown one
+const tenantErrors = { ...apiErrors, 404: response("TenantNotFound") };
+const tenantWriteErrors = { ...writeErrors, 404: response("TenantNotFound") };
+
+const userIdPath = [...parameters(userIdParams, "path"), tenantHeader];
+const userResponse = (description, headers = etagHeader) =>
+  json(description, success(ref("User")), headers);
+const tenantIdPath = parameters(tenantIdParams, "path");
+const tenantResponse = (description) => json(description, success(ref("Tenant")));
+
+const paths = {
+  "/health": {
+    get: {
+      tags: ["Operations"],
+      summary: "Full health report",
+      responses: {
+        200: json("Healthy or degraded", ref("HealthReport")),
+        503: json("Unhealthy", ref("HealthReport")),
+      },
+    },
+  },
+  "/ready": {
+    get: {
+      tags: ["Operations"],
+      summary: "Readiness probe, critical checks only",
+      responses: {
+        200: json("Ready", readiness("ready")),
+        503: json("Not ready", readiness("not ready")),
+      },
+    },
+  },
+  "/live": {
+    get: {
+      tags: ["Operations"],
+      summary: "Liveness probe",
+      responses: {
+        200: json("Alive", {
+          type: "object",
+          properties: { status: { const: "alive" } },
+          required: ["status"],
+        }),
+      },
+    },
+  },
+  "/metrics": {
+    get: {
+      tags: ["Operations"],
+      summary: "Prometheus metrics",
+      responses: {
+        200: { description: "Metrics", content: { "text/plain": { schema: { type: "string" } } } },
+        500: { description: "Metrics collection failed" },
+      },
+    },
+  },
+  "/api/openapi.json": {
+    get: {
+      tags: ["Operations"],
+      summary: "This document",
+      responses: {
+        200: json("OpenAPI document", { type: "object" }),
+        429: response("TooManyRequests"),
+      },
+    },
+  },
+  "/api/docs": {
+    get: {
+      tags: ["Operations"],
+      summary: "Interactive API documentation",
+      responses: {
+        200: { description: "Swagger UI", content: { "text/html": { schema: { type: "string" } } } },
+      },
+    },
+  },
+  "/api/auth/login": {
+    post: {
+      tags: ["Auth"],
+      summary: "Exchange username and password for a token pair",
+      requestBody: jsonBody(bodySchema(loginBody)),
+      responses: {
+        200: json("Signed in", success(ref("TokenPair"))),
+        400: response("ValidationError"),
+        401: json("Invalid username or password", ref("Error")),
+        413: response("TooLarge"),
+        429: response("TooManyRequests"),
+        500: response("ServerError"),
+        503: response("Unavailable"),
+      },
+    },
+  },
+  "/api/auth/refresh": {
+    post: {
+      tags: ["Auth"],
+      summary: "Rotate a refresh token into a new token pair",
+      requestBody: jsonBody(bodySchema(refreshBody)),
+      responses: {
+        200: json("New token pair", success(ref("TokenPair"))),
+        400: response("ValidationError"),
+        401: json("Invalid, expired or reused refresh token", ref("Error")),
+        429: response("TooManyRequests"),
+        500: response("ServerError"),
+        503: response("Unavailable"),
+      },
+    },
+  },
+  "/api/auth/logout": {
+    post: {
+      tags: ["Auth"],
+      summary: "Revoke a refresh token",
+      requestBody: jsonBody(bodySchema(refreshBody)),
+      responses: {
+        200: json("Signed out", message),
+        400: response("ValidationError"),
+        429: response("TooManyRequests"),
+        500: response("ServerError"),
+        503: response("Unavailable"),
+      },
+    },
+  },
+  "/api/auth/me": {
+    get: {
+      tags: ["Auth"],
+      summary: "Current account",
+      security: [{ bearerAuth: [] }],
+      responses: {
+        200: json("Current account", success(ref("Account"))),
+        401: response("Unauthorized"),
+        429: response("TooManyRequests"),
+        503: response("Unavailable"),
+      },
+    },
+  },
+  "/api/users": {
+    get: {
+      tags: ["Users"],
+      summary: "List users, paginated by offset or cursor",
+      parameters: [...parameters(listUsersQuery, "query"), tenantHeader, ifNoneMatch],
+      responses: {
+        200: json(
+          "A page of users",
+          success(
+            { type: "array", items: ref("User") },
+            {
+              count: { type: "integer", description: "Same as total" },
+              total: { type: "integer" },
+              limit: { type: "integer" },
+              offset: { type: ["integer", "null"], description: "null when paging by cursor" },
+              nextCursor: { type: ["string", "null"] },
+            }
+          ),
+          {
+            ETag: header("Entity tag of this page"),
+            Link: header("RFC 8288 links to the first, previous, next and last pages"),
+          }
+        ),
+        304: { description: "The page still matches If-None-Match" },
+        400: response("ValidationError"),
+        ...tenantErrors,
+      },
+    },
+    post: {
+      tags: ["Users"],
+      summary: "Create a user",
+      parameters: [tenantHeader, idempotencyKey],
+      requestBody: jsonBody(bodySchema(userBody)),
+      responses: {
+        201: userResponse("Created"),
+        400: response("ValidationError"),
+        413: response("TooLarge"),
+        ...tenantWriteErrors,
+        409: response("EmailConflict"),
+      },
+    },
+  },
+  "/api/users/export": {
+    get: {
+      tags: ["Bulk"],
+      summary: "Download all users as CSV or NDJSON",
+      parameters: [...parameters(exportQuery, "query"), tenantHeader],
+      responses: {
+        200: {
+          description: "Streamed users",
+          content: {
+            "text/csv": { schema: { type: "string" } },
+            "application/x-ndjson": { schema: { type: "string" } },
+          },
+        },
+        400: response("ValidationError"),
+        ...tenantErrors,
+      },
+    },
+  },
+  "/api/users/import": {
+    post: {
+      tags: ["Bulk"],
+      summary: "Create or update users from CSV or NDJSON",
+      parameters: [...parameters(importQuery, "query"), tenantHeader, idempotencyKey],
+      requestBody: {
+        required: true,
+        content: {
+          "text/csv": { schema: { type: "string" } },
+          "application/x-ndjson": { schema: { type: "string" } },
+        },
+      },
+      responses: {
+        200: json("Per-row results", success(ref("ImportResult"))),
+        400: json("Invalid parameters or malformed CSV", ref("Error")),
+        413: json("Too many rows or bytes", ref("Error")),
+        415: json("Unsupported Content-Type", ref("Error")),
+        ...tenantWriteErrors,
+      },
+    },
+  },
+  "/api/users/{id}": {
+    get: {
+      tags: ["Users"],
+      summary: "Get a user",
+      parameters: [...userIdPath, ...parameters(getUserQuery, "query"), ifNoneMatch],
+      responses: {
+        200: userResponse("The user"),
+        304: { description: "The user still matches If-None-Match" },
+        400: response("ValidationError"),
+        404: response("NotFound"),
+        ...apiErrors,
+      },
+    },
+    put: {
+      tags: ["Users"],
+      summary: "Replace a user",
+      parameters: [...userIdPath, ifMatch, idempotencyKey],
+      requestBody: jsonBody(bodySchema(userBody)),
+      responses: {
+        200: userResponse("Updated"),
+        400: response("ValidationError"),
+        404: response("NotFound"),
+        412: response("PreconditionFailed"),
+        413: response("TooLarge"),
+        ...writeErrors,
+        409: response("EmailConflict"),
+      },
+    },
+    patch: {
+      tags: ["Users"],
+      summary: "Update some fields of a user",
+      parameters: [...userIdPath, ifMatch, idempotencyKey],
+      requestBody: jsonBody({ ...bodySchema(partial(userBody)), minProperties: 1 }),
+      responses: {
+        200: userResponse("Updated"),
+        400: response("ValidationError"),
+        404: response("NotFound"),
+        412: response("PreconditionFailed"),
+        413: response("TooLarge"),
+        ...writeErrors,
+        409: response("EmailConflict"),
+      },
+    },
+    delete: {
+      tags: ["Users"],
+      summary: "Move a user to the trash",
+      parameters: [...userIdPath, idempotencyKey],
+      responses: {
+        200: json("Deleted", message),
+        400: response("ValidationError"),
+        404: response("NotFound"),
+        ...writeErrors,
+      },
+    },
+  },
+  "/api/users/{id}/restore": {
+    post: {
+      tags: ["Users"],
+      summary: "Restore a user from the trash",
+      parameters: [...userIdPath, idempotencyKey],
+      responses: {
+        200: userResponse("Restored"),
+        400: response("ValidationError"),
+        404: response("NotFound"),
+        ...writeErrors,
+      },
+    },
+  },
+  "/api/events": {
+    get: {
+      tags: ["Users"],
+      summary: "Stream a tenant's user changes as Server-Sent Events",
+      parameters: [tenantHeader],
+      responses: {
+        200: {
+          description: "Event stream; each event's data is { type, data, tenantId, at }",
+          content: { "text/event-stream": { schema: { type: "string" } } },
+        },
+        ...tenantErrors,
+      },
+    },
+  },
+  "/api/audit": {
+    get: {
+      tags: ["Audit"],
+      summary: "Audit trail of a tenant's user changes, newest first",
+      parameters: [...parameters(auditQuery, "query"), tenantHeader],
+      responses: {
+        200: json(
+          "A page of audit events",
+          success(
+            { type: "array", items: ref("AuditEvent") },
+            {
+              count: { type: "integer" },
+              total: { type: "integer" },
+              limit: { type: "integer" },
+              offset: { type: "integer" },
+            }
+          )
+        ),
+        400: response("ValidationError"),
+        ...tenantErrors,
+      },
+    },
+  },
+  "/api/tenants": {
+    get: {
+      tags: ["Tenants"],
+      summary: "Tenants the account may work in",
+      responses: {
+        200: json("Tenants by name", success({ type: "array", items: ref("Tenant") })),
+        ...apiErrors,
+      },
+    },
+  },
+  "/api/admin/tenants": {
+    get: {
+      tags: ["Tenants"],
+      summary: "All tenants with their number of users; admins only",
+      responses: {
+        200: json("Tenants by slug", success({ type: "array", items: ref("Tenant") })),
+        ...apiErrors,
+      },
+    },
+    post: {
+      tags: ["Tenants"],
+      summary: "Create a tenant; admins only",
+      requestBody: jsonBody(bodySchema(tenantBody)),
+      responses: {
+        201: tenantResponse("Created"),
+        400: response("ValidationError"),
+        409: json("Slug already exists", ref("Error")),
+        413: response("TooLarge"),
+        ...apiErrors,
+      },
+    },
+  },
+  "/api/admin/tenants/{id}": {
+    get: {
+      tags: ["Tenants"],
+      summary: "Get a tenant with its number of users; admins only",
+      parameters: tenantIdPath,
+      responses: {
+        200: tenantResponse("The tenant"),
+        400: response("ValidationError"),
+        404: response("TenantNotFound"),
+        ...apiErrors,
+      },
+    },
+    patch: {
+      tags: ["Tenants"],
+      summary: "Rename a tenant; admins only",
+      description: "The default tenant keeps its slug.",
+      parameters: tenantIdPath,
+      requestBody: jsonBody({ ...bodySchema(partial(tenantBody)), minProperties: 1 }),
+      responses: {
+        200: tenantResponse("Updated"),
+        400: response("ValidationError"),
+        404: response("TenantNotFound"),
+        409: json("Slug already exists, or the default tenant's slug changes", ref("Error")),
+        413: response("TooLarge"),
+        ...apiErrors,
+      },
+    },
+    delete: {
+      tags: ["Tenants"],
+      summary: "Delete an empty tenant; admins only",
+      description:
+        "Tenants with users, including deleted ones not yet purged, or with pinned " +
+        "accounts are refused, as is the default tenant.",
+      parameters: tenantIdPath,
+      responses: {
+        200: json("Deleted", message),
+        400: response("ValidationError"),
+        404: response("TenantNotFound"),
+        409: json("The tenant is the default one or is not empty", ref("Error")),
+        ...apiErrors,
+      },
+    },
+  },
+  "/api/admin/config": {
+    get: {
+      tags: ["Admin"],
+      summary: "Effective configuration with secrets redacted; admins only",
+      responses: {
+        200: json(
+          "Settings grouped by area, as loaded from the environment",
+          success({ type: "object", additionalProperties: true })
+        ),
+        ...apiErrors,
+      },
+    },
+  },
+  "/api/admin/backup": {
+    get: {
+      tags: ["Admin"],
+      summary: "Download a gzipped backup of the application tables; admins only",
+      description:
+        "NDJSON backups can be restored through POST /api/admin/restore. SQL backups are " +
+        "written in the dialect of the current database, for its own command line client.",
+      parameters: parameters(backupQuery, "query"),
+      responses: {
+        200: {
+          description: "Streamed backup",
+          content: { "application/gzip": { schema: { type: "string", format: "binary" } } },
+        },
+        400: response("ValidationError"),
+        ...apiErrors,
+      },
+    },
+  },
+  "/api/admin/restore": {
+    post: {
+      tags: ["Admin"],
+      summary: "Replace the application tables with an NDJSON backup; admins only",
+      description:
+        "The backup's checksum and row counts are verified before anything is committed. " +
+        "Refresh tokens and idempotency keys are discarded, so everyone signs in again.",
+      parameters: parameters(restoreQuery, "query"),
+      requestBody: {
+        required: true,
+        content: {
+          "application/gzip": { schema: { type: "string", format: "binary" } },
+          "application/x-ndjson": { schema: { type: "string" } },
+        },
+      },
+      responses: {
+        200: json("Restored row counts", success(ref("RestoreResult"))),
+        400: response("ValidationError"),
+        409: json("Backup is for a different schema version", ref("Error")),
+        413: response("TooLarge"),
+        415: json("Unsupported Content-Type", ref("Error")),
+        422: json("Malformed or inconsistent backup, or checksum mismatch", ref("Error")),
+        ...apiErrors,
+      },
+    },
+  },
+  "/api/admin/snapshots": {
+    get: {
+      tags: ["Admin"],
+      summary: "Stored backup snapshots, newest first; admins only",
+      responses: {
+        200: json("Snapshots", success({ type: "array", items: ref("Snapshot") })),
+        404: json("Snapshots are not configured", ref("Error")),
+        ...apiErrors,
+      },
+    },
+    post: {
+      tags: ["Admin"],
+      summary: "Take a backup snapshot now; admins only",
+      responses: {
+        201: json("Stored snapshot", success(ref("Snapshot"))),
+        404: json("Snapshots are not configured", ref("Error")),
+        ...apiErrors,
+      },
+    },
+  },
+};
+
+function readiness(status) {
+  return {
+    type: "object",
+    properties: {
+      status: { const: status },
+      checks: { type: "object", additionalProperties: ref("HealthCheck") },
+    },
+    required: ["status", "checks"],
+  };
+}
+
+function buildSpec({ version }) {
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Sample users API",
+      version,
+      description:
+        "Responses use a { success, data } envelope; failures send " +
+        "{ success: false, error } with an HTTP error status.",
+    },
+    servers: [{ url: "/" }],
+    // Operations without their own security are public
+    security: [{ bearerAuth: [] }],
+    tags: [
+      { name: "Users" },
+      { name: "Bulk" },
+      { name: "Audit" },
+      { name: "Tenants" },
+      { name: "Auth" },
+      { name: "Admin" },
+      { name: "Operations" },
+    ],
+    paths: markPublic(paths),
+    components,
+  };
+}
+
+// Operations outside /api, the docs and signing in need no token
+const PUBLIC_PATHS = new Set([
+  "/health",
+  "/ready",
+  "/live",
+  "/metrics",
+  "/api/openapi.json",
+  "/api/docs",
+  "/api/auth/login",
+  "/api/auth/refresh",
+  "/api/auth/logout",
+]);
+
+function markPublic(allPaths) {
+  return Object.fromEntries(
+    Object.entries(allPaths).map(([path, operations]) => [
+      path,
+      PUBLIC_PATHS.has(path)
+        ? Object.fromEntries(
+            Object.entries(operations).map(([method, operation]) => [
+              method,
+              { ...operation, security: [] },
+            ])
+          )
+        : operations,
+    ])
+  );
+}
+
+// GET /openapi.json and the Swagger UI at /docs
+function createDocsRouter({ spec }) {
+  const router = express.Router();
+
+  router.get("/openapi.json", (req, res) => {
+    res.json(spec);
+  });
+  router.use(
+    "/docs",
+    swaggerUi.serve,
+    swaggerUi.setup(null, {
+      customSiteTitle: spec.info.title,
+      swaggerOptions: { url: "/api/openapi.json" },
+    })
+  );
+
+  return router;
+}
+
+module.exports = { buildSpec, createDocsRouter };
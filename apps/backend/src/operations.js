@@ -0,0 +1,42 @@
+const express = require("express");
+
+// Probes and metrics for Kubernetes and Prometheus, mounted at the root
+function createOperationsRouter({ health, register, logger }) {
+  const router = express.Router();
+
+  // Full health report: healthy and degraded answer 200, unhealthy 503
+  router.get("/health", async (req, res) => {
+    const report = await health.report();
+    res.status(report.status === "unhealthy" ? 503 : 200).json(report);
+  });
+
+  // Readiness probe: only critical dependencies, and never while shutting down
+  router.get("/ready", async (req, res) => {
+    const report = await health.report({ criticalOnly: true });
+    const ready = report.status !== "unhealthy";
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : "not ready",
+      checks: report.checks,
+    });
+  });
+
+  // Liveness probe
+  router.get("/live", (req, res) => {
+    res.status(200).json({ status: "alive" });
+  });
+
+  // Metrics endpoint for Prometheus
+  router.get("/metrics", async (req, res) => {
+    try {
+      res.set("Content-Type", register.contentType);
+      res.end(await register.metrics());
+    } catch (error) {
+      logger.error("Metrics endpoint error:", error);
+      res.status(500).end(error.message);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createOperationsRouter };
@@ -0,0 +1,159 @@
+const { ValidationError } = require("./validation");
+
+const DEFAULT_LIMIT = 25;
+
+// Sortable fields mapped to their columns; the list query schema only
+// admits these keys
+const SORT_COLUMNS = {
+  id: "id",
+  name: "name",
+  email: "email",
+  created_at: "created_at",
+  updated_at: "updated_at",
+};
+const DATE_COLUMNS = new Set(["created_at", "updated_at"]);
+
+function cursorError(message) {
+  return new ValidationError([{ field: "cursor", location: "query", message }]);
+}
+
+// Cursors are opaque base64url JSON holding the sort value and id of the
+// last row of the previous page
+function encodeCursor(row, { sort, order }) {
+  const value = row[sort] instanceof Date ? row[sort].toISOString() : row[sort];
+  return Buffer.from(
+    JSON.stringify({ s: sort, o: order, v: value, id: row.id })
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor, sort, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (error) {
+    throw cursorError("is invalid");
+  }
+  if (!decoded || decoded.s !== sort || decoded.o !== order || decoded.id === undefined) {
+    throw cursorError("does not match the requested sort and order");
+  }
+  const value = DATE_COLUMNS.has(sort) ? new Date(decoded.v) : decoded.v;
+  if (value instanceof Date && Number.isNaN(value.getTime())) {
+    throw cursorError("is invalid");
+  }
+  return { value, id: decoded.id };
+}
+
+// Apply defaults to a validated list query and decode its cursor
+function parseListQuery(query) {
+  const sort = query.sort || "created_at";
+  const order = query.order || "desc";
+
+  if (query.cursor !== undefined && query.offset !== undefined) {
+    throw new ValidationError([
+      { field: "cursor", location: "query", message: "cannot be combined with offset" },
+    ]);
+  }
+
+  return {
+    sort,
+    order,
+    limit: query.limit || DEFAULT_LIMIT,
+    offset: query.offset || 0,
+    cursor: query.cursor === undefined ? null : decodeCursor(query.cursor, sort, order),
+    createdAfter: query.created_after || null,
+    createdBefore: query.created_before || null,
+    q: query.q || null,
+    includeDeleted: query.includeDeleted || "false",
+  };
+}
+
+// Build WHERE/ORDER BY/LIMIT clauses for a parsed list query within
+// options.tenantId. The filter clause is shared with the COUNT query; the
+// cursor only narrows the page.
+function buildListSql(options) {
+  const column = SORT_COLUMNS[options.sort];
+  const direction = options.order.toUpperCase();
+  const filters = ["tenant_id = ?"];
+  const filterParams = [options.tenantId];
+
+  if (options.includeDeleted === "false") {
+    filters.push("deleted_at IS NULL");
+  } else if (options.includeDeleted === "only") {
+    filters.push("deleted_at IS NOT NULL");
+  }
+  if (options.createdAfter) {
+    filters.push("created_at >= ?");
+    filterParams.push(options.createdAfter);
+  }
+  if (options.createdBefore) {
+    filters.push("created_at < ?");
+    filterParams.push(options.createdBefore);
+  }
+  if (options.q) {
+    // "!" escapes wildcards; backslash is not an escape in every database
+    const pattern = `%${options.q.toLowerCase().replace(/[!%_]/g, "!$&")}%`;
+    filters.push("(LOWER(name) LIKE ? ESCAPE '!' OR LOWER(email) LIKE ? ESCAPE '!')");
+    filterParams.push(pattern, pattern);
+  }
+
+  const pageFilters = [...filters];
+  const pageParams = [...filterParams];
+  if (options.cursor) {
+    const comparison = options.order === "desc" ? "<" : ">";
+    pageFilters.push(
+      `(${column} ${comparison} ? OR (${column} = ? AND id ${comparison} ?))`
+    );
+    pageParams.push(options.cursor.value, options.cursor.value, options.cursor.id);
+  }
+
+  const where = (clauses) => `WHERE ${clauses.join(" AND ")}`;
+
+  // Fetch one extra row to know whether another page follows
+  pageParams.push(options.limit + 1);
+  let pageSql = `SELECT * FROM users ${where(pageFilters)} ORDER BY ${column} ${direction}, id ${direction} LIMIT ?`;
+  if (!options.cursor) {
+    pageSql += " OFFSET ?";
+    pageParams.push(options.offset);
+  }
+
+  return {
+    countSql: `SELECT COUNT(*) AS total FROM users ${where(filters)}`,
+    countParams: filterParams,
+    pageSql,
+    pageParams,
+  };
+}
+
+// RFC 8288 Link header for the pages around the current one
+function buildLinkHeader(basePath, query, options, { total, nextCursor }) {
+  const link = (overrides, rel) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...query, ...overrides })) {
+      if (value !== undefined && value !== null) params.set(key, value);
+    }
+    return `<${basePath}?${params.toString()}>; rel="${rel}"`;
+  };
+  const links = [link({ cursor: undefined, offset: 0 }, "first")];
+
+  if (options.cursor) {
+    if (nextCursor) links.push(link({ cursor: nextCursor, offset: undefined }, "next"));
+    return links.join(", ");
+  }
+
+  if (options.offset > 0) {
+    links.push(link({ offset: Math.max(options.offset - options.limit, 0) }, "prev"));
+  }
+  if (options.offset + options.limit < total) {
+    links.push(link({ offset: options.offset + options.limit }, "next"));
+  }
+  const lastOffset = Math.max(Math.ceil(total / options.limit) - 1, 0) * options.limit;
+  links.push(link({ offset: lastOffset }, "last"));
+  return links.join(", ");
+}
+
+module.exports = {
+  parseListQuery,
+  buildListSql,
+  buildLinkHeader,
+  encodeCursor,
+};
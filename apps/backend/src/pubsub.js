@@ -0,0 +1,86 @@
+const { EventEmitter } = require("events");
+
+// Pub/sub adapters share one interface:
+//   publish(channel, message) -> Promise
+//   subscribe(channel, handler) -> Promise<unsubscribe>
+//   close() -> Promise
+// Messages are plain JSON-serializable values.
+
+// Single-process adapter, for one replica and for tests
+function createMemoryPubSub() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    async publish(channel, message) {
+      // Round-trip through JSON so subscribers get the same shape as from Redis
+      emitter.emit(channel, JSON.parse(JSON.stringify(message)));
+    },
+    async subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return async () => emitter.off(channel, handler);
+    },
+    async close() {
+      emitter.removeAllListeners();
+    },
+  };
+}
+
+// Redis adapter for fan-out across replicas. Subscribing puts a Redis
+// connection into subscriber mode, so publishing uses a second one.
+function createRedisPubSub({ url, logger }) {
+  const Redis = require("ioredis");
+  const publisher = new Redis(url);
+  const subscriber = new Redis(url);
+  const handlers = new Map();
+
+  for (const client of [publisher, subscriber]) {
+    client.on("error", (error) => logger.error("Redis pub/sub error:", error));
+  }
+
+  subscriber.on("message", (channel, payload) => {
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch (error) {
+      logger.warn(`Ignoring malformed message on ${channel}`);
+      return;
+    }
+    for (const handler of handlers.get(channel) || []) {
+      handler(message);
+    }
+  });
+
+  return {
+    async publish(channel, message) {
+      await publisher.publish(channel, JSON.stringify(message));
+    },
+    async subscribe(channel, handler) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, new Set());
+        await subscriber.subscribe(channel);
+      }
+      handlers.get(channel).add(handler);
+
+      return async () => {
+        const channelHandlers = handlers.get(channel);
+        channelHandlers.delete(handler);
+        if (channelHandlers.size === 0) {
+          handlers.delete(channel);
+          await subscriber.unsubscribe(channel);
+        }
+      };
+    },
+    async close() {
+      await Promise.all([publisher.quit(), subscriber.quit()]);
+    },
+  };
+}
+
+function createPubSub({ driver = "memory", url, logger }) {
+  if (driver === "memory") return createMemoryPubSub();
+  if (driver === "redis") return createRedisPubSub({ url, logger });
+  throw new Error(`Unknown pub/sub driver "${driver}", expected memory or redis`);
+}
+
+module.exports = { createPubSub, createMemoryPubSub, createRedisPubSub };
@@ -0,0 +1,26 @@
+// Permanently remove soft-deleted users once their retention period ends
+async function purgeDeletedUsers({ pool, logger, retentionDays }) {
+  const [result] = await pool.query(
+    "DELETE FROM users WHERE deleted_at IS NOT NULL AND deleted_at < ?",
+    [new Date(Date.now() - retentionDays * 86400000)]
+  );
+  if (result.affectedRows > 0) {
+    logger.info(`Purged ${result.affectedRows} deleted users older than ${retentionDays} days`);
+  }
+  return result.affectedRows;
+}
+
+// Run the purge on an interval; returns a function that stops it
+function schedulePurge({ pool, logger, retentionDays, intervalMs }) {
+  const run = () =>
+    purgeDeletedUsers({ pool, logger, retentionDays }).catch((error) => {
+      logger.error("Deleted user purge failed:", error);
+    });
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = { purgeDeletedUsers, schedulePurge };
@@ -0,0 +1,162 @@
+// Token bucket stores share one interface:
+//   take(key, { capacity, refillPerMs, cost }) -> Promise<{ allowed, tokens }>
+//   close() -> Promise
+// A bucket starts full, refills continuously up to capacity and allows a
+// request when it holds at least cost tokens.
+
+// Single-process store, for one replica and for tests
+function createMemoryStore({ sweepIntervalMs = 60000 } = {}) {
+  const buckets = new Map();
+
+  // Forget buckets that have refilled completely; they equal a new one
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.fullAt <= now) buckets.delete(key);
+    }
+  }, sweepIntervalMs);
+  timer.unref();
+
+  return {
+    async take(key, { capacity, refillPerMs, cost = 1 }) {
+      const now = Date.now();
+      const bucket = buckets.get(key);
+      let tokens = bucket
+        ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+        : capacity;
+      const allowed = tokens >= cost;
+      if (allowed) tokens -= cost;
+      buckets.set(key, {
+        tokens,
+        updatedAt: now,
+        fullAt: now + (capacity - tokens) / refillPerMs,
+      });
+      return { allowed, tokens };
+    },
+    async close() {
+      clearInterval(timer);
+      buckets.clear();
+    },
+  };
+}
+
+// Refill and take atomically on the Redis server, using its clock so
+// replicas with skewed clocks agree. Tokens are returned as a string
+// because Lua numbers are truncated to integers in replies.
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call("HMGET", KEYS[1], "tokens", "updatedAt")
+local tokens = capacity
+if bucket[1] then
+  tokens = math.min(capacity, tonumber(bucket[1]) + (now - tonumber(bucket[2])) * refillPerMs)
+end
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "updatedAt", now)
+redis.call("PEXPIRE", KEYS[1], math.ceil((capacity - tokens) / refillPerMs) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+// Redis store, so every replica enforces the same budgets. Commands fail
+// fast while Redis is unreachable instead of queueing.
+function createRedisStore({ url, logger, prefix = "ratelimit:" }) {
+  const Redis = require("ioredis");
+  const client = new Redis(url, {
+    keyPrefix: prefix,
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+  });
+  client.on("error", (error) => logger.error("Redis rate limit store error:", error));
+  client.defineCommand("takeToken", { numberOfKeys: 1, lua: TAKE_SCRIPT });
+
+  return {
+    async take(key, { capacity, refillPerMs, cost = 1 }) {
+      const [allowed, tokens] = await client.takeToken(key, capacity, refillPerMs, cost);
+      return { allowed: allowed === 1, tokens: Number(tokens) };
+    },
+    async close() {
+      await client.quit();
+    },
+  };
+}
+
+function createRateLimitStore({ driver = "memory", url, logger }) {
+  if (driver === "memory") return createMemoryStore();
+  if (driver === "redis") return createRedisStore({ url, logger });
+  throw new Error(`Unknown rate limit store "${driver}", expected memory or redis`);
+}
+
+// Parse a budget such as "120/60": a burst of 120 requests, refilled at
+// 120 requests per 60 seconds
+function parseBudget(value) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value);
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    throw new Error(`Invalid rate limit budget "${value}", expected <requests>/<seconds>`);
+  }
+  const capacity = Number(match[1]);
+  const windowSeconds = Number(match[2]);
+  return { capacity, windowSeconds, refillPerMs: capacity / (windowSeconds * 1000) };
+}
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+// Middleware spending one token per request from the bucket of
+// key(req), with separate read and write budgets. Requests key() returns
+// null for are not limited. When several limiters apply, the headers
+// describe whichever has the fewest requests left.
+function rateLimit({ store, logger, scope, key, read, write }) {
+  return async (req, res, next) => {
+    const id = key(req);
+    if (id === null || id === undefined) return next();
+
+    const kind = SAFE_METHODS.has(req.method) ? "read" : "write";
+    const budget = kind === "read" ? read : write;
+
+    let result;
+    try {
+      result = await store.take(`${scope}:${kind}:${id}`, budget);
+    } catch (error) {
+      // Fail open: an unavailable store must not take the API down
+      logger.error("Rate limit store error:", error);
+      return next();
+    }
+
+    const remaining = Math.floor(result.tokens);
+    const current = res.get("RateLimit-Remaining");
+    if (current === undefined || remaining < Number(current)) {
+      res.set({
+        "RateLimit-Limit": String(budget.capacity),
+        "RateLimit-Remaining": String(remaining),
+        "RateLimit-Reset": String(
+          Math.ceil((budget.capacity - result.tokens) / budget.refillPerMs / 1000)
+        ),
+        "RateLimit-Policy": `${budget.capacity};w=${budget.windowSeconds}`,
+      });
+    }
+
+    if (!result.allowed) {
+      const retryAfterMs = (1 - result.tokens) / budget.refillPerMs;
+      res.set("Retry-After", String(Math.max(Math.ceil(retryAfterMs / 1000), 1)));
+      return res.status(429).json({
+        success: false,
+        error: "Too many requests, please retry later",
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimitStore,
+  createMemoryStore,
+  createRedisStore,
+  parseBudget,
+  rateLimit,
+};
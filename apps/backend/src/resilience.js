@@ -0,0 +1,176 @@
+const { setTimeout: sleep } = require("timers/promises");
+
+// Errors meaning the database itself is unreachable, as opposed to a
+// query being rejected
+const CONNECTION_ERRORS = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EHOSTUNREACH",
+  "ENOTFOUND",
+  "PROTOCOL_CONNECTION_LOST",
+  "ER_CON_COUNT_ERROR",
+  // PostgreSQL: connection failures, shutdowns and too many connections
+  "08000",
+  "08001",
+  "08003",
+  "08004",
+  "08006",
+  "57P01",
+  "57P02",
+  "57P03",
+  "53300",
+]);
+
+function isConnectionError(error) {
+  return Boolean(error && (error.fatal || CONNECTION_ERRORS.has(error.code)));
+}
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAfterMs) {
+    super(`Circuit "${name}" is open`);
+    this.code = "CIRCUIT_OPEN";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Circuit breaker: after failureThreshold consecutive failures it opens
+// and rejects calls for resetTimeoutMs, then lets a single trial call
+// through (half-open). The trial closes it again on success or reopens
+// it on failure. Only errors matching isFailure count.
+function createCircuitBreaker({
+  name,
+  failureThreshold = 5,
+  resetTimeoutMs = 10000,
+  isFailure = isConnectionError,
+}) {
+  const listeners = [];
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function transition(next) {
+    if (state === next) return;
+    const previous = state;
+    state = next;
+    listeners.forEach((listener) => listener(next, previous));
+  }
+
+  // Milliseconds until a trial call is allowed; 0 when calls may proceed
+  function retryAfterMs() {
+    if (state === "closed") return 0;
+    if (state === "half_open") return trialInFlight ? resetTimeoutMs : 0;
+    return Math.max(openedAt + resetTimeoutMs - Date.now(), 0);
+  }
+
+  function open() {
+    openedAt = Date.now();
+    transition("open");
+  }
+
+  async function exec(fn) {
+    if (state === "open" && Date.now() - openedAt >= resetTimeoutMs) {
+      transition("half_open");
+    }
+    if (state === "open" || (state === "half_open" && trialInFlight)) {
+      throw new CircuitOpenError(name, retryAfterMs() || resetTimeoutMs);
+    }
+
+    const trial = state === "half_open";
+    if (trial) trialInFlight = true;
+    try {
+      const result = await fn();
+      failures = 0;
+      transition("closed");
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        failures += 1;
+        if (trial || failures >= failureThreshold) open();
+      } else if (trial) {
+        // The database answered, so it is reachable again
+        failures = 0;
+        transition("closed");
+      }
+      throw error;
+    } finally {
+      if (trial) trialInFlight = false;
+    }
+  }
+
+  return {
+    name,
+    exec,
+    retryAfterMs,
+    state: () => state,
+    onStateChange: (listener) => listeners.push(listener),
+  };
+}
+
+// Route pool access through a circuit breaker. Queries on connections
+// already checked out are not guarded; acquiring them is.
+function guardPool(pool, breaker) {
+  for (const method of ["query", "execute", "getConnection"]) {
+    const original = pool[method].bind(pool);
+    pool[method] = (...args) => breaker.exec(() => original(...args));
+  }
+  return pool;
+}
+
+// Middleware answering 503 with Retry-After while the breaker rejects
+// calls, instead of letting requests queue up behind a dead database
+function failFast(breaker) {
+  return (req, res, next) => {
+    const retryAfterMs = breaker.retryAfterMs();
+    if (retryAfterMs === 0) return next();
+    sendUnavailable(res, retryAfterMs);
+  };
+}
+
+function sendUnavailable(res, retryAfterMs) {
+  res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+  res.status(503).json({
+    success: false,
+    error: "Database unavailable, please retry later",
+  });
+}
+
+// Call fn until it succeeds, waiting with exponential backoff and full
+// jitter between attempts. Gives up after maxAttempts (0 retries forever).
+// Calls rejected by an open circuit breaker wait for it and do not count
+// as attempts.
+async function retryWithBackoff(
+  fn,
+  { name, logger, maxAttempts = 10, baseDelayMs = 1000, maxDelayMs = 30000 }
+) {
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error instanceof CircuitOpenError) {
+        await sleep(error.retryAfterMs);
+        continue;
+      }
+      attempt += 1;
+      if (maxAttempts > 0 && attempt >= maxAttempts) throw error;
+      const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      const delay = Math.round(Math.random() * ceiling);
+      logger.warn(
+        `${name} failed (attempt ${attempt}${maxAttempts > 0 ? ` of ${maxAttempts}` : ""}): ${error.message}; retrying in ${delay}ms`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  CircuitOpenError,
+  createCircuitBreaker,
+  guardPool,
+  failFast,
+  sendUnavailable,
+  retryWithBackoff,
+  isConnectionError,
+};
@@ -0,0 +1,109 @@
+// Request schemas for the users API, see validation.js for the rule format.
+// String limits match the VARCHAR(100) columns of the users table.
+
+const userBody = {
+  name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 100 },
+  email: {
+    type: "string",
+    required: true,
+    trim: true,
+    // Stored lowercase, so lookups match the same rows on every database
+    lowercase: true,
+    minLength: 1,
+    maxLength: 100,
+    format: "email",
+  },
+};
+
+const userIdParams = {
+  id: { type: "integer", required: true, min: 1 },
+};
+
+const listUsersQuery = {
+  limit: { type: "integer", min: 1, max: 100 },
+  offset: { type: "integer", min: 0 },
+  cursor: { type: "string", maxLength: 512 },
+  sort: { type: "string", enum: ["id", "name", "email", "created_at", "updated_at"] },
+  order: { type: "string", enum: ["asc", "desc"] },
+  created_after: { type: "date" },
+  created_before: { type: "date" },
+  q: { type: "string", maxLength: 100 },
+  // "only" lists the trash
+  includeDeleted: { type: "string", enum: ["true", "false", "only"] },
+};
+
+const getUserQuery = {
+  includeDeleted: { type: "string", enum: ["true", "false"] },
+};
+
+const loginBody = {
+  username: { type: "string", required: true, trim: true, minLength: 1, maxLength: 100 },
+  password: { type: "string", required: true, minLength: 1, maxLength: 200 },
+};
+
+const refreshBody = {
+  refreshToken: { type: "string", required: true, minLength: 1, maxLength: 200 },
+};
+
+const auditQuery = {
+  entityType: { type: "string", enum: ["user"] },
+  entityId: { type: "integer", min: 1 },
+  actor: { type: "string", maxLength: 100 },
+  action: { type: "string", enum: ["create", "update", "delete", "restore"] },
+  from: { type: "date" },
+  to: { type: "date" },
+  limit: { type: "integer", min: 1, max: 200 },
+  offset: { type: "integer", min: 0 },
+};
+
+const importQuery = {
+  dryRun: { type: "string", enum: ["true", "false"] },
+  onConflict: { type: "string", enum: ["skip", "upsert"] },
+  batchSize: { type: "integer", min: 1, max: 1000 },
+};
+
+const exportQuery = {
+  format: { type: "string", enum: ["csv", "ndjson"] },
+  includeDeleted: { type: "string", enum: ["true", "false"] },
+};
+
+const backupQuery = {
+  format: { type: "string", enum: ["ndjson", "sql"] },
+};
+
+const restoreQuery = {
+  dryRun: { type: "string", enum: ["true", "false"] },
+};
+
+// Slugs are at most 63 characters, the limit of a DNS label
+const tenantBody = {
+  slug: {
+    type: "string",
+    required: true,
+    trim: true,
+    minLength: 1,
+    maxLength: 63,
+    format: "slug",
+  },
+  name: { type: "string", required: true, trim: true, minLength: 1, maxLength: 100 },
+};
+
+const tenantIdParams = {
+  id: { type: "integer", required: true, min: 1 },
+};
+
+module.exports = {
+  userBody,
+  userIdParams,
+  listUsersQuery,
+  getUserQuery,
+  loginBody,
+  refreshBody,
+  auditQuery,
+  importQuery,
+  exportQuery,
+  backupQuery,
+  restoreQuery,
+  tenantBody,
+  tenantIdParams,
+};
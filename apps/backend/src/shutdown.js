@@ -0,0 +1,115 @@
+const { setTimeout: sleep } = require("timers/promises");
+
+// Coordinates a graceful shutdown:
+//   1. mark the service not ready so Kubernetes stops routing to it
+//   2. wait preStopDelayMs for endpoint removal to propagate
+//   3. run beforeDrain steps, e.g. ending long-lived streams
+//   4. stop accepting connections and close idle keep-alive sockets
+//   5. wait for in-flight requests, up to drainTimeoutMs
+//   6. run afterDrain steps, e.g. closing the pool and exporters
+function createShutdown({ logger, health, preStopDelayMs = 0, drainTimeoutMs = 20000 }) {
+  const inFlight = new Map();
+  const beforeDrainSteps = [];
+  const afterDrainSteps = [];
+  let server = null;
+  let shuttingDown = null;
+
+  // Middleware keeping track of in-flight requests. Responses sent while
+  // draining ask the client to close its keep-alive connection.
+  function track() {
+    return (req, res, next) => {
+      inFlight.set(req, { method: req.method, url: req.originalUrl, startedAt: Date.now() });
+      if (shuttingDown) res.set("Connection", "close");
+      res.on("close", () => inFlight.delete(req));
+      next();
+    };
+  }
+
+  function attach(httpServer) {
+    server = httpServer;
+  }
+
+  function beforeDrain(name, step) {
+    beforeDrainSteps.push({ name, step });
+  }
+
+  function afterDrain(name, step) {
+    afterDrainSteps.push({ name, step });
+  }
+
+  async function runSteps(steps) {
+    for (const { name, step } of steps) {
+      try {
+        await step();
+      } catch (error) {
+        logger.error(`Shutdown step "${name}" failed:`, error);
+      }
+    }
+  }
+
+  // Resolves once nothing is in flight, or false when the deadline hits
+  async function drain() {
+    const deadline = Date.now() + drainTimeoutMs;
+    while (inFlight.size > 0) {
+      if (Date.now() >= deadline) return false;
+      await sleep(100);
+    }
+    return true;
+  }
+
+  function closeServer() {
+    return new Promise((resolve) => {
+      if (!server || !server.listening) return resolve();
+      server.close(() => resolve());
+      server.closeIdleConnections();
+    });
+  }
+
+  async function run(reason) {
+    logger.info(`${reason} received, shutting down gracefully`);
+    health.markShuttingDown();
+
+    if (preStopDelayMs > 0) {
+      logger.info(`Waiting ${preStopDelayMs}ms before closing connections`);
+      await sleep(preStopDelayMs);
+    }
+
+    await runSteps(beforeDrainSteps);
+
+    const closed = closeServer();
+    if (await drain()) {
+      logger.info("All in-flight requests completed");
+    } else {
+      const now = Date.now();
+      logger.warn(`Drain deadline reached with ${inFlight.size} requests in flight`, {
+        requests: [...inFlight.values()].map((request) => ({
+          method: request.method,
+          url: request.url,
+          elapsedMs: now - request.startedAt,
+        })),
+      });
+      if (server) server.closeAllConnections();
+    }
+    await closed;
+
+    await runSteps(afterDrainSteps);
+    logger.info("Shutdown complete");
+  }
+
+  // Start the shutdown; repeated calls share the first one
+  function shutdown(reason) {
+    if (!shuttingDown) shuttingDown = run(reason);
+    return shuttingDown;
+  }
+
+  return {
+    track,
+    attach,
+    beforeDrain,
+    afterDrain,
+    shutdown,
+    isShuttingDown: () => Boolean(shuttingDown),
+  };
+}
+
+module.exports = { createShutdown };
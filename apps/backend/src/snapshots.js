@@ -0,0 +1,226 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { backupStream } = require("./backup");
+
+// Snapshot stores share one interface:
+//   save(name, file) -> Promise, copying the local file in as name
+//   list() -> Promise<[{ name, size, createdAt }]>, newest first
+//   remove(name) -> Promise
+// Names embed their UTC creation time, so they sort in age order.
+const SNAPSHOT_NAME = /^backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.ndjson\.gz$/;
+
+function snapshotName(date) {
+  return `backup-${date.toISOString().replace(/[:.]/g, "-")}.ndjson.gz`;
+}
+
+function snapshotDate(name) {
+  const [, day, hours, minutes, seconds, millis] = SNAPSHOT_NAME.exec(name);
+  return new Date(`${day}T${hours}:${minutes}:${seconds}.${millis}Z`);
+}
+
+function newestFirst(entries) {
+  return entries
+    .filter((entry) => SNAPSHOT_NAME.test(entry.name))
+    .map((entry) => ({ ...entry, createdAt: snapshotDate(entry.name).toISOString() }))
+    .sort((a, b) => (a.name < b.name ? 1 : -1));
+}
+
+// Files in a local directory, such as a mounted volume on another disk
+function createDirectoryStore({ directory }) {
+  return {
+    async save(name, file) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      // Copy under a name list() ignores, so a partial copy is never seen
+      const partial = path.join(directory, `.${name}.partial`);
+      await fs.promises.copyFile(file, partial);
+      await fs.promises.rename(partial, path.join(directory, name));
+    },
+    async list() {
+      let names = [];
+      try {
+        names = await fs.promises.readdir(directory);
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+      const entries = await Promise.all(
+        names.map(async (name) => {
+          const stats = await fs.promises.stat(path.join(directory, name));
+          return { name, size: stats.size };
+        })
+      );
+      return newestFirst(entries);
+    },
+    async remove(name) {
+      await fs.promises.rm(path.join(directory, name), { force: true });
+    },
+  };
+}
+
+// Objects in an S3-compatible bucket, such as MinIO or AWS S3. endpoint
+// is a URL; client overrides the minio client built from the settings.
+function createS3Store({
+  endpoint,
+  bucket,
+  prefix = "",
+  region,
+  accessKeyId,
+  secretAccessKey,
+  pathStyle = true,
+  client,
+}) {
+  if (!client) {
+    const Minio = require("minio");
+    const url = new URL(endpoint);
+    client = new Minio.Client({
+      endPoint: url.hostname,
+      port: url.port ? Number(url.port) : undefined,
+      useSSL: url.protocol === "https:",
+      region,
+      accessKey: accessKeyId,
+      secretKey: secretAccessKey,
+      pathStyle,
+    });
+  }
+
+  return {
+    async save(name, file) {
+      await client.fPutObject(bucket, `${prefix}${name}`, file, {
+        "Content-Type": "application/gzip",
+      });
+    },
+    async list() {
+      const entries = [];
+      for await (const object of client.listObjectsV2(bucket, prefix, true)) {
+        if (!object.name) continue;
+        entries.push({ name: object.name.slice(prefix.length), size: object.size });
+      }
+      return newestFirst(entries);
+    },
+    async remove(name) {
+      await client.removeObject(bucket, `${prefix}${name}`);
+    },
+  };
+}
+
+function createSnapshotStore({ target, directory, s3 }) {
+  if (target === "directory") return createDirectoryStore({ directory });
+  if (target === "s3") return createS3Store(s3);
+  throw new Error(`Unknown backup target "${target}", expected directory or s3`);
+}
+
+const LOCK_NAME = "backup_snapshots";
+
+// Takes gzipped NDJSON backups into store and prunes all but the newest
+// retentionCount. Listeners registered with onSnapshot get
+// (null, snapshot) after each snapshot is stored, and once at start for
+// the newest existing one, or (error) when one fails.
+function createSnapshots({ pool, store, logger, retentionCount }) {
+  const listeners = [];
+  const notify = (...args) => listeners.forEach((listener) => listener(...args));
+
+  async function prune() {
+    const expired = (await store.list()).slice(retentionCount);
+    for (const snapshot of expired) {
+      await store.remove(snapshot.name);
+      logger.info(`Removed backup snapshot ${snapshot.name}`);
+    }
+  }
+
+  // Take a snapshot unless fresh(newest) says the newest one is recent
+  // enough; resolves to the snapshot, or null when skipped
+  async function snapshot(fresh = () => false) {
+    let connection;
+    let directory;
+    try {
+      connection = await pool.getConnection();
+      // Replicas share the schedule; one snapshot at a time
+      if (!(await connection.lock(LOCK_NAME, 1))) return null;
+      try {
+        const [newest] = await store.list();
+        if (newest && fresh(newest)) return null;
+
+        const createdAt = new Date();
+        const name = snapshotName(createdAt);
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), "snapshot-"));
+        const file = path.join(directory, name);
+        const backup = backupStream(connection, { client: pool.client });
+        try {
+          await pipeline(backup.stream, fs.createWriteStream(file));
+        } finally {
+          await backup.close();
+        }
+        const { size } = await fs.promises.stat(file);
+        await store.save(name, file);
+        logger.info(`Stored backup snapshot ${name} (${size} bytes)`);
+
+        const result = { name, size, createdAt: createdAt.toISOString() };
+        notify(null, result);
+        await prune();
+        return result;
+      } finally {
+        await connection.unlock(LOCK_NAME);
+      }
+    } catch (error) {
+      notify(error);
+      throw error;
+    } finally {
+      if (connection) connection.release();
+      if (directory) await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  // Snapshot every intervalMs, counted from the newest stored snapshot so
+  // restarts do not add extra ones. Another replica having just taken one
+  // also counts. Returns a function that stops it.
+  function schedule(intervalMs) {
+    const age = (snapshot) => Date.now() - Date.parse(snapshot.createdAt);
+    let timer;
+    let stopped = false;
+
+    const next = (delayMs) => {
+      if (stopped) return;
+      timer = setTimeout(async () => {
+        await snapshot((newest) => age(newest) < intervalMs / 2).catch((error) =>
+          logger.error("Backup snapshot failed:", error)
+        );
+        next(intervalMs);
+      }, delayMs);
+      timer.unref();
+    };
+
+    store
+      .list()
+      .then(([newest]) => {
+        if (newest) notify(null, newest);
+        next(newest ? Math.max(0, intervalMs - age(newest)) : 0);
+      })
+      .catch((error) => {
+        logger.error("Backup snapshot listing failed:", error);
+        next(intervalMs);
+      });
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }
+
+  return {
+    take: () => snapshot(),
+    list: () => store.list(),
+    schedule,
+    onSnapshot(listener) {
+      listeners.push(listener);
+    },
+  };
+}
+
+module.exports = {
+  createSnapshots,
+  createSnapshotStore,
+  createDirectoryStore,
+  createS3Store,
+  snapshotName,
+};
@@ -0,0 +1,349 @@
+const express = require("express");
+const { UniqueViolationError, ForeignKeyViolationError, withTransaction } = require("./db");
+const { ValidationError, validate, partial, SLUG_PATTERN } = require("./validation");
+const { tenantBody, tenantIdParams } = require("./schemas");
+
+const TENANT_HEADER = "X-Tenant";
+
+// Request validators
+const validateTenantId = validate({ params: tenantIdParams });
+const validateTenantCreate = validate({ body: tenantBody });
+const validateTenantPatch = validate({ params: tenantIdParams, body: partial(tenantBody) });
+
+// The tenant a request names: the X-Tenant header, else the subdomain
+// directly below baseDomain, such as acme for acme.users.example.com
+function namedTenant(req, baseDomain) {
+  const header = req.get(TENANT_HEADER);
+  if (header) return header.trim().toLowerCase();
+
+  const hostname = (req.hostname || "").toLowerCase();
+  if (baseDomain && hostname.endsWith(`.${baseDomain}`)) {
+    const label = hostname.slice(0, -baseDomain.length - 1);
+    if (!label.includes(".")) return label;
+  }
+  return null;
+}
+
+// Works out the tenant of each users request. Tenants are looked up by
+// slug and kept for cacheSeconds, so renames and deletions made through
+// another replica take up to that long to apply here.
+function createTenantResolver({
+  pool,
+  logger,
+  defaultSlug = "default",
+  baseDomain,
+  cacheSeconds = 30,
+}) {
+  const cache = new Map();
+
+  async function findBySlug(slug) {
+    const hit = cache.get(slug);
+    if (hit && hit.expires > Date.now()) return hit.tenant;
+
+    const [rows] = await pool.execute("SELECT * FROM tenants WHERE slug = ?", [slug]);
+    // Misses are not kept, so new tenants work right away
+    if (rows[0] && cacheSeconds > 0) {
+      cache.set(slug, { tenant: rows[0], expires: Date.now() + cacheSeconds * 1000 });
+    }
+    return rows[0] || null;
+  }
+
+  // Drop cached tenants; called after each tenant write
+  function forget() {
+    cache.clear();
+  }
+
+  // Middleware setting req.tenant; use after authenticate. A tenant claim
+  // in the token pins the account to that tenant. Other accounts choose
+  // one by header or subdomain, and get the default tenant otherwise.
+  async function resolve(req, res, next) {
+    const claimed = req.user && req.user.tenant;
+    const named = namedTenant(req, baseDomain);
+    if (claimed && named && named !== claimed) {
+      return res.status(403).json({
+        success: false,
+        error: `Account is limited to tenant "${claimed}"`,
+      });
+    }
+
+    const slug = claimed || named || defaultSlug;
+    try {
+      const tenant =
+        slug.length <= 63 && SLUG_PATTERN.test(slug) ? await findBySlug(slug) : null;
+      if (!tenant) {
+        return res.status(404).json({
+          success: false,
+          error: "Tenant not found",
+        });
+      }
+      req.tenant = tenant;
+      next();
+    } catch (error) {
+      logger.error("Resolve tenant error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to resolve tenant",
+      });
+    }
+  }
+
+  return { resolve, forget, defaultSlug };
+}
+
+// GET /api/tenants: the tenants the account may work in
+function createTenantsRouter({ pool, logger, guard }) {
+  const router = express.Router();
+
+  router.get("/", guard, async (req, res) => {
+    try {
+      const [rows] = req.user.tenant
+        ? await pool.execute("SELECT * FROM tenants WHERE slug = ?", [req.user.tenant])
+        : await pool.query("SELECT * FROM tenants ORDER BY name, id");
+      res.json({
+        success: true,
+        data: rows,
+      });
+    } catch (error) {
+      logger.error("Get tenants error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch tenants",
+      });
+    }
+  });
+
+  return router;
+}
+
+// Tenants with their number of live users
+const TENANT_WITH_USERS = `
+  SELECT tenants.*, COUNT(users.id) AS user_count
+  FROM tenants LEFT JOIN users ON users.tenant_id = tenants.id AND users.deleted_at IS NULL`;
+
+function withUserCount(row) {
+  return { ...row, user_count: Number(row.user_count) };
+}
+
+// Tenant CRUD, mounted at /api/admin behind guard
+function createTenantAdminRouter({ pool, logger, guard, resolver }) {
+  const router = express.Router();
+  const json = express.json({ limit: "4kb" });
+
+  const notFound = (res) =>
+    res.status(404).json({
+      success: false,
+      error: "Tenant not found",
+    });
+
+  router.get("/tenants", guard, async (req, res) => {
+    try {
+      const [rows] = await pool.query(
+        `${TENANT_WITH_USERS} GROUP BY tenants.id ORDER BY tenants.slug`
+      );
+      res.json({
+        success: true,
+        data: rows.map(withUserCount),
+      });
+    } catch (error) {
+      logger.error("Get tenants error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch tenants",
+      });
+    }
+  });
+
+  router.get("/tenants/:id", guard, validateTenantId, async (req, res) => {
+    try {
+      const [rows] = await pool.execute(
+        `${TENANT_WITH_USERS} WHERE tenants.id = ? GROUP BY tenants.id`,
+        [req.valid.params.id]
+      );
+      if (rows.length === 0) return notFound(res);
+
+      res.json({
+        success: true,
+        data: withUserCount(rows[0]),
+      });
+    } catch (error) {
+      logger.error("Get tenant error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch tenant",
+      });
+    }
+  });
+
+  router.post("/tenants", guard, json, validateTenantCreate, async (req, res) => {
+    try {
+      const { slug, name } = req.valid.body;
+      const tenant = await withTransaction(pool, async (connection) => {
+        const [[{ id }]] = await connection.execute(
+          "INSERT INTO tenants (slug, name) VALUES (?, ?) RETURNING id",
+          [slug, name]
+        );
+        const [rows] = await connection.execute("SELECT * FROM tenants WHERE id = ?", [id]);
+        return rows[0];
+      });
+
+      logger.info(`Created tenant "${tenant.slug}"`);
+      res.status(201).json({
+        success: true,
+        data: tenant,
+      });
+    } catch (error) {
+      logger.error("Create tenant error:", error);
+      if (error instanceof UniqueViolationError) {
+        res.status(409).json({
+          success: false,
+          error: "Slug already exists",
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: "Failed to create tenant",
+        });
+      }
+    }
+  });
+
+  // Rename a tenant. Accounts pinned to it get the new slug in their
+  // next token; until then their requests name the old one.
+  router.patch("/tenants/:id", guard, json, validateTenantPatch, async (req, res, next) => {
+    const changes = req.valid.body;
+    if (Object.keys(changes).length === 0) {
+      return next(
+        new ValidationError([
+          { field: null, location: "body", message: "must contain at least one field" },
+        ])
+      );
+    }
+
+    try {
+      const outcome = await withTransaction(pool, async (connection) => {
+        const [before] = await connection.execute(
+          "SELECT * FROM tenants WHERE id = ? FOR UPDATE",
+          [req.valid.params.id]
+        );
+        if (before.length === 0) return { status: 404 };
+        if (
+          before[0].slug === resolver.defaultSlug &&
+          changes.slug !== undefined &&
+          changes.slug !== before[0].slug
+        ) {
+          return { status: 409, error: "The default tenant's slug cannot be changed" };
+        }
+
+        const assignments = Object.keys(changes).map((field) => `${field} = ?`);
+        await connection.execute(`UPDATE tenants SET ${assignments.join(", ")} WHERE id = ?`, [
+          ...Object.values(changes),
+          before[0].id,
+        ]);
+        const [rows] = await connection.execute("SELECT * FROM tenants WHERE id = ?", [
+          before[0].id,
+        ]);
+        return { status: 200, tenant: rows[0] };
+      });
+
+      if (outcome.status === 404) return notFound(res);
+      if (outcome.status === 409) {
+        return res.status(409).json({
+          success: false,
+          error: outcome.error,
+        });
+      }
+
+      resolver.forget();
+      res.json({
+        success: true,
+        data: outcome.tenant,
+      });
+    } catch (error) {
+      logger.error("Update tenant error:", error);
+      if (error instanceof UniqueViolationError) {
+        res.status(409).json({
+          success: false,
+          error: "Slug already exists",
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: "Failed to update tenant",
+        });
+      }
+    }
+  });
+
+  // Delete an empty tenant. Users, including deleted ones awaiting the
+  // purge, and pinned accounts have to go first.
+  router.delete("/tenants/:id", guard, validateTenantId, async (req, res) => {
+    try {
+      const outcome = await withTransaction(pool, async (connection) => {
+        const [before] = await connection.execute(
+          "SELECT * FROM tenants WHERE id = ? FOR UPDATE",
+          [req.valid.params.id]
+        );
+        if (before.length === 0) return { status: 404 };
+        if (before[0].slug === resolver.defaultSlug) {
+          return { status: 409, error: "The default tenant cannot be deleted" };
+        }
+
+        const [[{ users }]] = await connection.execute(
+          "SELECT COUNT(*) AS users FROM users WHERE tenant_id = ?",
+          [before[0].id]
+        );
+        const [[{ accounts }]] = await connection.execute(
+          "SELECT COUNT(*) AS accounts FROM accounts WHERE tenant_id = ?",
+          [before[0].id]
+        );
+        if (Number(users) > 0 || Number(accounts) > 0) {
+          return {
+            status: 409,
+            error: `Tenant still has ${Number(users)} users and ${Number(accounts)} accounts`,
+          };
+        }
+
+        await connection.execute("DELETE FROM tenants WHERE id = ?", [before[0].id]);
+        return { status: 200, tenant: before[0] };
+      });
+
+      if (outcome.status === 404) return notFound(res);
+      if (outcome.status === 409) {
+        return res.status(409).json({
+          success: false,
+          error: outcome.error,
+        });
+      }
+
+      resolver.forget();
+      logger.info(`Deleted tenant "${outcome.tenant.slug}"`);
+      res.json({
+        success: true,
+        message: "Tenant deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Delete tenant error:", error);
+      // A user or account was added to it meanwhile
+      if (error instanceof ForeignKeyViolationError) {
+        res.status(409).json({
+          success: false,
+          error: "Tenant still has users or accounts",
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: "Failed to delete tenant",
+        });
+      }
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createTenantResolver,
+  createTenantsRouter,
+  createTenantAdminRouter,
+  TENANT_HEADER,
+};
@@ -0,0 +1,87 @@
+const { registerInstrumentations } = require("@opentelemetry/instrumentation");
+const { HttpInstrumentation } = require("@opentelemetry/instrumentation-http");
+const { ExpressInstrumentation } = require("@opentelemetry/instrumentation-express");
+const { MySQL2Instrumentation } = require("@opentelemetry/instrumentation-mysql2");
+const { PgInstrumentation } = require("@opentelemetry/instrumentation-pg");
+const { OTLPTraceExporter } = require("@opentelemetry/exporter-trace-otlp-http");
+const { resourceFromAttributes } = require("@opentelemetry/resources");
+const { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } = require("@opentelemetry/semantic-conventions");
+const {
+  NodeTracerProvider,
+  BatchSpanProcessor,
+  SimpleSpanProcessor,
+  ConsoleSpanExporter,
+  InMemorySpanExporter,
+} = require("@opentelemetry/sdk-trace-node");
+const { version } = require("../package.json");
+
+// Probes and scrapes would drown out real traffic
+const UNTRACED_PATHS = new Set(["/health", "/ready", "/live", "/metrics"]);
+
+// Pick the exporter: OTEL_TRACES_EXPORTER wins, otherwise OTLP when an
+// endpoint is configured and no tracing at all when it is not
+function exporterName(env) {
+  if (env.OTEL_TRACES_EXPORTER) return env.OTEL_TRACES_EXPORTER;
+  if (env.OTEL_EXPORTER_OTLP_ENDPOINT || env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) {
+    return "otlp";
+  }
+  return "none";
+}
+
+// Start tracing of incoming HTTP requests, Express routing and mysql2 or
+// pg queries. Must run before those modules are first required, so it
+// can patch them. The OTLP exporter reads its endpoint and headers from the
+// standard OTEL_EXPORTER_OTLP_* variables.
+function startTracing({
+  exporter = exporterName(process.env),
+  serviceName = process.env.OTEL_SERVICE_NAME || "sample-backend",
+} = {}) {
+  if (exporter === "none") {
+    return { exporter: null, shutdown: async () => {} };
+  }
+
+  let spanExporter;
+  let spanProcessor;
+  if (exporter === "otlp") {
+    spanExporter = new OTLPTraceExporter();
+    spanProcessor = new BatchSpanProcessor(spanExporter);
+  } else if (exporter === "console") {
+    spanExporter = new ConsoleSpanExporter();
+    spanProcessor = new SimpleSpanProcessor(spanExporter);
+  } else if (exporter === "memory") {
+    spanExporter = new InMemorySpanExporter();
+    spanProcessor = new SimpleSpanProcessor(spanExporter);
+  } else {
+    throw new Error(`Unknown trace exporter "${exporter}", expected otlp, console, memory or none`);
+  }
+
+  const provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({
+      [ATTR_SERVICE_NAME]: serviceName,
+      [ATTR_SERVICE_VERSION]: version,
+    }),
+    spanProcessors: [spanProcessor],
+  });
+  // Installs the async context manager and the W3C traceparent propagator
+  provider.register();
+
+  registerInstrumentations({
+    tracerProvider: provider,
+    instrumentations: [
+      new HttpInstrumentation({
+        ignoreIncomingRequestHook: (req) => UNTRACED_PATHS.has(req.url.split("?")[0]),
+      }),
+      new ExpressInstrumentation(),
+      new MySQL2Instrumentation(),
+      new PgInstrumentation(),
+    ],
+  });
+
+  return {
+    exporter: spanExporter,
+    // Flush buffered spans; call before the process exits
+    shutdown: () => provider.shutdown(),
+  };
+}
+
+module.exports = { startTracing };
@@ -0,0 +1,211 @@
+const crypto = require("crypto");
+const { withTransaction } = require("./db");
+const { buildListSql } = require("./pagination");
+const { recordAuditEvent } = require("./audit");
+
+// Every cached users key embeds this generation, so bumping it after a
+// write invalidates all cached lists and users at once
+const GENERATION_KEY = "users:generation";
+
+// SQL for users, scoped to the tenant of each request (req.tenant). Reads
+// go through the data source, which may serve them from a replica, and
+// through the cache when one is given; writes run in a transaction on the
+// primary, record an audit event alongside the change and invalidate the
+// cache.
+function createUserRepository({
+  dataSource,
+  cache = null,
+  logger,
+  listTtlSeconds = 30,
+  userTtlSeconds = 60,
+}) {
+  const { primary } = dataSource;
+
+  // Serve load() from the cache under keyspace and key. Cached rows come
+  // back with dates as ISO strings, which serialize the same way. Cache
+  // failures fall back to load() so Redis outages only cost speed.
+  // Requests sticking to the primary after a write bypass the cache, which
+  // other requests may have filled from a lagging replica.
+  async function cached(req, keyspace, key, ttlSeconds, load) {
+    if (!cache || ttlSeconds <= 0 || dataSource.isSticky(req)) return load();
+
+    let cacheKey;
+    try {
+      const generation = await cache.generation(GENERATION_KEY);
+      cacheKey = `users:${keyspace}:${generation}:${key}`;
+      const hit = await cache.get(cacheKey);
+      if (hit !== undefined) return hit;
+    } catch (error) {
+      logger.warn(`Cache read failed: ${error.message}`);
+      return load();
+    }
+
+    const value = await load();
+    cache.set(cacheKey, value, ttlSeconds).catch((error) => {
+      logger.warn(`Cache write failed: ${error.message}`);
+    });
+    return value;
+  }
+
+  // Drop every cached users entry; called after each committed write
+  async function invalidate() {
+    if (!cache) return;
+    try {
+      await cache.bump(GENERATION_KEY);
+    } catch (error) {
+      logger.error("Cache invalidation failed:", error);
+    }
+  }
+
+  // A page of users and the total matching the list filters
+  async function list(req, options) {
+    const scoped = { ...options, tenantId: req.tenant.id };
+    const { countSql, countParams, pageSql, pageParams } = buildListSql(scoped);
+    const key = crypto.createHash("sha1").update(JSON.stringify(scoped)).digest("hex");
+    return cached(req, "list", key, listTtlSeconds, () =>
+      dataSource.read(req, async (pool) => {
+        const [[{ total }]] = await pool.query(countSql, countParams);
+        const [rows] = await pool.query(pageSql, pageParams);
+        return { total: Number(total), rows };
+      })
+    );
+  }
+
+  async function findById(req, id, { includeDeleted = false } = {}) {
+    const sql = includeDeleted
+      ? "SELECT * FROM users WHERE id = ? AND tenant_id = ?"
+      : "SELECT * FROM users WHERE id = ? AND tenant_id = ? AND deleted_at IS NULL";
+    const key = `${req.tenant.id}:${id}:${includeDeleted ? "all" : "active"}`;
+    return cached(req, "item", key, userTtlSeconds, () =>
+      dataSource.read(req, async (pool) => {
+        const [rows] = await pool.execute(sql, [id, req.tenant.id]);
+        return rows[0] || null;
+      })
+    );
+  }
+
+  // The user, deleted or not, holding email; live ones first. Read from
+  // the primary, as callers ask right after a write was refused.
+  async function findByEmail(req, email) {
+    const [rows] = await primary.execute(
+      "SELECT * FROM users WHERE tenant_id = ? AND LOWER(email) = ? " +
+        "ORDER BY deleted_at IS NULL DESC, id",
+      [req.tenant.id, email.toLowerCase()]
+    );
+    return rows[0] || null;
+  }
+
+  async function create(req, { name, email }) {
+    const user = await withTransaction(primary, async (connection) => {
+      const [[{ id }]] = await connection.execute(
+        "INSERT INTO users (tenant_id, name, email) VALUES (?, ?, ?) RETURNING id",
+        [req.tenant.id, name, email]
+      );
+
+      // Get the created user
+      const [rows] = await connection.execute("SELECT * FROM users WHERE id = ?", [id]);
+      await recordAuditEvent(connection, req, {
+        action: "create",
+        entityId: rows[0].id,
+        after: rows[0],
+      });
+      return rows[0];
+    });
+    await invalidate();
+    return user;
+  }
+
+  // Apply changes unless ifMatch (from parseIfMatch) names other versions.
+  // Resolves to { status: 200 | 404 | 412, user }.
+  async function update(req, id, changes, ifMatch) {
+    const assignments = Object.keys(changes).map((field) => `${field} = ?`);
+    let sql = `UPDATE users SET ${assignments.join(", ")}, version = version + 1 WHERE id = ? AND deleted_at IS NULL`;
+    const params = [...Object.values(changes), id];
+    if (Array.isArray(ifMatch)) {
+      sql += ifMatch.length
+        ? ` AND version IN (${ifMatch.map(() => "?").join(", ")})`
+        : " AND 1 = 0";
+      params.push(...ifMatch);
+    }
+
+    const outcome = await withTransaction(primary, async (connection) => {
+      const [before] = await connection.execute(
+        "SELECT * FROM users WHERE id = ? AND tenant_id = ? AND deleted_at IS NULL FOR UPDATE",
+        [id, req.tenant.id]
+      );
+      if (before.length === 0) return { status: 404 };
+
+      const [result] = await connection.execute(sql, params);
+      // Get the updated user, or its current state when the write was refused
+      const [rows] = await connection.execute("SELECT * FROM users WHERE id = ?", [id]);
+      if (result.affectedRows === 0) return { status: 412, user: rows[0] };
+
+      await recordAuditEvent(connection, req, {
+        action: "update",
+        entityId: id,
+        before: before[0],
+        after: rows[0],
+      });
+      return { status: 200, user: rows[0] };
+    });
+    if (outcome.status === 200) await invalidate();
+    return outcome;
+  }
+
+  // Soft delete; resolves to the deleted user, or null when there was none
+  async function softDelete(req, id) {
+    const deleted = await withTransaction(primary, async (connection) => {
+      const [before] = await connection.execute(
+        "SELECT * FROM users WHERE id = ? AND tenant_id = ? AND deleted_at IS NULL FOR UPDATE",
+        [id, req.tenant.id]
+      );
+      if (before.length === 0) return null;
+
+      await connection.execute(
+        "UPDATE users SET deleted_at = ?, version = version + 1 WHERE id = ?",
+        [new Date(), id]
+      );
+      const [rows] = await connection.execute("SELECT * FROM users WHERE id = ?", [id]);
+      await recordAuditEvent(connection, req, {
+        action: "delete",
+        entityId: id,
+        before: before[0],
+        after: rows[0],
+      });
+      return rows[0];
+    });
+    if (deleted) await invalidate();
+    return deleted;
+  }
+
+  // Undo a soft delete. Resolves to { status: 200 | 404 | 409, user }.
+  async function restore(req, id) {
+    const outcome = await withTransaction(primary, async (connection) => {
+      const [before] = await connection.execute(
+        "SELECT * FROM users WHERE id = ? AND tenant_id = ? FOR UPDATE",
+        [id, req.tenant.id]
+      );
+      if (before.length === 0) return { status: 404 };
+      if (!before[0].deleted_at) return { status: 409 };
+
+      await connection.execute(
+        "UPDATE users SET deleted_at = NULL, version = version + 1 WHERE id = ?",
+        [id]
+      );
+      const [rows] = await connection.execute("SELECT * FROM users WHERE id = ?", [id]);
+      await recordAuditEvent(connection, req, {
+        action: "restore",
+        entityId: id,
+        before: before[0],
+        after: rows[0],
+      });
+      return { status: 200, user: rows[0] };
+    });
+    if (outcome.status === 200) await invalidate();
+    return outcome;
+  }
+
+  return { list, findById, findByEmail, create, update, softDelete, restore, invalidate };
+}
+
+module.exports = { createUserRepository };
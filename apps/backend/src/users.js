@@ -0,0 +1,268 @@
+const express = require("express");
+const { UniqueViolationError } = require("./db");
+const { parseListQuery, buildLinkHeader, encodeCursor } = require("./pagination");
+const { ValidationError, validate, partial } = require("./validation");
+const { userBody, userIdParams, listUsersQuery, getUserQuery } = require("./schemas");
+const { userEtag, parseIfMatch, bodyEtag } = require("./etag");
+
+// Request validators
+const validateListQuery = validate({ query: listUsersQuery });
+const validateUserId = validate({ params: userIdParams });
+const validateGetUser = validate({ params: userIdParams, query: getUserQuery });
+const validateUserCreate = validate({ body: userBody });
+const validateUserUpdate = validate({ params: userIdParams, body: userBody });
+const validateUserPatch = validate({ params: userIdParams, body: partial(userBody) });
+
+// Send a read response with its ETag, or 304 when the client's
+// If-None-Match already names it. no-cache lets browsers keep the body
+// but makes them revalidate on every use.
+function sendCacheable(req, res, etag, body) {
+  res.set({ ETag: etag, "Cache-Control": "private, no-cache" });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.json(body);
+}
+
+// User CRUD, mounted at /api/users
+function createUsersRouter({ users, events, logger, canRead, canWrite, canWriteJson, idempotent }) {
+  const router = express.Router();
+
+  // 409 for an email held by another user. When that user is in the
+  // trash, data holds it so clients can offer to restore it instead.
+  async function emailTaken(req, res, email) {
+    let owner = null;
+    try {
+      owner = await users.findByEmail(req, email);
+    } catch (error) {
+      logger.error("Find user by email error:", error);
+    }
+    if (owner && owner.deleted_at) {
+      return res.status(409).json({
+        success: false,
+        error: "Email belongs to a deleted user",
+        data: owner,
+      });
+    }
+    res.status(409).json({
+      success: false,
+      error: "Email already exists",
+    });
+  }
+
+  // Get users, paginated by offset or cursor
+  router.get("/", canRead, validateListQuery, async (req, res, next) => {
+    let options;
+    try {
+      options = parseListQuery(req.valid.query);
+    } catch (error) {
+      return next(error);
+    }
+
+    try {
+      const { total, rows } = await users.list(req, options);
+
+      const hasMore = rows.length > options.limit;
+      const data = hasMore ? rows.slice(0, options.limit) : rows;
+      const nextCursor = hasMore ? encodeCursor(data[data.length - 1], options) : null;
+
+      res.set(
+        "Link",
+        buildLinkHeader(req.baseUrl + req.path, req.query, options, {
+          total,
+          nextCursor,
+        })
+      );
+      const body = {
+        success: true,
+        data,
+        count: total,
+        total,
+        limit: options.limit,
+        offset: options.cursor ? null : options.offset,
+        nextCursor,
+      };
+      sendCacheable(req, res, bodyEtag(body), body);
+    } catch (error) {
+      logger.error("Get users error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch users",
+      });
+    }
+  });
+
+  // Get user by ID
+  router.get("/:id", canRead, validateGetUser, async (req, res) => {
+    try {
+      const user = await users.findById(req, req.valid.params.id, {
+        includeDeleted: req.valid.query.includeDeleted === "true",
+      });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+        });
+      }
+
+      sendCacheable(req, res, userEtag(user), {
+        success: true,
+        data: user,
+      });
+    } catch (error) {
+      logger.error("Get user error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch user",
+      });
+    }
+  });
+
+  // Create new user
+  router.post("/", canWriteJson, idempotent, validateUserCreate, async (req, res) => {
+    try {
+      const user = await users.create(req, req.valid.body);
+
+      events.publish("user.created", user, req.tenant.id);
+      res.set("ETag", userEtag(user));
+      res.status(201).json({
+        success: true,
+        data: user,
+      });
+    } catch (error) {
+      logger.error("Create user error:", error);
+      if (error instanceof UniqueViolationError) {
+        await emailTaken(req, res, req.valid.body.email);
+      } else {
+        res.status(500).json({
+          success: false,
+          error: "Failed to create user",
+        });
+      }
+    }
+  });
+
+  // Apply changes to a user, honoring If-Match preconditions
+  async function updateUser(req, res, changes) {
+    const { id } = req.valid.params;
+    const ifMatch = parseIfMatch(req.get("If-Match"), id);
+
+    try {
+      const outcome = await users.update(req, id, changes, ifMatch);
+
+      if (outcome.status === 404) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+        });
+      }
+
+      res.set("ETag", userEtag(outcome.user));
+      if (outcome.status === 412) {
+        return res.status(412).json({
+          success: false,
+          error: "User was modified by someone else",
+          data: outcome.user,
+        });
+      }
+
+      events.publish("user.updated", outcome.user, req.tenant.id);
+      res.json({
+        success: true,
+        data: outcome.user,
+      });
+    } catch (error) {
+      logger.error("Update user error:", error);
+      if (error instanceof UniqueViolationError) {
+        await emailTaken(req, res, changes.email);
+      } else {
+        res.status(500).json({
+          success: false,
+          error: "Failed to update user",
+        });
+      }
+    }
+  }
+
+  // Replace user
+  router.put("/:id", canWriteJson, idempotent, validateUserUpdate, (req, res) => {
+    const { name, email } = req.valid.body;
+    return updateUser(req, res, { name, email });
+  });
+
+  // Partially update user
+  router.patch("/:id", canWriteJson, idempotent, validateUserPatch, (req, res, next) => {
+    if (Object.keys(req.valid.body).length === 0) {
+      return next(
+        new ValidationError([
+          { field: null, location: "body", message: "must contain at least one field" },
+        ])
+      );
+    }
+    return updateUser(req, res, req.valid.body);
+  });
+
+  // Soft delete user; it stays restorable until purged
+  router.delete("/:id", canWrite, idempotent, validateUserId, async (req, res) => {
+    try {
+      const deleted = await users.softDelete(req, req.valid.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+        });
+      }
+
+      events.publish("user.deleted", deleted, req.tenant.id);
+      res.json({
+        success: true,
+        message: "User deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Delete user error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to delete user",
+      });
+    }
+  });
+
+  // Restore soft-deleted user
+  router.post("/:id/restore", canWrite, idempotent, validateUserId, async (req, res) => {
+    try {
+      const outcome = await users.restore(req, req.valid.params.id);
+
+      if (outcome.status === 404) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found",
+        });
+      }
+      if (outcome.status === 409) {
+        return res.status(409).json({
+          success: false,
+          error: "User is not deleted",
+        });
+      }
+
+      events.publish("user.restored", outcome.user, req.tenant.id);
+      res.set("ETag", userEtag(outcome.user));
+      res.json({
+        success: true,
+        data: outcome.user,
+      });
+    } catch (error) {
+      logger.error("Restore user error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to restore user",
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createUsersRouter };
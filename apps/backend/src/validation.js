@@ -0,0 +1,150 @@
+// Minimal schema-driven validation for request body, params and query.
+// A schema maps field names to rules:
+//   { type: "string" | "integer" | "date", required, min, max,
+//     minLength, maxLength, trim, lowercase, format: "email" | "slug", enum: [...] }
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// A DNS label, so slugs also work as subdomains
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+
+class ValidationError extends Error {
+  constructor(errors) {
+    super("Validation failed");
+    this.errors = errors;
+  }
+}
+
+// Check a single value against its rule, returning [coerced, message]
+function checkValue(value, rule, location) {
+  if (rule.type === "integer") {
+    // Params and query arrive as strings; bodies must send real numbers
+    const number =
+      location === "body" || typeof value !== "string" || !/^-?\d+$/.test(value)
+        ? value
+        : Number(value);
+    if (!Number.isSafeInteger(number)) return [value, "must be an integer"];
+    if (rule.min !== undefined && number < rule.min) {
+      return [value, `must be at least ${rule.min}`];
+    }
+    if (rule.max !== undefined && number > rule.max) {
+      return [value, `must be at most ${rule.max}`];
+    }
+    return [number];
+  }
+
+  if (rule.type === "date") {
+    const date = typeof value === "string" ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      return [value, "must be an ISO 8601 date"];
+    }
+    return [date];
+  }
+
+  if (typeof value !== "string") return [value, "must be a string"];
+  const trimmed = rule.trim ? value.trim() : value;
+  const string = rule.lowercase ? trimmed.toLowerCase() : trimmed;
+  if (rule.minLength !== undefined && string.length < rule.minLength) {
+    return [
+      string,
+      rule.minLength === 1 ? "must not be empty" : `must be at least ${rule.minLength} characters`,
+    ];
+  }
+  if (rule.maxLength !== undefined && string.length > rule.maxLength) {
+    return [string, `must be at most ${rule.maxLength} characters`];
+  }
+  if (rule.format === "email" && !EMAIL_PATTERN.test(string)) {
+    return [string, "must be a valid email address"];
+  }
+  if (rule.format === "slug" && !SLUG_PATTERN.test(string)) {
+    return [string, "must be lowercase letters, digits and inner hyphens"];
+  }
+  if (rule.enum && !rule.enum.includes(string)) {
+    return [string, `must be one of: ${rule.enum.join(", ")}`];
+  }
+  return [string];
+}
+
+// Validate an object against a schema. Unknown fields are rejected for
+// bodies and ignored for params and query strings.
+function validateObject(input, schema, location) {
+  const errors = [];
+  const value = {};
+  const source = input && typeof input === "object" && !Array.isArray(input) ? input : null;
+
+  if (!source) {
+    errors.push({ field: null, location, message: "must be a JSON object" });
+    return { value, errors };
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = source[field];
+    if (raw === undefined || raw === null || (location !== "body" && raw === "")) {
+      if (rule.required) errors.push({ field, location, message: "is required" });
+      continue;
+    }
+    if (Array.isArray(raw)) {
+      errors.push({ field, location, message: "must not be repeated" });
+      continue;
+    }
+    const [coerced, message] = checkValue(raw, rule, location);
+    if (message) {
+      errors.push({ field, location, message });
+    } else {
+      value[field] = coerced;
+    }
+  }
+
+  if (location === "body") {
+    for (const field of Object.keys(source)) {
+      if (!schema[field]) errors.push({ field, location, message: "is not allowed" });
+    }
+  }
+
+  return { value, errors };
+}
+
+// Express middleware validating the given parts of the request. Coerced
+// values are exposed on req.valid.{body,params,query}.
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    req.valid = {};
+
+    for (const location of ["params", "query", "body"]) {
+      if (!schemas[location]) continue;
+      const result = validateObject(req[location], schemas[location], location);
+      req.valid[location] = result.value;
+      errors.push(...result.errors);
+    }
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors));
+    }
+    next();
+  };
+}
+
+// Copy of a schema with every field optional, for partial updates
+function partial(schema) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([field, rule]) => [field, { ...rule, required: false }])
+  );
+}
+
+// Send the 400 response for a ValidationError
+function sendValidationError(res, error) {
+  res.status(400).json({
+    success: false,
+    error: error.message,
+    details: error.errors,
+  });
+}
+
+module.exports = {
+  ValidationError,
+  validate,
+  validateObject,
+  partial,
+  sendValidationError,
+  SLUG_PATTERN,
+};
@@ -0,0 +1,973 @@
+// Integration tests: the whole app, from HTTP down to SQL, against an
+// in-memory SQLite database migrated and seeded on start.
+
+const zlib = require("zlib");
+const request = require("supertest");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const logger = require("../src/logger");
+const metrics = require("../src/metrics");
+const { loadConfig } = require("../src/config");
+const { createPool } = require("../src/db");
+const { createApp } = require("../src/app");
+const { createMigrator } = require("../src/migrate");
+
+// Expected failures would otherwise fill the output with error logs
+logger.silent = true;
+
+const ADMIN = { username: "admin", password: "integration-secret" };
+
+// Build and start an app on a fresh database. wrap may replace pool
+// methods before the app instruments them.
+async function startApp(env = {}, wrap = () => {}, replicas = []) {
+  const config = loadConfig({
+    JWT_SECRET: "integration-test-secret",
+    DATABASE_CLIENT: "sqlite",
+    DATABASE_FILE: ":memory:",
+    ADMIN_USERNAME: ADMIN.username,
+    ADMIN_PASSWORD: ADMIN.password,
+    RATE_LIMIT_IP_READ: "10000/60",
+    RATE_LIMIT_IP_WRITE: "10000/60",
+    RATE_LIMIT_ACCOUNT_READ: "10000/60",
+    RATE_LIMIT_ACCOUNT_WRITE: "10000/60",
+    USER_BODY_LIMIT: "1kb",
+    // Never used, only redacted
+    BACKUP_S3_ACCESS_KEY_ID: "AKIAEXAMPLE",
+    BACKUP_S3_SECRET_ACCESS_KEY: "s3-secret",
+    ...env,
+  });
+  const db = createPool(config.database);
+  wrap(db);
+  const instance = createApp({ db, replicas, logger, metrics, config });
+  await instance.start();
+
+  // Accounts for each role, with tokens signed as login would
+  const headers = {};
+  for (const role of ["viewer", "editor", "admin"]) {
+    const [[{ id }]] = await db.execute(
+      "INSERT INTO accounts (username, password_hash, role) VALUES (?, ?, ?) RETURNING id",
+      [`${role}-user`, "unused", role]
+    );
+    const token = jwt.sign({ username: `${role}-user`, role }, config.auth.jwtSecret, {
+      subject: String(id),
+    });
+    headers[role] = { Authorization: `Bearer ${token}` };
+  }
+
+  return { ...instance, db, auth: (role) => headers[role] };
+}
+
+describe("app", () => {
+  let app;
+  let db;
+  let auth;
+  let shutdown;
+
+  beforeAll(async () => {
+    ({ app, db, auth, shutdown } = await startApp());
+  });
+
+  afterAll(() => shutdown.shutdown("test"));
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe("operations", () => {
+    test("GET /live", async () => {
+      const res = await request(app).get("/live");
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ status: "alive" });
+    });
+
+    test("GET /ready once started", async () => {
+      const res = await request(app).get("/ready");
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe("ready");
+    });
+
+    test("GET /health", async () => {
+      const res = await request(app).get("/health");
+      expect(res.status).toBe(200);
+      expect(res.body.checks.database.status).toBe("healthy");
+      expect(res.body.checks.migrations.status).toBe("healthy");
+    });
+
+    test("GET /metrics", async () => {
+      const res = await request(app).get("/metrics");
+      expect(res.status).toBe(200);
+      expect(res.text).toContain("http_requests_total");
+    });
+
+    test("GET /metrics labels failed requests with their full route", async () => {
+      // Invalid IDs fail in validation, which passes the error to next()
+      const failed = await request(app).get("/api/users/abc").set(auth("viewer"));
+      expect(failed.status).toBe(400);
+      const res = await request(app).get("/metrics");
+      expect(res.text).toContain(
+        'http_requests_total{method="GET",route="/api/users/:id",status_code="400"}'
+      );
+    });
+
+    test("GET /api/openapi.json", async () => {
+      const res = await request(app).get("/api/openapi.json");
+      expect(res.status).toBe(200);
+      expect(res.body.openapi).toMatch(/^3\.1/);
+    });
+
+    test("unknown routes answer 404", async () => {
+      const res = await request(app).get("/api/nothing-here");
+      expect(res.status).toBe(404);
+      expect(res.body).toMatchObject({ success: false, error: "Route not found" });
+    });
+  });
+
+  describe("auth", () => {
+    test("login, refresh and logout", async () => {
+      const login = await request(app).post("/api/auth/login").send(ADMIN);
+      expect(login.status).toBe(200);
+      expect(login.body.data.account).toMatchObject({ username: "admin", role: "admin" });
+
+      const me = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${login.body.data.accessToken}`);
+      expect(me.status).toBe(200);
+      expect(me.body.data.role).toBe("admin");
+
+      const { refreshToken } = login.body.data;
+      const refreshed = await request(app).post("/api/auth/refresh").send({ refreshToken });
+      expect(refreshed.status).toBe(200);
+      expect(refreshed.body.data.refreshToken).not.toBe(refreshToken);
+
+      // Refresh tokens are single use
+      const reused = await request(app).post("/api/auth/refresh").send({ refreshToken });
+      expect(reused.status).toBe(401);
+
+      const logout = await request(app)
+        .post("/api/auth/logout")
+        .send({ refreshToken: refreshed.body.data.refreshToken });
+      expect(logout.status).toBe(200);
+      const revoked = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: refreshed.body.data.refreshToken });
+      expect(revoked.status).toBe(401);
+    });
+
+    test("login with a wrong password answers 401", async () => {
+      const res = await request(app)
+        .post("/api/auth/login")
+        .send({ username: "admin", password: "wrong-password" });
+      expect(res.status).toBe(401);
+    });
+
+    test("login without a password answers 400", async () => {
+      const res = await request(app).post("/api/auth/login").send({ username: "admin" });
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].field).toBe("password");
+    });
+
+    test("malformed JSON answers 400", async () => {
+      const res = await request(app)
+        .post("/api/auth/login")
+        .set("Content-Type", "application/json")
+        .send('{"username":');
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].message).toBe("must be valid JSON");
+    });
+
+    test("oversized bodies answer 413", async () => {
+      const res = await request(app)
+        .post("/api/auth/login")
+        .send({ username: "admin", password: "x".repeat(5000) });
+      expect(res.status).toBe(413);
+    });
+
+    test("invalid tokens answer 401", async () => {
+      const res = await request(app).get("/api/users").set("Authorization", "Bearer nonsense");
+      expect(res.status).toBe(401);
+      expect(res.headers["www-authenticate"]).toContain("invalid_token");
+    });
+  });
+
+  describe("users", () => {
+    test("GET /api/users lists the seeded users", async () => {
+      const res = await request(app).get("/api/users?sort=id&order=asc").set(auth("viewer"));
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBeGreaterThanOrEqual(5);
+      expect(res.body.data[0]).toMatchObject({ id: 1, name: "John Doe" });
+    });
+
+    test("GET /api/users pages with a cursor", async () => {
+      const first = await request(app)
+        .get("/api/users?limit=2&sort=id&order=asc")
+        .set(auth("viewer"));
+      expect(first.status).toBe(200);
+      expect(first.body.data).toHaveLength(2);
+      expect(first.headers.link).toContain('rel="next"');
+
+      const second = await request(app)
+        .get(`/api/users?limit=2&sort=id&order=asc&cursor=${first.body.nextCursor}`)
+        .set(auth("viewer"));
+      expect(second.status).toBe(200);
+      expect(second.body.data[0].id).toBeGreaterThan(first.body.data[1].id);
+    });
+
+    test("GET /api/users searches names and emails", async () => {
+      const res = await request(app).get("/api/users?q=JANE").set(auth("viewer"));
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((user) => user.email)).toEqual(["jane.smith@example.com"]);
+    });
+
+    test("GET /api/users answers 304 for a current ETag", async () => {
+      const res = await request(app).get("/api/users").set(auth("viewer"));
+      const revalidated = await request(app)
+        .get("/api/users")
+        .set(auth("viewer"))
+        .set("If-None-Match", res.headers.etag);
+      expect(revalidated.status).toBe(304);
+    });
+
+    test("GET /api/users with an invalid query answers 400", async () => {
+      const res = await request(app).get("/api/users?limit=0").set(auth("viewer"));
+      expect(res.status).toBe(400);
+    });
+
+    test("GET /api/users without a token answers 401", async () => {
+      const res = await request(app).get("/api/users");
+      expect(res.status).toBe(401);
+    });
+
+    test("GET /api/users answers 500 when the database fails", async () => {
+      const query = db.query;
+      jest.spyOn(db, "query").mockImplementation((sql, params) =>
+        /FROM users/.test(sql) ? Promise.reject(new Error("disk I/O error")) : query(sql, params)
+      );
+      // A search nobody made before, so the cache cannot answer it
+      const res = await request(app).get("/api/users?q=uncached").set(auth("viewer"));
+      expect(res.status).toBe(500);
+      expect(res.body).toMatchObject({ success: false, error: "Failed to fetch users" });
+    });
+
+    test("GET /api/users/:id", async () => {
+      const res = await request(app).get("/api/users/2").set(auth("viewer"));
+      expect(res.status).toBe(200);
+      expect(res.body.data.email).toBe("jane.smith@example.com");
+      expect(res.headers.etag).toBe(`"2-${res.body.data.version}"`);
+    });
+
+    test("GET /api/users/:id for a missing user answers 404", async () => {
+      const res = await request(app).get("/api/users/9999").set(auth("viewer"));
+      expect(res.status).toBe(404);
+    });
+
+    test("GET /api/users/:id with an invalid ID answers 400", async () => {
+      const res = await request(app).get("/api/users/abc").set(auth("viewer"));
+      expect(res.status).toBe(400);
+    });
+
+    test("POST /api/users creates a user", async () => {
+      const res = await request(app)
+        .post("/api/users")
+        .set(auth("editor"))
+        .send({ name: "Ada Lovelace", email: "ada@example.com" });
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ name: "Ada Lovelace", version: 1 });
+
+      const fetched = await request(app).get(`/api/users/${res.body.data.id}`).set(auth("viewer"));
+      expect(fetched.body.data.email).toBe("ada@example.com");
+    });
+
+    test("POST /api/users as a viewer answers 403", async () => {
+      const res = await request(app)
+        .post("/api/users")
+        .set(auth("viewer"))
+        .send({ name: "Viewer", email: "viewer@example.com" });
+      expect(res.status).toBe(403);
+    });
+
+    test("POST /api/users with an invalid body answers 400", async () => {
+      const res = await request(app)
+        .post("/api/users")
+        .set(auth("editor"))
+        .send({ name: "", email: "not-an-email" });
+      expect(res.status).toBe(400);
+      expect(res.body.details).toHaveLength(2);
+    });
+
+    test("POST /api/users with a taken email answers 409, ignoring case", async () => {
+      const res = await request(app)
+        .post("/api/users")
+        .set(auth("editor"))
+        .send({ name: "John Again", email: "JOHN.DOE@example.com" });
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe("Email already exists");
+    });
+
+    test("POST /api/users over the body limit answers 413", async () => {
+      const res = await request(app)
+        .post("/api/users")
+        .set(auth("editor"))
+        .send({ name: "x".repeat(2000), email: "big@example.com" });
+      expect(res.status).toBe(413);
+    });
+
+    test("POST /api/users replays retries with the same Idempotency-Key", async () => {
+      const send = (body) =>
+        request(app)
+          .post("/api/users")
+          .set(auth("editor"))
+          .set("Idempotency-Key", "create-grace")
+          .send(body);
+      const body = { name: "Grace Hopper", email: "grace@example.com" };
+
+      const created = await send(body);
+      expect(created.status).toBe(201);
+      const replayed = await send(body);
+      expect(replayed.status).toBe(201);
+      expect(replayed.headers["idempotent-replayed"]).toBe("true");
+      expect(replayed.body.data.id).toBe(created.body.data.id);
+
+      const reused = await send({ ...body, name: "Someone Else" });
+      expect(reused.status).toBe(422);
+    });
+
+    test("PUT /api/users/:id replaces a user", async () => {
+      const res = await request(app)
+        .put("/api/users/3")
+        .set(auth("editor"))
+        .send({ name: "Robert Johnson", email: "bob.johnson@example.com" });
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ name: "Robert Johnson", version: 2 });
+    });
+
+    test("PUT /api/users/:id with a stale If-Match answers 412", async () => {
+      const res = await request(app)
+        .put("/api/users/4")
+        .set(auth("editor"))
+        .set("If-Match", '"4-99"')
+        .send({ name: "Alice B", email: "alice.brown@example.com" });
+      expect(res.status).toBe(412);
+      expect(res.headers.etag).toBe('"4-1"');
+      expect(res.body.data.name).toBe("Alice Brown");
+    });
+
+    test("PUT /api/users/:id for a missing user answers 404", async () => {
+      const res = await request(app)
+        .put("/api/users/9999")
+        .set(auth("editor"))
+        .send({ name: "Nobody", email: "nobody@example.com" });
+      expect(res.status).toBe(404);
+    });
+
+    test("an email held by a deleted user answers 409 naming that user", async () => {
+      const created = await request(app)
+        .post("/api/users")
+        .set(auth("editor"))
+        .send({ name: "Gone", email: "gone@example.com" });
+      await request(app).delete(`/api/users/${created.body.data.id}`).set(auth("editor"));
+
+      const again = await request(app)
+        .post("/api/users")
+        .set(auth("editor"))
+        .send({ name: "Gone Again", email: "Gone@example.com" });
+      expect(again.status).toBe(409);
+      expect(again.body.error).toBe("Email belongs to a deleted user");
+      expect(again.body.data).toMatchObject({ id: created.body.data.id, name: "Gone" });
+
+      const renamed = await request(app)
+        .patch("/api/users/4")
+        .set(auth("editor"))
+        .send({ email: "gone@example.com" });
+      expect(renamed.status).toBe(409);
+      expect(renamed.body.data.id).toBe(created.body.data.id);
+    });
+
+    test("PUT /api/users/:id to a taken email answers 409", async () => {
+      const res = await request(app)
+        .put("/api/users/4")
+        .set(auth("editor"))
+        .send({ name: "Alice Brown", email: "jane.smith@example.com" });
+      expect(res.status).toBe(409);
+    });
+
+    test("PATCH /api/users/:id updates only the given fields", async () => {
+      const current = await request(app).get("/api/users/5").set(auth("viewer"));
+      const res = await request(app)
+        .patch("/api/users/5")
+        .set(auth("editor"))
+        .set("If-Match", current.headers.etag)
+        .send({ name: "Charles Wilson" });
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        name: "Charles Wilson",
+        email: "charlie.wilson@example.com",
+      });
+    });
+
+    test("PATCH /api/users/:id with no fields answers 400", async () => {
+      const res = await request(app).patch("/api/users/5").set(auth("editor")).send({});
+      expect(res.status).toBe(400);
+    });
+
+    test("DELETE and restore a user", async () => {
+      const created = await request(app)
+        .post("/api/users")
+        .set(auth("editor"))
+        .send({ name: "Temporary", email: "temporary@example.com" });
+      const path = `/api/users/${created.body.data.id}`;
+
+      const notDeleted = await request(app).post(`${path}/restore`).set(auth("editor"));
+      expect(notDeleted.status).toBe(409);
+
+      const deleted = await request(app).delete(path).set(auth("editor"));
+      expect(deleted.status).toBe(200);
+      expect((await request(app).get(path).set(auth("viewer"))).status).toBe(404);
+      const hidden = await request(app).get(`${path}?includeDeleted=true`).set(auth("viewer"));
+      expect(hidden.status).toBe(200);
+      expect(hidden.body.data.deleted_at).not.toBeNull();
+      expect((await request(app).delete(path).set(auth("editor"))).status).toBe(404);
+
+      const restored = await request(app).post(`${path}/restore`).set(auth("editor"));
+      expect(restored.status).toBe(200);
+      expect(restored.body.data.deleted_at).toBeNull();
+      expect((await request(app).get(path).set(auth("viewer"))).status).toBe(200);
+    });
+
+    test("DELETE /api/users/:id for a missing user answers 404", async () => {
+      const res = await request(app).delete("/api/users/9999").set(auth("editor"));
+      expect(res.status).toBe(404);
+    });
+
+    test("POST /api/users/:id/restore for a missing user answers 404", async () => {
+      const res = await request(app).post("/api/users/9999/restore").set(auth("editor"));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("bulk", () => {
+    test("GET /api/users/export as CSV", async () => {
+      const res = await request(app).get("/api/users/export").set(auth("viewer"));
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toMatch(/^text\/csv/);
+      const [header, first] = res.text.split("\n");
+      expect(header).toBe("id,name,email,created_at,updated_at");
+      expect(first).toMatch(/^1,John Doe,john\.doe@example\.com,/);
+    });
+
+    test("GET /api/users/export as NDJSON", async () => {
+      const res = await request(app)
+        .get("/api/users/export?format=ndjson")
+        .set(auth("viewer"))
+        .buffer(true)
+        .parse((response, callback) => {
+          let text = "";
+          response.on("data", (chunk) => (text += chunk));
+          response.on("end", () => callback(null, text));
+        });
+      expect(res.status).toBe(200);
+      const rows = res.body.trim().split("\n").map(JSON.parse);
+      expect(rows[1]).toMatchObject({ id: 2, email: "jane.smith@example.com" });
+    });
+
+    test("GET /api/users/export releases the connection when streaming fails", async () => {
+      const getConnection = db.getConnection;
+      const released = jest.fn();
+      jest.spyOn(db, "getConnection").mockImplementation(async () => {
+        const connection = await getConnection();
+        return {
+          ...connection,
+          stream: () => {
+            throw new Error("no such column: email");
+          },
+          release: () => {
+            released();
+            connection.release();
+          },
+        };
+      });
+      const res = await request(app).get("/api/users/export").set(auth("viewer"));
+      expect(res.status).toBe(500);
+      expect(released).toHaveBeenCalledTimes(1);
+    });
+
+    test("GET /api/users/export with an unknown format answers 400", async () => {
+      const res = await request(app).get("/api/users/export?format=xml").set(auth("viewer"));
+      expect(res.status).toBe(400);
+    });
+
+    test("POST /api/users/import dry run writes nothing", async () => {
+      const res = await request(app)
+        .post("/api/users/import?dryRun=true")
+        .set(auth("editor"))
+        .set("Content-Type", "text/csv")
+        .send("name,email\nDry Run,dry.run@example.com\n");
+      expect(res.status).toBe(200);
+      expect(res.body.data.summary).toEqual({ created: 1 });
+
+      const [[{ count }]] = await db.query(
+        "SELECT COUNT(*) AS count FROM users WHERE email = ?",
+        ["dry.run@example.com"]
+      );
+      expect(count).toBe(0);
+    });
+
+    test("POST /api/users/import creates, upserts and reports invalid rows", async () => {
+      const res = await request(app)
+        .post("/api/users/import?onConflict=upsert")
+        .set(auth("editor"))
+        .set("Content-Type", "application/x-ndjson")
+        .send(
+          [
+            '{"name":"Imported","email":"imported@example.com"}',
+            '{"name":"Jane Imported","email":"jane.smith@example.com"}',
+            '{"name":"","email":"x"}',
+          ].join("\n")
+        );
+      expect(res.status).toBe(200);
+      expect(res.body.data.summary).toEqual({ created: 1, updated: 1, invalid: 1 });
+
+      const jane = await request(app).get("/api/users/2").set(auth("viewer"));
+      expect(jane.body.data.name).toBe("Jane Imported");
+    });
+
+    test("POST /api/users/import replays only the same body for an Idempotency-Key", async () => {
+      const send = (body) =>
+        request(app)
+          .post("/api/users/import")
+          .set(auth("editor"))
+          .set("Idempotency-Key", "import-same-length")
+          .set("Content-Type", "text/csv")
+          .send(body);
+      const first = await send("name,email\nKey One,key.one@example.com\n");
+      expect(first.status).toBe(200);
+
+      const replayed = await send("name,email\nKey One,key.one@example.com\n");
+      expect(replayed.headers["idempotent-replayed"]).toBe("true");
+      expect(replayed.body).toEqual(first.body);
+
+      // Same length, different rows
+      const other = await send("name,email\nKey Two,key.two@example.com\n");
+      expect(other.status).toBe(422);
+    });
+
+    test("POST /api/users/import matches emails regardless of case", async () => {
+      const send = (body) =>
+        request(app)
+          .post("/api/users/import?onConflict=upsert")
+          .set(auth("editor"))
+          .set("Content-Type", "text/csv")
+          .send(body);
+      const first = await send("name,email\nMixed Case,Mixed.Case@Example.com\n");
+      expect(first.body.data.summary).toEqual({ created: 1 });
+      const second = await send("name,email\nMixed Case Again,MIXED.CASE@example.com\n");
+      expect(second.body.data.results[0]).toMatchObject({
+        status: "updated",
+        id: first.body.data.results[0].id,
+      });
+
+      const user = await request(app)
+        .get(`/api/users/${first.body.data.results[0].id}`)
+        .set(auth("viewer"));
+      expect(user.body.data.email).toBe("mixed.case@example.com");
+    });
+
+    test("POST /api/users/import leaves users in the trash alone", async () => {
+      const created = await request(app)
+        .post("/api/users")
+        .set(auth("editor"))
+        .send({ name: "Trashed", email: "trashed@example.com" });
+      const path = `/api/users/${created.body.data.id}`;
+      await request(app).delete(path).set(auth("editor"));
+
+      for (const onConflict of ["upsert", "skip"]) {
+        const res = await request(app)
+          .post(`/api/users/import?onConflict=${onConflict}`)
+          .set(auth("editor"))
+          .set("Content-Type", "text/csv")
+          .send("name,email\nRevived,trashed@example.com\n");
+        expect(res.status).toBe(200);
+        expect(res.body.data.results[0]).toEqual({
+          row: 1,
+          status: "skipped",
+          id: created.body.data.id,
+          reason: "email belongs to a deleted user",
+        });
+      }
+
+      const trashed = await request(app).get(`${path}?includeDeleted=true`).set(auth("viewer"));
+      expect(trashed.body.data).toMatchObject({ name: "Trashed" });
+      expect(trashed.body.data.deleted_at).not.toBeNull();
+    });
+
+    test("POST /api/users/import with malformed CSV answers 400", async () => {
+      const res = await request(app)
+        .post("/api/users/import")
+        .set(auth("editor"))
+        .set("Content-Type", "text/csv")
+        .send('name,email\n"unterminated,x@example.com\n');
+      expect(res.status).toBe(400);
+    });
+
+    test("POST /api/users/import with an unsupported type answers 415", async () => {
+      const res = await request(app)
+        .post("/api/users/import")
+        .set(auth("editor"))
+        .send({ name: "Json", email: "json@example.com" });
+      expect(res.status).toBe(415);
+    });
+  });
+
+  describe("audit", () => {
+    test("GET /api/audit lists recorded changes", async () => {
+      const res = await request(app)
+        .get("/api/audit?entityId=3&action=update")
+        .set(auth("editor"));
+      expect(res.status).toBe(200);
+      expect(res.body.data[0]).toMatchObject({
+        entityId: 3,
+        action: "update",
+        actor: "editor-user",
+      });
+    });
+
+    test("GET /api/audit as a viewer answers 403", async () => {
+      const res = await request(app).get("/api/audit").set(auth("viewer"));
+      expect(res.status).toBe(403);
+    });
+
+    test("GET /api/audit with an invalid query answers 400", async () => {
+      const res = await request(app).get("/api/audit?action=explode").set(auth("editor"));
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("tenants", () => {
+    const inAcme = (role) => ({ ...auth(role), "X-Tenant": "acme" });
+    let acme;
+
+    beforeAll(async () => {
+      const res = await request(app)
+        .post("/api/admin/tenants")
+        .set(auth("admin"))
+        .send({ slug: "acme", name: "Acme Corp" });
+      expect(res.status).toBe(201);
+      acme = res.body.data;
+    });
+
+    test("admins manage tenants", async () => {
+      const duplicate = await request(app)
+        .post("/api/admin/tenants")
+        .set(auth("admin"))
+        .send({ slug: "acme", name: "Other" });
+      expect(duplicate.status).toBe(409);
+
+      const renamed = await request(app)
+        .patch(`/api/admin/tenants/${acme.id}`)
+        .set(auth("admin"))
+        .send({ name: "Acme Inc" });
+      expect(renamed.status).toBe(200);
+      expect(renamed.body.data).toMatchObject({ slug: "acme", name: "Acme Inc" });
+
+      const list = await request(app).get("/api/admin/tenants").set(auth("admin"));
+      expect(list.body.data.map((tenant) => tenant.slug)).toEqual(["acme", "default"]);
+      expect(list.body.data[1].user_count).toBeGreaterThanOrEqual(5);
+
+      const editor = await request(app).get("/api/admin/tenants").set(auth("editor"));
+      expect(editor.status).toBe(403);
+    });
+
+    test("users are scoped to the tenant named by X-Tenant", async () => {
+      const created = await request(app)
+        .post("/api/users")
+        .set(inAcme("editor"))
+        .send({ name: "Jane Acme", email: "jane.smith@example.com" });
+      // Emails are unique per tenant only
+      expect(created.status).toBe(201);
+      expect(created.body.data.tenant_id).toBe(acme.id);
+
+      const list = await request(app).get("/api/users").set(inAcme("viewer"));
+      expect(list.body.data.map((user) => user.name)).toEqual(["Jane Acme"]);
+      expect(list.body.total).toBe(1);
+
+      // The default tenant neither lists nor finds it
+      const own = await request(app).get(`/api/users/${created.body.data.id}`).set(auth("viewer"));
+      expect(own.status).toBe(404);
+      const update = await request(app)
+        .patch(`/api/users/${created.body.data.id}`)
+        .set(auth("editor"))
+        .send({ name: "Taken Over" });
+      expect(update.status).toBe(404);
+
+      const found = await request(app)
+        .get(`/api/users/${created.body.data.id}`)
+        .set(inAcme("viewer"));
+      expect(found.body.data.name).toBe("Jane Acme");
+
+      const audit = await request(app).get("/api/audit").set(inAcme("editor"));
+      expect(audit.body.data.map((event) => event.entityId)).toEqual([created.body.data.id]);
+
+      const duplicate = await request(app)
+        .post("/api/users")
+        .set(inAcme("editor"))
+        .send({ name: "Jane Again", email: "jane.smith@example.com" });
+      expect(duplicate.status).toBe(409);
+    });
+
+    test("unknown tenants answer 404", async () => {
+      const res = await request(app).get("/api/users").set(auth("viewer")).set("X-Tenant", "nope");
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe("Tenant not found");
+    });
+
+    test("pinned accounts only work in their tenant", async () => {
+      const credentials = { username: "acme-user", password: "acme-password" };
+      await db.execute(
+        "INSERT INTO accounts (username, password_hash, role, tenant_id) VALUES (?, ?, ?, ?)",
+        [credentials.username, await bcrypt.hash(credentials.password, 4), "editor", acme.id]
+      );
+      const login = await request(app).post("/api/auth/login").send(credentials);
+      expect(login.body.data.account).toMatchObject({ username: "acme-user", tenant: "acme" });
+      const pinned = { Authorization: `Bearer ${login.body.data.accessToken}` };
+
+      const list = await request(app).get("/api/users").set(pinned);
+      expect(list.body.data.map((user) => user.name)).toEqual(["Jane Acme"]);
+
+      const other = await request(app).get("/api/users").set(pinned).set("X-Tenant", "default");
+      expect(other.status).toBe(403);
+
+      const tenants = await request(app).get("/api/tenants").set(pinned);
+      expect(tenants.body.data.map((tenant) => tenant.slug)).toEqual(["acme"]);
+    });
+
+    test("tenants with users cannot be deleted, nor can the default one", async () => {
+      const busy = await request(app).delete(`/api/admin/tenants/${acme.id}`).set(auth("admin"));
+      expect(busy.status).toBe(409);
+      expect(busy.body.error).toMatch(/^Tenant still has 1 users and 1 accounts$/);
+
+      const fallback = await request(app).delete("/api/admin/tenants/1").set(auth("admin"));
+      expect(fallback.status).toBe(409);
+
+      const created = await request(app)
+        .post("/api/admin/tenants")
+        .set(auth("admin"))
+        .send({ slug: "empty", name: "Empty" });
+      const deleted = await request(app)
+        .delete(`/api/admin/tenants/${created.body.data.id}`)
+        .set(auth("admin"));
+      expect(deleted.status).toBe(200);
+      const gone = await request(app).get("/api/users").set(auth("viewer")).set("X-Tenant", "empty");
+      expect(gone.status).toBe(404);
+    });
+
+    test("GET /metrics counts requests per tenant", async () => {
+      const res = await request(app).get("/metrics");
+      expect(res.text).toMatch(/tenant_http_requests_total\{tenant="acme",method="GET"/);
+      expect(res.text).toMatch(/tenant_http_request_seconds_total\{tenant="acme"\} \d/);
+    });
+  });
+
+  describe("admin", () => {
+    test("GET /api/admin/config redacts secrets", async () => {
+      const res = await request(app).get("/api/admin/config").set(auth("admin"));
+      expect(res.status).toBe(200);
+      expect(res.body.data.database).toMatchObject({ client: "sqlite", file: ":memory:" });
+      expect(res.body.data.auth).toMatchObject({
+        jwtSecret: "[REDACTED]",
+        adminUsername: ADMIN.username,
+        adminPassword: "[REDACTED]",
+      });
+      expect(res.body.data.backup.s3).toMatchObject({
+        accessKeyId: "[REDACTED]",
+        secretAccessKey: "[REDACTED]",
+      });
+      expect(JSON.stringify(res.body)).not.toContain(ADMIN.password);
+      expect(JSON.stringify(res.body)).not.toContain("AKIAEXAMPLE");
+    });
+
+    test("GET /api/admin/config as an editor answers 403", async () => {
+      const res = await request(app).get("/api/admin/config").set(auth("editor"));
+      expect(res.status).toBe(403);
+    });
+
+    const download = (url) =>
+      request(app)
+        .get(url)
+        .set(auth("admin"))
+        .buffer(true)
+        .parse((response, callback) => {
+          const chunks = [];
+          response.on("data", (chunk) => chunks.push(chunk));
+          response.on("end", () => callback(null, Buffer.concat(chunks)));
+        });
+    const upload = (url, body, type = "application/gzip") =>
+      request(app).post(url).set(auth("admin")).set("Content-Type", type).send(body);
+
+    test("GET /api/admin/backup streams a gzipped NDJSON backup", async () => {
+      const res = await download("/api/admin/backup");
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toBe("application/gzip");
+      expect(res.headers["content-disposition"]).toMatch(/filename="backup-.*\.ndjson\.gz"/);
+      const records = zlib.gunzipSync(res.body).toString().trim().split("\n").map(JSON.parse);
+      expect(records[0]).toMatchObject({ type: "header", client: "sqlite" });
+      expect(records).toContainEqual({
+        table: "accounts",
+        row: expect.objectContaining({ username: "admin-user", role: "admin" }),
+      });
+      expect(records.at(-1)).toMatchObject({ type: "trailer" });
+    });
+
+    test("GET /api/admin/backup as SQL", async () => {
+      const res = await download("/api/admin/backup?format=sql");
+      expect(res.status).toBe(200);
+      expect(zlib.gunzipSync(res.body).toString()).toMatch(/^INSERT INTO users \(/m);
+    });
+
+    test("GET /api/admin/backup as an editor answers 403", async () => {
+      const res = await request(app).get("/api/admin/backup").set(auth("editor"));
+      expect(res.status).toBe(403);
+    });
+
+    test("POST /api/admin/restore replaces the tables with a backup", async () => {
+      const { body: backup } = await download("/api/admin/backup");
+      await request(app)
+        .post("/api/users")
+        .set(auth("editor"))
+        .send({ name: "After Backup", email: "after.backup@example.com" });
+      const count = async () => {
+        const [[row]] = await db.query("SELECT COUNT(*) AS count FROM users");
+        return row.count;
+      };
+      const before = await count();
+
+      const dryRun = await upload("/api/admin/restore?dryRun=true", backup);
+      expect(dryRun.status).toBe(200);
+      expect(dryRun.body.data).toMatchObject({ dryRun: true, schemaVersion: "0010" });
+      expect(await count()).toBe(before);
+
+      const ndjson = zlib.gunzipSync(backup);
+      const res = await upload("/api/admin/restore", ndjson, "application/x-ndjson");
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ dryRun: false, rows: { users: before - 1 } });
+      expect(await count()).toBe(before - 1);
+    });
+
+    test("POST /api/admin/restore rejects a modified backup with 422", async () => {
+      const { body: backup } = await download("/api/admin/backup");
+      const text = zlib.gunzipSync(backup).toString().replace('"role":"viewer"', '"role":"admin"');
+      const res = await upload("/api/admin/restore", zlib.gzipSync(text));
+      expect(res.status).toBe(422);
+      expect(res.body.error).toMatch(/Checksum mismatch/);
+
+      const garbage = await upload("/api/admin/restore", Buffer.from("not gzip"));
+      expect(garbage.status).toBe(422);
+    });
+
+    test("POST /api/admin/restore with an unsupported type answers 415", async () => {
+      const res = await upload("/api/admin/restore", "id,name", "text/csv");
+      expect(res.status).toBe(415);
+    });
+
+    test("GET /api/admin/snapshots without a target answers 404", async () => {
+      const res = await request(app).get("/api/admin/snapshots").set(auth("admin"));
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("events", () => {
+    test("GET /api/events without a token answers 401", async () => {
+      const res = await request(app).get("/api/events");
+      expect(res.status).toBe(401);
+    });
+  });
+});
+
+describe("database outage", () => {
+  let instance;
+  let down = false;
+
+  beforeAll(async () => {
+    instance = await startApp({ DATABASE_BREAKER_FAILURE_THRESHOLD: "1" }, (db) => {
+      for (const method of ["query", "execute", "getConnection"]) {
+        const original = db[method].bind(db);
+        db[method] = (...args) =>
+          down
+            ? Promise.reject(
+                Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" })
+              )
+            : original(...args);
+      }
+    });
+  });
+
+  afterAll(() => instance.shutdown.shutdown("test"));
+
+  test("API calls answer 503 once the breaker opens", async () => {
+    down = true;
+    const failed = await request(instance.app).get("/api/users/1").set(instance.auth("viewer"));
+    expect(failed.status).toBe(500);
+
+    const res = await request(instance.app).get("/api/users").set(instance.auth("viewer"));
+    expect(res.status).toBe(503);
+    expect(res.headers["retry-after"]).toBeDefined();
+
+    // Probes and docs keep answering
+    expect((await request(instance.app).get("/live")).status).toBe(200);
+    expect((await request(instance.app).get("/api/openapi.json")).status).toBe(200);
+    down = false;
+  });
+});
+
+describe("read replicas", () => {
+  let instance;
+
+  beforeAll(async () => {
+    // A replica that never receives the primary's writes, as if lagging
+    const replica = createPool({ client: "sqlite", file: ":memory:" });
+    await createMigrator({ pool: replica, logger }).up();
+    instance = await startApp({}, () => {}, [{ name: "lagging", pool: replica }]);
+    for (let i = 0; i < 50; i += 1) {
+      const health = await request(instance.app).get("/health");
+      if (health.body.checks.replicas.replicas?.[0]?.healthy) break;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  });
+
+  afterAll(() => instance.shutdown.shutdown("test"));
+
+  test("writers see their own update although others cached the replica's copy", async () => {
+    const { app, auth } = instance;
+    const update = await request(app)
+      .patch("/api/users/1")
+      .set(auth("editor"))
+      .send({ name: "John Updated" });
+    expect(update.status).toBe(200);
+    const lastWrite = update.headers["x-last-write"];
+
+    // Another client reads the stale replica, filling the cache
+    const other = await request(app).get("/api/users/1").set(auth("viewer"));
+    expect(other.body.data.name).toBe("John Doe");
+
+    const own = await request(app)
+      .get("/api/users/1")
+      .set(auth("editor"))
+      .set("X-Last-Write", lastWrite);
+    expect(own.body.data.name).toBe("John Updated");
+  });
+});
+
+describe("rate limits", () => {
+  let instance;
+
+  beforeAll(async () => {
+    instance = await startApp({ RATE_LIMIT_IP_READ: "2/60" });
+  });
+
+  afterAll(() => instance.shutdown.shutdown("test"));
+
+  test("reads beyond the budget answer 429", async () => {
+    const get = () => request(instance.app).get("/api/openapi.json");
+    expect((await get()).status).toBe(200);
+    expect((await get()).status).toBe(200);
+    const limited = await get();
+    expect(limited.status).toBe(429);
+    expect(limited.headers["retry-after"]).toBeDefined();
+  });
+});
@@ -0,0 +1,323 @@
+// Backups: NDJSON and SQL dumps, verified restores, snapshot stores and
+// the snapshot scheduler, against in-memory SQLite databases.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { createPool: createSqlitePool } = require("../src/drivers/sqlite");
+const { withTransaction, ForeignKeyViolationError } = require("../src/db");
+const { createMigrator } = require("../src/migrate");
+const { TABLES, backupLines, backupStream, restoreBackup } = require("../src/backup");
+const {
+  createSnapshots,
+  createDirectoryStore,
+  createS3Store,
+  snapshotName,
+} = require("../src/snapshots");
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+async function createDatabase() {
+  const pool = createSqlitePool({ filename: ":memory:" });
+  await createMigrator({ pool, logger: silentLogger }).up();
+  await pool.query("INSERT INTO tenants (slug, name) VALUES (?, ?)", ["acme", "Acme"]);
+  await pool.query("INSERT INTO users (tenant_id, name, email) VALUES ?", [
+    [
+      [1, "O'Brien", "obrien@example.com"],
+      [2, "Back\\slash", "backslash@example.com"],
+    ],
+  ]);
+  await pool.query("UPDATE users SET deleted_at = ? WHERE email = ?", [
+    new Date("2024-01-02T03:04:05.678Z"),
+    "backslash@example.com",
+  ]);
+  await pool.query("INSERT INTO accounts (username, password_hash, role) VALUES (?, ?, ?)", [
+    "admin",
+    "hash",
+    "admin",
+  ]);
+  await pool.query(
+    "INSERT INTO audit_events (entity_type, entity_id, action, after_data) VALUES (?, ?, ?, ?)",
+    ["user", 1, "create", JSON.stringify({ name: "O'Brien", note: 'say "hi"' })]
+  );
+  return pool;
+}
+
+async function contents(pool) {
+  const result = {};
+  for (const table of Object.keys(TABLES)) {
+    [result[table]] = await pool.query(`SELECT * FROM ${table} ORDER BY id`);
+  }
+  return result;
+}
+
+async function backup(pool, format = "ndjson") {
+  const connection = await pool.getConnection();
+  try {
+    let text = "";
+    for await (const line of backupLines(connection, { client: pool.client, format })) {
+      text += line;
+    }
+    return text;
+  } finally {
+    connection.release();
+  }
+}
+
+const lines = (text) => text.split("\n").filter(Boolean);
+
+function restore(pool, text) {
+  return withTransaction(pool, (connection) =>
+    restoreBackup(connection, lines(text), { client: pool.client, batchSize: 2 })
+  );
+}
+
+describe("backup and restore", () => {
+  let pool;
+  let original;
+
+  beforeEach(async () => {
+    pool = await createDatabase();
+    original = await contents(pool);
+  });
+
+  afterEach(() => pool.end());
+
+  test("backs up every column of the application tables", async () => {
+    for (const [table, columns] of Object.entries(TABLES)) {
+      const [info] = await pool.query(`PRAGMA table_info(${table})`);
+      expect([...columns].sort()).toEqual(info.map((column) => column.name).sort());
+    }
+  });
+
+  test("writes a header, rows and a trailer with a checksum", async () => {
+    const records = lines(await backup(pool)).map((line) => JSON.parse(line));
+    expect(records[0]).toMatchObject({
+      type: "header",
+      format: "sample-app-backup",
+      version: 1,
+      schemaVersion: "0010",
+      client: "sqlite",
+    });
+    expect(records.at(-1)).toEqual({
+      type: "trailer",
+      rows: { tenants: 2, users: 7, accounts: 1, audit_events: 1 },
+      sha256: expect.stringMatching(/^[0-9a-f]{64}$/),
+    });
+  });
+
+  test("restores the tables as they were", async () => {
+    const text = await backup(pool);
+    await pool.query("DELETE FROM users WHERE id < 5");
+    await pool.query("INSERT INTO users (name, email) VALUES (?, ?)", ["New", "new@example.com"]);
+    await pool.query("INSERT INTO refresh_tokens (account_id, token_hash, expires_at) VALUES ?", [
+      [[1, "a".repeat(64), new Date()]],
+    ]);
+
+    const result = await restore(pool, text);
+    expect(result).toMatchObject({
+      schemaVersion: "0010",
+      rows: { tenants: 2, users: 7, accounts: 1, audit_events: 1 },
+    });
+    expect(await contents(pool)).toEqual(original);
+    // Tokens go with the accounts they belonged to
+    const [tokens] = await pool.query("SELECT * FROM refresh_tokens");
+    expect(tokens).toEqual([]);
+  });
+
+  test.each([
+    [
+      "a modified row",
+      (text) => text.replace('"O\'Brien"', '"Mallory"'),
+      /Checksum mismatch/,
+    ],
+    ["a missing trailer", (text) => lines(text).slice(0, -1).join("\n"), /no trailer/],
+    [
+      "a removed row",
+      (text) => {
+        const all = lines(text);
+        return [...all.slice(0, -2), all.at(-1)].join("\n");
+      },
+      /Checksum mismatch/,
+    ],
+    ["something else", () => '{"name":"x"}\n', /first line must be its header/],
+    ["invalid JSON", (text) => `${lines(text)[0]}\n{oops\n`, /Line 2: not valid JSON/],
+    [
+      "an unknown column",
+      (text) => `${lines(text)[0]}\n{"table":"users","row":{"id":1,"is_admin":true}}\n`,
+      /unknown column users.is_admin/,
+    ],
+    [
+      "an unknown table",
+      (text) => `${lines(text)[0]}\n{"table":"schema_migrations","row":{}}\n`,
+      /unknown table "schema_migrations"/,
+    ],
+  ])("rejects %s and keeps the current data", async (name, corrupt, message) => {
+    const text = corrupt(await backup(pool));
+    await expect(restore(pool, text)).rejects.toMatchObject({ status: 422, message });
+    expect(await contents(pool)).toEqual(original);
+  });
+
+  test("rejects rows referencing a missing tenant", async () => {
+    const text = lines(await backup(pool))
+      .filter((line) => !line.includes('"slug":"acme"'))
+      .join("\n");
+    await expect(restore(pool, text)).rejects.toBeInstanceOf(ForeignKeyViolationError);
+    expect(await contents(pool)).toEqual(original);
+  });
+
+  test("rejects a backup for another schema version", async () => {
+    const text = (await backup(pool)).replace('"schemaVersion":"0010"', '"schemaVersion":"0007"');
+    await expect(restore(pool, text)).rejects.toMatchObject({
+      status: 409,
+      message: "Backup is for schema version 0007, the database is at 0010",
+    });
+  });
+
+  test("a backup cut short finishes rolling back before close() resolves", async () => {
+    const connection = await pool.getConnection();
+    let rolledBack = false;
+    const rollback = connection.rollback;
+    connection.rollback = async () => {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      await rollback();
+      rolledBack = true;
+    };
+    try {
+      const { stream, close } = backupStream(connection, { client: pool.client });
+      stream.resume();
+      await new Promise((resolve) => setImmediate(resolve));
+      // As when the client goes away mid-download
+      stream.destroy();
+      expect(rolledBack).toBe(false);
+      await close();
+      expect(rolledBack).toBe(true);
+    } finally {
+      connection.release();
+    }
+  });
+
+  test("writes SQL that the database can run", async () => {
+    const sql = await backup(pool, "sql");
+    expect(sql).toMatch(/^-- sample-app-backup 1: schema version 0010, sqlite, /);
+    expect(sql).toContain("'O''Brien'");
+
+    const copy = createSqlitePool({ filename: ":memory:" });
+    try {
+      await createMigrator({ pool: copy, logger: silentLogger }).up();
+      for (const statement of lines(sql)) {
+        if (!statement.startsWith("--")) await copy.query(statement.replace(/;$/, ""));
+      }
+      expect(await contents(copy)).toEqual(original);
+    } finally {
+      await copy.end();
+    }
+  });
+});
+
+describe("snapshots", () => {
+  let pool;
+  let directory;
+  let store;
+  let snapshots;
+
+  beforeEach(async () => {
+    pool = await createDatabase();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "snapshots-test-"));
+    store = createDirectoryStore({ directory });
+    snapshots = createSnapshots({ pool, store, logger: silentLogger, retentionCount: 2 });
+  });
+
+  afterEach(async () => {
+    await pool.end();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("stores restorable snapshots and prunes old ones", async () => {
+    const taken = [];
+    for (let i = 0; i < 3; i += 1) {
+      taken.push(await snapshots.take());
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+
+    const stored = await snapshots.list();
+    expect(stored.map((snapshot) => snapshot.name)).toEqual([taken[2].name, taken[1].name]);
+    expect(fs.readdirSync(directory).sort()).toEqual([taken[1].name, taken[2].name]);
+    expect(stored[0]).toEqual(taken[2]);
+
+    const text = zlib.gunzipSync(fs.readFileSync(path.join(directory, taken[2].name))).toString();
+    await pool.query("DELETE FROM users");
+    await expect(restore(pool, text)).resolves.toMatchObject({ rows: { users: 7 } });
+  });
+
+  test("reports snapshots and failures to listeners", async () => {
+    const listener = jest.fn();
+    snapshots.onSnapshot(listener);
+
+    const snapshot = await snapshots.take();
+    expect(listener).toHaveBeenCalledWith(null, snapshot);
+
+    jest.spyOn(store, "save").mockRejectedValueOnce(new Error("disk full"));
+    await expect(snapshots.take()).rejects.toThrow("disk full");
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ message: "disk full" }));
+  });
+
+  test("schedules from the newest stored snapshot", async () => {
+    const recent = snapshotName(new Date(Date.now() - 1000));
+    fs.writeFileSync(path.join(directory, recent), "");
+    const listener = jest.fn();
+    snapshots.onSnapshot(listener);
+
+    // A recent snapshot is reported, and none is taken until it is due
+    let stop = snapshots.schedule(60000);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    stop();
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(null, expect.objectContaining({ name: recent }));
+
+    // An overdue one is replaced right away
+    stop = snapshots.schedule(500);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    stop();
+    expect(listener).toHaveBeenCalledTimes(3);
+    expect((await snapshots.list())[0].name).not.toBe(recent);
+  });
+});
+
+describe("S3 store", () => {
+  test("saves, lists and removes objects under its prefix", async () => {
+    const objects = new Map();
+    const client = {
+      fPutObject: jest.fn(async (bucket, key, file) => {
+        objects.set(key, fs.statSync(file).size);
+      }),
+      listObjectsV2: (bucket, prefix) =>
+        Readable.from(
+          [...objects]
+            .filter(([key]) => key.startsWith(prefix))
+            .map(([name, size]) => ({ name, size }))
+        ),
+      removeObject: jest.fn(async (bucket, key) => objects.delete(key)),
+    };
+    const store = createS3Store({ bucket: "backups", prefix: "pi/", client });
+    const older = snapshotName(new Date("2024-01-01T00:00:00Z"));
+    const newer = snapshotName(new Date("2024-01-02T00:00:00Z"));
+    objects.set("other/unrelated.txt", 1);
+
+    await store.save(older, __filename);
+    await store.save(newer, __filename);
+    expect(client.fPutObject).toHaveBeenCalledWith("backups", `pi/${older}`, __filename, {
+      "Content-Type": "application/gzip",
+    });
+    expect(await store.list()).toEqual([
+      { name: newer, size: fs.statSync(__filename).size, createdAt: "2024-01-02T00:00:00.000Z" },
+      { name: older, size: fs.statSync(__filename).size, createdAt: "2024-01-01T00:00:00.000Z" },
+    ]);
+
+    await store.remove(older);
+    expect(client.removeObject).toHaveBeenCalledWith("backups", `pi/${older}`);
+    expect((await store.list()).map((snapshot) => snapshot.name)).toEqual([newer]);
+  });
+});
@@ -0,0 +1,503 @@
+// Contract tests: real responses from the app must match the OpenAPI
+// document. The database is a fake pool and user persistence a mocked
+// repository, so only the HTTP layer is under test.
+
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const Ajv2020 = require("ajv/dist/2020");
+const addFormats = require("ajv-formats");
+const { createFakePool } = require("./support/fakePool");
+
+const mockUsers = {
+  list: jest.fn(),
+  findById: jest.fn(),
+  findByEmail: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+  softDelete: jest.fn(),
+  restore: jest.fn(),
+  invalidate: jest.fn(async () => {}),
+};
+jest.mock("../src/userRepository", () => ({
+  createUserRepository: () => mockUsers,
+}));
+
+const logger = require("../src/logger");
+const metrics = require("../src/metrics");
+const { loadConfig } = require("../src/config");
+const { createApp } = require("../src/app");
+
+// Expected failures would otherwise fill the output with error logs
+logger.silent = true;
+
+const config = loadConfig({
+  JWT_SECRET: "contract-test-secret",
+  DATABASE_BREAKER_FAILURE_THRESHOLD: "1",
+});
+const mockPool = createFakePool();
+const { app, shutdown } = createApp({ db: mockPool, logger, metrics, config });
+
+let spec;
+const ajv = new Ajv2020({ strict: false, allErrors: true });
+addFormats(ajv);
+
+const pointer = (...segments) =>
+  segments.map((segment) => String(segment).replace(/~/g, "~0").replace(/\//g, "~1")).join("/");
+
+// Assert that the response's status, content type and body are declared
+// for the operation in the document
+function expectContract(res, method, path) {
+  const operation = spec.paths[path] && spec.paths[path][method];
+  expect(operation).toBeDefined();
+
+  let location = pointer("paths", path, method, "responses", res.status);
+  let declared = operation.responses[res.status];
+  if (!declared) {
+    throw new Error(`${method.toUpperCase()} ${path} does not declare status ${res.status}`);
+  }
+  if (declared.$ref) {
+    const name = declared.$ref.split("/").pop();
+    location = pointer("components", "responses", name);
+    declared = spec.components.responses[name];
+  }
+  if (!declared.content) return;
+
+  const mediaType = (res.headers["content-type"] || "").split(";")[0];
+  expect(Object.keys(declared.content)).toContain(mediaType);
+  if (mediaType !== "application/json") return;
+
+  const validate = ajv.getSchema(`openapi#/${location}/content/${pointer(mediaType)}/schema`);
+  if (!validate(res.body)) {
+    throw new Error(
+      `${method.toUpperCase()} ${path} ${res.status} does not match the document: ` +
+        ajv.errorsText(validate.errors, { dataVar: "body" })
+    );
+  }
+}
+
+function token(role = "editor") {
+  return jwt.sign({ username: `${role}-user`, role }, config.auth.jwtSecret, {
+    subject: "1",
+  });
+}
+
+const auth = (role) => ({ Authorization: `Bearer ${token(role)}` });
+
+function tenantFixture(overrides = {}) {
+  return {
+    id: 1,
+    slug: "default",
+    name: "Default",
+    created_at: "2024-01-01T00:00:00.000Z",
+    updated_at: "2024-01-01T00:00:00.000Z",
+    ...overrides,
+  };
+}
+
+function userFixture(overrides = {}) {
+  return {
+    id: 1,
+    tenant_id: 1,
+    name: "Ada Lovelace",
+    email: "ada@example.com",
+    created_at: "2024-01-01T00:00:00.000Z",
+    updated_at: "2024-01-02T00:00:00.000Z",
+    deleted_at: null,
+    version: 2,
+    ...overrides,
+  };
+}
+
+beforeAll(async () => {
+  const res = await request(app).get("/api/openapi.json");
+  expect(res.status).toBe(200);
+  spec = res.body;
+  ajv.addSchema(spec, "openapi");
+});
+
+afterAll(() => shutdown.shutdown("test"));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockPool.reset();
+  mockPool.when(/FROM tenants WHERE slug = \?/, ([slug]) => [
+    slug === "default" ? [tenantFixture()] : [],
+  ]);
+});
+
+describe("operations", () => {
+  test.each(["/health", "/ready", "/live"])("GET %s", async (path) => {
+    const res = await request(app).get(path);
+    expectContract(res, "get", path);
+  });
+
+  test("GET /metrics", async () => {
+    const res = await request(app).get("/metrics");
+    expect(res.status).toBe(200);
+    expectContract(res, "get", "/metrics");
+  });
+
+  test("GET /api/docs", async () => {
+    const res = await request(app).get("/api/docs/");
+    expect(res.status).toBe(200);
+    expectContract(res, "get", "/api/docs");
+  });
+});
+
+describe("auth", () => {
+  test("POST /api/auth/login with unknown credentials", async () => {
+    const res = await request(app)
+      .post("/api/auth/login")
+      .send({ username: "nobody", password: "wrong" });
+    expect(res.status).toBe(401);
+    expectContract(res, "post", "/api/auth/login");
+  });
+
+  test("POST /api/auth/login with a missing password", async () => {
+    const res = await request(app).post("/api/auth/login").send({ username: "nobody" });
+    expect(res.status).toBe(400);
+    expectContract(res, "post", "/api/auth/login");
+  });
+
+  test("POST /api/auth/refresh with an unknown token", async () => {
+    const res = await request(app).post("/api/auth/refresh").send({ refreshToken: "unknown" });
+    expect(res.status).toBe(401);
+    expectContract(res, "post", "/api/auth/refresh");
+  });
+
+  test("POST /api/auth/logout", async () => {
+    const res = await request(app).post("/api/auth/logout").send({ refreshToken: "unknown" });
+    expect(res.status).toBe(200);
+    expectContract(res, "post", "/api/auth/logout");
+  });
+
+  test("GET /api/auth/me", async () => {
+    const res = await request(app).get("/api/auth/me").set(auth("viewer"));
+    expect(res.status).toBe(200);
+    expectContract(res, "get", "/api/auth/me");
+  });
+});
+
+describe("users", () => {
+  test("GET /api/users without a token", async () => {
+    const res = await request(app).get("/api/users");
+    expect(res.status).toBe(401);
+    expectContract(res, "get", "/api/users");
+  });
+
+  test("GET /api/users", async () => {
+    mockUsers.list.mockResolvedValue({ total: 2, rows: [userFixture(), userFixture({ id: 2 })] });
+    const res = await request(app).get("/api/users?limit=1").set(auth("viewer"));
+    expect(res.status).toBe(200);
+    expect(res.headers.link).toContain('rel="next"');
+    expectContract(res, "get", "/api/users");
+
+    const revalidated = await request(app)
+      .get("/api/users?limit=1")
+      .set(auth("viewer"))
+      .set("If-None-Match", res.headers.etag);
+    expect(revalidated.status).toBe(304);
+    expectContract(revalidated, "get", "/api/users");
+  });
+
+  test("GET /api/users with an invalid query", async () => {
+    const res = await request(app).get("/api/users?limit=0&sort=password").set(auth("viewer"));
+    expect(res.status).toBe(400);
+    expectContract(res, "get", "/api/users");
+  });
+
+  test("GET /api/users when the database fails", async () => {
+    mockUsers.list.mockRejectedValue(new Error("query failed"));
+    const res = await request(app).get("/api/users").set(auth("viewer"));
+    expect(res.status).toBe(500);
+    expectContract(res, "get", "/api/users");
+  });
+
+  test("GET /api/users/{id}", async () => {
+    mockUsers.findById.mockResolvedValue(userFixture());
+    const res = await request(app).get("/api/users/1").set(auth("viewer"));
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe('"1-2"');
+    expectContract(res, "get", "/api/users/{id}");
+  });
+
+  test("GET /api/users/{id} for a missing user", async () => {
+    mockUsers.findById.mockResolvedValue(null);
+    const res = await request(app).get("/api/users/99").set(auth("viewer"));
+    expect(res.status).toBe(404);
+    expectContract(res, "get", "/api/users/{id}");
+  });
+
+  test("POST /api/users", async () => {
+    mockUsers.create.mockResolvedValue(userFixture({ version: 1 }));
+    const res = await request(app)
+      .post("/api/users")
+      .set(auth("editor"))
+      .send({ name: "Ada Lovelace", email: "ada@example.com" });
+    expect(res.status).toBe(201);
+    expectContract(res, "post", "/api/users");
+  });
+
+  test("POST /api/users as a viewer", async () => {
+    const res = await request(app)
+      .post("/api/users")
+      .set(auth("viewer"))
+      .send({ name: "Ada Lovelace", email: "ada@example.com" });
+    expect(res.status).toBe(403);
+    expectContract(res, "post", "/api/users");
+  });
+
+  test("POST /api/users with an invalid body", async () => {
+    const res = await request(app)
+      .post("/api/users")
+      .set(auth("editor"))
+      .send({ name: "", email: "not-an-email", role: "admin" });
+    expect(res.status).toBe(400);
+    expect(res.body.details.length).toBe(3);
+    expectContract(res, "post", "/api/users");
+  });
+
+  test("POST /api/users with a duplicate email", async () => {
+    const { UniqueViolationError } = require("../src/db");
+    mockUsers.create.mockRejectedValue(new UniqueViolationError(new Error("dup")));
+    const res = await request(app)
+      .post("/api/users")
+      .set(auth("editor"))
+      .send({ name: "Ada Lovelace", email: "ada@example.com" });
+    expect(res.status).toBe(409);
+    expectContract(res, "post", "/api/users");
+  });
+
+  test("PATCH /api/users/{id} to the email of a deleted user", async () => {
+    const { UniqueViolationError } = require("../src/db");
+    mockUsers.update.mockRejectedValue(new UniqueViolationError(new Error("dup")));
+    mockUsers.findByEmail.mockResolvedValue(
+      userFixture({ id: 2, deleted_at: "2024-02-01T00:00:00.000Z" })
+    );
+    const res = await request(app)
+      .patch("/api/users/1")
+      .set(auth("editor"))
+      .send({ email: "ada@example.com" });
+    expect(res.status).toBe(409);
+    expect(res.body.data.id).toBe(2);
+    expectContract(res, "patch", "/api/users/{id}");
+  });
+
+  test("PUT /api/users/{id}", async () => {
+    mockUsers.update.mockResolvedValue({ status: 200, user: userFixture({ version: 3 }) });
+    const res = await request(app)
+      .put("/api/users/1")
+      .set(auth("editor"))
+      .send({ name: "Ada King", email: "ada@example.com" });
+    expect(res.status).toBe(200);
+    expectContract(res, "put", "/api/users/{id}");
+  });
+
+  test("PATCH /api/users/{id} with a stale If-Match", async () => {
+    mockUsers.update.mockResolvedValue({ status: 412, user: userFixture({ version: 3 }) });
+    const res = await request(app)
+      .patch("/api/users/1")
+      .set(auth("editor"))
+      .set("If-Match", '"1-2"')
+      .send({ name: "Ada King" });
+    expect(res.status).toBe(412);
+    expectContract(res, "patch", "/api/users/{id}");
+  });
+
+  test("DELETE /api/users/{id}", async () => {
+    mockUsers.softDelete.mockResolvedValue(userFixture({ deleted_at: "2024-02-01T00:00:00.000Z" }));
+    const res = await request(app).delete("/api/users/1").set(auth("editor"));
+    expect(res.status).toBe(200);
+    expectContract(res, "delete", "/api/users/{id}");
+  });
+
+  test("DELETE /api/users/{id} for a missing user", async () => {
+    mockUsers.softDelete.mockResolvedValue(null);
+    const res = await request(app).delete("/api/users/99").set(auth("editor"));
+    expect(res.status).toBe(404);
+    expectContract(res, "delete", "/api/users/{id}");
+  });
+
+  test("POST /api/users/{id}/restore for a user that is not deleted", async () => {
+    mockUsers.restore.mockResolvedValue({ status: 409 });
+    const res = await request(app).post("/api/users/1/restore").set(auth("editor"));
+    expect(res.status).toBe(409);
+    expectContract(res, "post", "/api/users/{id}/restore");
+  });
+});
+
+describe("bulk", () => {
+  test("POST /api/users/import", async () => {
+    mockPool.when(/FROM users WHERE tenant_id = \? AND LOWER\(email\) IN \(\?\)$/, ([, emails]) => [
+      emails.map((email, index) => userFixture({ id: index + 10, email, version: 1 })),
+    ]);
+    const res = await request(app)
+      .post("/api/users/import?dryRun=true")
+      .set(auth("editor"))
+      .set("Content-Type", "application/x-ndjson")
+      .send('{"name":"Grace Hopper","email":"grace@example.com"}\n{"name":"","email":"x"}\n');
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toEqual({ created: 1, invalid: 1 });
+    expectContract(res, "post", "/api/users/import");
+  });
+
+  test("POST /api/users/import with an unsupported type", async () => {
+    const res = await request(app)
+      .post("/api/users/import")
+      .set(auth("editor"))
+      .set("Content-Type", "application/json")
+      .send({});
+    expect(res.status).toBe(415);
+    expectContract(res, "post", "/api/users/import");
+  });
+
+  test("GET /api/users/export", async () => {
+    const res = await request(app).get("/api/users/export?format=xml").set(auth("viewer"));
+    expect(res.status).toBe(400);
+    expectContract(res, "get", "/api/users/export");
+  });
+});
+
+describe("audit", () => {
+  test("GET /api/audit", async () => {
+    mockPool.when(/SELECT COUNT\(\*\) AS total FROM audit_events/, () => [[{ total: 1 }]]);
+    mockPool.when(/SELECT \* FROM audit_events/, () => [
+      [
+        {
+          id: 1,
+          entity_type: "user",
+          entity_id: 1,
+          action: "update",
+          actor_id: 1,
+          actor: "editor-user",
+          request_id: "5f0c8a38-6f5e-4f7e-9d0b-1f6f3c1d2e3a",
+          before_data: JSON.stringify({ name: "Ada" }),
+          after_data: JSON.stringify({ name: "Ada King" }),
+          changes: JSON.stringify({ name: { from: "Ada", to: "Ada King" } }),
+          created_at: new Date("2024-01-02T00:00:00.000Z"),
+        },
+      ],
+    ]);
+    const res = await request(app).get("/api/audit").set(auth("editor"));
+    expect(res.status).toBe(200);
+    expectContract(res, "get", "/api/audit");
+  });
+});
+
+describe("tenants", () => {
+  test("GET /api/tenants", async () => {
+    mockPool.when(/FROM tenants ORDER BY/, () => [[tenantFixture()]]);
+    const res = await request(app).get("/api/tenants").set(auth("viewer"));
+    expect(res.status).toBe(200);
+    expectContract(res, "get", "/api/tenants");
+  });
+
+  test("GET /api/users for an unknown tenant", async () => {
+    const res = await request(app).get("/api/users").set(auth("viewer")).set("X-Tenant", "nope");
+    expect(res.status).toBe(404);
+    expectContract(res, "get", "/api/users");
+  });
+
+  test("GET /api/admin/tenants", async () => {
+    mockPool.when(/FROM tenants LEFT JOIN users/, () => [[tenantFixture({ user_count: "3" })]]);
+    const res = await request(app).get("/api/admin/tenants").set(auth("admin"));
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].user_count).toBe(3);
+    expectContract(res, "get", "/api/admin/tenants");
+  });
+
+  test("POST /api/admin/tenants", async () => {
+    mockPool.when(/INSERT INTO tenants/, () => [[{ id: 2 }]]);
+    mockPool.when(/FROM tenants WHERE id = \?$/, () => [
+      [tenantFixture({ id: 2, slug: "acme", name: "Acme" })],
+    ]);
+    const res = await request(app)
+      .post("/api/admin/tenants")
+      .set(auth("admin"))
+      .send({ slug: "acme", name: "Acme" });
+    expect(res.status).toBe(201);
+    expectContract(res, "post", "/api/admin/tenants");
+  });
+
+  test("POST /api/admin/tenants with an invalid slug", async () => {
+    const res = await request(app)
+      .post("/api/admin/tenants")
+      .set(auth("admin"))
+      .send({ slug: "Not A Slug", name: "Acme" });
+    expect(res.status).toBe(400);
+    expectContract(res, "post", "/api/admin/tenants");
+  });
+
+  test("PATCH /api/admin/tenants/{id} for the default tenant's slug", async () => {
+    mockPool.when(/FROM tenants WHERE id = \? FOR UPDATE/, () => [[tenantFixture()]]);
+    const res = await request(app)
+      .patch("/api/admin/tenants/1")
+      .set(auth("admin"))
+      .send({ slug: "main" });
+    expect(res.status).toBe(409);
+    expectContract(res, "patch", "/api/admin/tenants/{id}");
+  });
+
+  test("DELETE /api/admin/tenants/{id} for a missing tenant", async () => {
+    const res = await request(app).delete("/api/admin/tenants/99").set(auth("admin"));
+    expect(res.status).toBe(404);
+    expectContract(res, "delete", "/api/admin/tenants/{id}");
+  });
+});
+
+describe("admin", () => {
+  test("GET /api/admin/config", async () => {
+    const res = await request(app).get("/api/admin/config").set(auth("admin"));
+    expect(res.status).toBe(200);
+    expectContract(res, "get", "/api/admin/config");
+  });
+});
+
+// Routes registered on the app and on routers mounted at a fixed
+// path, as [method, path] with OpenAPI path templates
+function listRoutes(stack, prefix = "") {
+  return stack.flatMap((layer) => {
+    if (layer.route) {
+      if (layer.route.path === "*") return [];
+      const path = (prefix + layer.route.path).replace(/\/$/, "") || "/";
+      return Object.keys(layer.route.methods).map((method) => [
+        method,
+        path.replace(/:(\w+)/g, "{$1}"),
+      ]);
+    }
+    if (layer.name !== "router") return [];
+    // Mount paths survive only as the layer's regexp, e.g. ^\/api\/users\/?(?=\/|$)
+    const mount = layer.regexp.source
+      .replace(/^\^/, "")
+      .replace(/\\\/\?\(\?=\\\/\|\$\)$/, "")
+      .replace(/\\\//g, "/");
+    return listRoutes(layer.handle.stack, prefix + mount);
+  });
+}
+
+describe("document", () => {
+  test("declares every route registered on the app", () => {
+    const routes = listRoutes(app._router.stack);
+    expect(routes).toEqual(expect.arrayContaining([["get", "/api/users/{id}"]]));
+    for (const [method, path] of routes) {
+      expect(spec.paths[path] && spec.paths[path][method]).toBeDefined();
+    }
+  });
+});
+
+// Last: opening the breaker makes every later API call answer 503
+describe("database outage", () => {
+  test("API calls answer 503 once the breaker opens", async () => {
+    mockPool.when(/audit_events/, () => {
+      throw Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" });
+    });
+    const failed = await request(app).get("/api/audit").set(auth("editor"));
+    expect(failed.status).toBe(500);
+    expectContract(failed, "get", "/api/audit");
+
+    const res = await request(app).get("/api/users").set(auth("viewer"));
+    expect(res.status).toBe(503);
+    expect(res.headers["retry-after"]).toBeDefined();
+    expectContract(res, "get", "/api/users");
+  });
+});
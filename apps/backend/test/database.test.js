@@ -0,0 +1,216 @@
+// Database layer tests: placeholder expansion, migration loading and the
+// SQLite driver, which runs in process so no database server is needed.
+
+const fs = require("fs");
+const path = require("path");
+const { expandPlaceholders } = require("../src/drivers/placeholders");
+const { createPool: createSqlitePool } = require("../src/drivers/sqlite");
+const {
+  withTransaction,
+  UniqueViolationError,
+  ForeignKeyViolationError,
+  UndefinedTableError,
+} = require("../src/db");
+const { createMigrator, loadMigrations, splitStatements } = require("../src/migrate");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "src", "migrations");
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+describe("expandPlaceholders", () => {
+  const dollar = (n) => `$${n}`;
+
+  test("numbers plain values in order", () => {
+    expect(expandPlaceholders("SELECT * FROM t WHERE a = ? AND b = ?", [1, "x"], dollar)).toEqual({
+      sql: "SELECT * FROM t WHERE a = $1 AND b = $2",
+      values: [1, "x"],
+    });
+  });
+
+  test("expands arrays into lists and arrays of arrays into rows", () => {
+    expect(expandPlaceholders("SELECT * FROM t WHERE id IN (?)", [[1, 2, 3]], dollar).sql).toBe(
+      "SELECT * FROM t WHERE id IN ($1, $2, $3)"
+    );
+    expect(
+      expandPlaceholders("INSERT INTO t (a, b) VALUES ?", [[["a", 1], ["b", 2]]], dollar)
+    ).toEqual({
+      sql: "INSERT INTO t (a, b) VALUES ($1, $2), ($3, $4)",
+      values: ["a", 1, "b", 2],
+    });
+  });
+
+  test("leaves question marks inside quotes alone", () => {
+    expect(expandPlaceholders("SELECT '?', 'it''s ?' WHERE a = ?", [1], dollar).sql).toBe(
+      "SELECT '?', 'it''s ?' WHERE a = $1"
+    );
+  });
+
+  test("rejects missing values", () => {
+    expect(() => expandPlaceholders("SELECT ?, ?", [1], dollar)).toThrow(/placeholder 2/);
+  });
+});
+
+describe("splitStatements", () => {
+  test("keeps dollar-quoted function bodies together", () => {
+    const sql = [
+      "CREATE FUNCTION f() RETURNS TRIGGER AS $$",
+      "BEGIN",
+      "    RETURN NEW;",
+      "END;",
+      "$$ LANGUAGE plpgsql;",
+      "",
+      "SELECT 1;",
+    ].join("\n");
+    const statements = splitStatements(sql);
+    expect(statements).toHaveLength(2);
+    expect(statements[0]).toMatch(/^CREATE FUNCTION[\s\S]*LANGUAGE plpgsql$/);
+  });
+
+  test("keeps SQLite trigger bodies together", () => {
+    const sql = [
+      "-- comment;",
+      "CREATE TRIGGER t AFTER UPDATE ON users",
+      "BEGIN",
+      "    UPDATE users SET a = 1;",
+      "END;",
+      "DROP VIEW v;",
+    ].join("\n");
+    expect(splitStatements(sql)).toEqual([
+      "CREATE TRIGGER t AFTER UPDATE ON users\nBEGIN\n    UPDATE users SET a = 1;\nEND",
+      "DROP VIEW v",
+    ]);
+  });
+});
+
+describe("loadMigrations", () => {
+  test("prefers a client's own files and falls back to the defaults", () => {
+    const read = (file) => fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+    const mariadb = loadMigrations(MIGRATIONS_DIR, "mariadb");
+    const sqlite = loadMigrations(MIGRATIONS_DIR, "sqlite");
+
+    expect(sqlite.map((m) => m.version)).toEqual(mariadb.map((m) => m.version));
+    expect(mariadb[0].up).toBe(read("0001_create_users.up.sql"));
+    expect(sqlite[0].up).toBe(read("0001_create_users.sqlite.up.sql"));
+    expect(sqlite[0].down).toBe(read("0001_create_users.down.sql"));
+    expect(sqlite[0].checksum).not.toBe(mariadb[0].checksum);
+  });
+});
+
+describe("sqlite driver", () => {
+  let pool;
+
+  beforeEach(async () => {
+    pool = createSqlitePool({ filename: ":memory:" });
+    await createMigrator({ pool, logger: silentLogger }).up();
+  });
+
+  afterEach(() => pool.end());
+
+  test("migrations apply, revert and apply again", async () => {
+    const migrator = createMigrator({ pool, logger: silentLogger });
+    expect(await migrator.pending()).toEqual([]);
+
+    const reverted = await migrator.down(100);
+    expect(reverted[reverted.length - 1]).toBe("0001_create_users");
+    await expect(pool.query("SELECT * FROM users")).rejects.toBeInstanceOf(UndefinedTableError);
+
+    await migrator.up();
+    const [[{ total_users: total }]] = await pool.query("SELECT total_users FROM user_stats");
+    expect(total).toBe(5);
+  });
+
+  test("migrations lowercase stored emails", async () => {
+    const migrator = createMigrator({ pool, logger: silentLogger });
+    await migrator.down(1);
+    await pool.execute("INSERT INTO users (name, email) VALUES (?, ?)", ["Ada", "Ada@Example.com"]);
+    await pool.execute("UPDATE users SET email = ? WHERE id = ?", ["John.Doe@Example.com", 1]);
+
+    await migrator.up();
+    const [rows] = await pool.query("SELECT email, deleted_at FROM users WHERE id = 1 OR name = ?", [
+      "Ada",
+    ]);
+    expect(rows).toEqual([
+      { email: "john.doe@example.com", deleted_at: null },
+      { email: "ada@example.com", deleted_at: null },
+    ]);
+  });
+
+  test("returns rows for RETURNING and affectedRows for other writes", async () => {
+    const [[created]] = await pool.execute(
+      "INSERT INTO users (name, email) VALUES (?, ?) RETURNING id",
+      ["Ada", "ada@example.com"]
+    );
+    expect(created.id).toEqual(expect.any(Number));
+
+    const [result] = await pool.execute("UPDATE users SET version = version + 1 WHERE id IN (?)", [
+      [created.id, 1],
+    ]);
+    expect(result).toEqual({ affectedRows: 2 });
+  });
+
+  test("raises unique violations, ignoring email case", async () => {
+    await expect(
+      pool.execute("INSERT INTO users (name, email) VALUES (?, ?)", ["John", "JOHN.DOE@example.com"])
+    ).rejects.toBeInstanceOf(UniqueViolationError);
+  });
+
+  test("keeps emails unique per tenant and tenants referenced", async () => {
+    await pool.execute("INSERT INTO tenants (slug, name) VALUES (?, ?)", ["acme", "Acme"]);
+    await pool.execute("INSERT INTO users (tenant_id, name, email) VALUES (?, ?, ?)", [
+      2,
+      "John",
+      "john.doe@example.com",
+    ]);
+    await expect(
+      pool.execute("INSERT INTO users (tenant_id, name, email) VALUES (?, ?, ?)", [
+        3,
+        "John",
+        "john@example.com",
+      ])
+    ).rejects.toBeInstanceOf(ForeignKeyViolationError);
+  });
+
+  test("stores dates as comparable ISO strings and keeps updated_at current", async () => {
+    const past = new Date(Date.now() - 60000);
+    await pool.execute("UPDATE users SET deleted_at = ?, name = ? WHERE id = ?", [past, "J", 1]);
+    const [[row]] = await pool.query("SELECT * FROM users WHERE deleted_at < ?", [new Date()]);
+    expect(row.deleted_at).toBe(past.toISOString());
+    expect(row.updated_at >= row.created_at).toBe(true);
+  });
+
+  test("queues callers while a transaction holds the connection", async () => {
+    let committed = false;
+    const transaction = withTransaction(pool, async (connection) => {
+      await connection.execute("SELECT * FROM users WHERE id = ? FOR UPDATE", [1]);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      await connection.execute("UPDATE users SET name = ? WHERE id = ?", ["Queued", 1]);
+      committed = true;
+    });
+    expect(pool.stats()).toMatchObject({ active: 1, limit: 1 });
+
+    const [[row]] = await pool.query("SELECT name FROM users WHERE id = ?", [1]);
+    await transaction;
+    expect(committed).toBe(true);
+    expect(row.name).toBe("Queued");
+  });
+
+  test("rolls back failed transactions", async () => {
+    await expect(
+      withTransaction(pool, async (connection) => {
+        await connection.execute("DELETE FROM users");
+        throw new Error("abort");
+      })
+    ).rejects.toThrow("abort");
+    const [[{ count }]] = await pool.query("SELECT COUNT(*) AS count FROM users");
+    expect(count).toBe(5);
+  });
+
+  test("streams rows from a connection", async () => {
+    const connection = await pool.getConnection();
+    const ids = [];
+    for await (const row of connection.stream("SELECT id FROM users ORDER BY id")) {
+      ids.push(row.id);
+    }
+    connection.release();
+    expect(ids).toEqual([1, 2, 3, 4, 5]);
+  });
+});
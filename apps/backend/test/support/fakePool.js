@@ -0,0 +1,56 @@
+const { Readable } = require("stream");
+
+// Stand-in for a database pool (see src/db.js), shaped closely enough
+// for instrumentPool, guardPool and the health checks. Each query is
+// answered by the first handler whose pattern matches its SQL; anything
+// else returns no rows.
+
+function createFakePool() {
+  const handlers = [];
+
+  async function answer(sql, params) {
+    const handler = handlers.find(({ pattern }) => pattern.test(sql));
+    return handler ? handler.respond(params) : [[], []];
+  }
+
+  const connection = {
+    query: answer,
+    execute: answer,
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    release() {},
+    stream: (sql, params) =>
+      Readable.from(
+        (async function* () {
+          const [rows] = await answer(sql, params);
+          yield* rows;
+        })()
+      ),
+    lock: async () => true,
+    unlock: async () => {},
+  };
+
+  return {
+    client: "mariadb",
+    query: answer,
+    execute: answer,
+    getConnection: async () => ({ ...connection }),
+    stats: () => ({ active: 0, idle: 0, queued: 0, limit: 10 }),
+    replicationLag: async () => null,
+    on() {
+      return this;
+    },
+    end: async () => {},
+
+    // Answer SQL matching pattern with respond(params) -> [rows, fields]
+    when(pattern, respond) {
+      handlers.unshift({ pattern, respond });
+    },
+    reset() {
+      handlers.length = 0;
+    },
+  };
+}
+
+module.exports = { createFakePool };
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import {
   AppBar,
   Toolbar,
@@ -19,27 +19,136 @@ import {
   TableContainer,
   TableHead,
   TableRow,
+  TablePagination,
   Paper,
   IconButton,
   Chip,
   Alert,
   CircularProgress,
   Box,
+  Tabs,
+  Tab,
+  Snackbar,
+  Select,
+  MenuItem,
 } from "@mui/material";
 import {
   Add as AddIcon,
   Edit as EditIcon,
   Delete as DeleteIcon,
+  History as HistoryIcon,
+  FileUpload as UploadIcon,
+  FileDownload as DownloadIcon,
   Refresh as RefreshIcon,
-  Health as HealthIcon,
+  RestoreFromTrash as RestoreIcon,
+  MonitorHeart as HealthIcon,
 } from "@mui/icons-material";
 import axios from "axios";
+import api, {
+  API_BASE_URL,
+  createIdempotencyKey,
+  getSession,
+  getTenant,
+  hasRole,
+  logout,
+  onSessionChange,
+  onTenantChange,
+  setTenant,
+  subscribeToEvents,
+} from "./api";
+import LoginPage from "./LoginPage";
+import UserHistoryDrawer from "./UserHistoryDrawer";
+import ImportUsersDialog from "./ImportUsersDialog";
 import "./App.css";
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || "/api";
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
 
-function App() {
+// Chip color for a health state
+const healthColor = (status) =>
+  ({ healthy: "success", degraded: "warning" })[status] || "error";
+
+// One-line summary of a health check's details
+const describeCheck = (check) =>
+  Object.entries(check)
+    .filter(([key]) => key !== "status")
+    .map(([key, value]) =>
+      Array.isArray(value)
+        ? `${key}: ${value.join(", ") || "none"}`
+        : `${key}: ${value}`
+    )
+    .join(" · ");
+
+// Fields of data that differ from the base record
+const changedFields = (base, data) => {
+  const changes = {};
+  Object.keys(data).forEach((field) => {
+    if (data[field] !== base[field]) changes[field] = data[field];
+  });
+  return changes;
+};
+
+// AppBar menu switching the tenant whose users are shown. Accounts
+// pinned to a tenant only see its name.
+function TenantSwitcher({ session }) {
+  const pinned = session.account.tenant;
+  const [tenants, setTenants] = useState([]);
+  const tenant = getTenant();
+
+  useEffect(() => {
+    if (pinned) return;
+    api
+      .get(`${API_BASE_URL}/tenants`)
+      .then((response) => {
+        const available = response.data.data || [];
+        setTenants(available);
+        // Forget a tenant that was deleted meanwhile
+        if (tenant && !available.some(({ slug }) => slug === tenant)) {
+          setTenant(null);
+        }
+      })
+      .catch(() => setTenants([]));
+  }, [pinned, tenant]);
+
+  if (pinned) {
+    return <Typography variant="body2">Tenant: {pinned}</Typography>;
+  }
+
+  return (
+    <Select
+      size="small"
+      value={tenants.length > 0 ? tenant || "" : ""}
+      displayEmpty
+      renderValue={(slug) =>
+        tenants.find((option) => option.slug === slug)?.name ||
+        "Default tenant"
+      }
+      onChange={(e) => setTenant(e.target.value || null)}
+      sx={{
+        minWidth: 160,
+        color: "inherit",
+        bgcolor: "rgba(255, 255, 255, 0.15)",
+      }}
+    >
+      <MenuItem value="">Default tenant</MenuItem>
+      {tenants.map((option) => (
+        <MenuItem key={option.slug} value={option.slug}>
+          {option.name}
+        </MenuItem>
+      ))}
+    </Select>
+  );
+}
+
+function Dashboard({ session }) {
+  const canEdit = hasRole(session, "editor");
   const [users, setUsers] = useState([]);
+  const [totalUsers, setTotalUsers] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [view, setView] = useState("active");
+  const [undoUser, setUndoUser] = useState(null);
+  const [historyUser, setHistoryUser] = useState(null);
+  const [importOpen, setImportOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
@@ -47,14 +156,31 @@ function App() {
   const [dialogOpen, setDialogOpen] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
   const [formData, setFormData] = useState({ name: "", email: "" });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [editingEtag, setEditingEtag] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const saveKey = useRef(null);
 
-  // Fetch users from API
-  const fetchUsers = async () => {
+  // Fetch the current page of users from API
+  const fetchUsers = useCallback(async () => {
     setLoading(true);
     setError(null);
     try {
-      const response = await axios.get(`${API_BASE_URL}/users`);
+      const response = await api.get(`${API_BASE_URL}/users`, {
+        params: {
+          limit: rowsPerPage,
+          offset: page * rowsPerPage,
+          includeDeleted: view === "trash" ? "only" : undefined,
+        },
+      });
+      const total = response.data.total || 0;
+      // Step back when the current page emptied out, e.g. after a delete
+      if (page > 0 && page * rowsPerPage >= total) {
+        setPage(Math.max(Math.ceil(total / rowsPerPage) - 1, 0));
+        return;
+      }
       setUsers(response.data.data || []);
+      setTotalUsers(total);
     } catch (err) {
       setError(
         "Failed to fetch users: " + (err.response?.data?.error || err.message)
@@ -62,7 +188,7 @@ function App() {
     } finally {
       setLoading(false);
     }
-  };
+  }, [page, rowsPerPage, view]);
 
   // Check health status
   const checkHealth = async () => {
@@ -70,32 +196,83 @@ function App() {
       const response = await axios.get("/health");
       setHealthStatus(response.data);
     } catch (err) {
-      setHealthStatus({ status: "unhealthy", error: err.message });
+      // Unhealthy reports arrive as 503 but still carry the breakdown
+      setHealthStatus(
+        err.response?.data?.checks
+          ? err.response.data
+          : { status: "unhealthy", error: err.message }
+      );
     }
   };
 
   // Create or update user
-  const saveUser = async () => {
-    if (!formData.name || !formData.email) {
-      setError("Name and email are required");
+  const saveUser = async ({
+    base = editingUser,
+    etag = editingEtag,
+    data = formData,
+  } = {}) => {
+    const missing = {};
+    if (!data.name.trim()) missing.name = "Name is required";
+    if (!data.email.trim()) missing.email = "Email is required";
+    if (Object.keys(missing).length > 0) {
+      setFieldErrors(missing);
       return;
     }
 
+    // Saving the same data again, e.g. after a network error, reuses the
+    // Idempotency-Key so the server replays instead of applying it twice
+    const request = JSON.stringify([base?.id, etag, data]);
+    if (saveKey.current?.request !== request) {
+      saveKey.current = { request, key: createIdempotencyKey() };
+    }
+    const headers = { "Idempotency-Key": saveKey.current.key };
+
     setLoading(true);
     setError(null);
+    setFieldErrors({});
     try {
-      if (editingUser) {
-        await axios.put(`${API_BASE_URL}/users/${editingUser.id}`, formData);
+      if (base) {
+        // Only send the fields that changed, guarded by the ETag we edited
+        const changes = changedFields(base, data);
+        if (Object.keys(changes).length > 0) {
+          await api.patch(`${API_BASE_URL}/users/${base.id}`, changes, {
+            headers: etag ? { ...headers, "If-Match": etag } : headers,
+          });
+        }
         setSuccess("User updated successfully");
       } else {
-        await axios.post(`${API_BASE_URL}/users`, formData);
+        await api.post(`${API_BASE_URL}/users`, data, { headers });
         setSuccess("User created successfully");
       }
+      saveKey.current = null;
       setDialogOpen(false);
       setEditingUser(null);
+      setEditingEtag(null);
       setFormData({ name: "", email: "" });
       fetchUsers();
     } catch (err) {
+      // Someone else changed the user since we loaded it
+      if (err.response?.status === 412) {
+        setConflict({
+          current: err.response.data.data,
+          etag: err.response.headers.etag,
+          changes: changedFields(base, data),
+        });
+        return;
+      }
+
+      // Show per-field validation errors under the matching inputs
+      const details = err.response?.data?.details || [];
+      const bodyErrors = {};
+      details
+        .filter((detail) => detail.location === "body" && detail.field)
+        .forEach((detail) => {
+          bodyErrors[detail.field] = `${capitalize(detail.field)} ${detail.message}`;
+        });
+      if (Object.keys(bodyErrors).length > 0) {
+        setFieldErrors(bodyErrors);
+        return;
+      }
       setError(
         "Failed to save user: " + (err.response?.data?.error || err.message)
       );
@@ -104,38 +281,108 @@ function App() {
     }
   };
 
-  // Delete user
-  const deleteUser = async (id) => {
-    if (!window.confirm("Are you sure you want to delete this user?")) {
-      return;
+  // Delete user, offering an undo right afterwards
+  const deleteUser = async (user) => {
+    setLoading(true);
+    setError(null);
+    try {
+      await api.delete(`${API_BASE_URL}/users/${user.id}`, {
+        headers: { "Idempotency-Key": createIdempotencyKey() },
+      });
+      setUndoUser(user);
+      fetchUsers();
+    } catch (err) {
+      setError(
+        "Failed to delete user: " + (err.response?.data?.error || err.message)
+      );
+    } finally {
+      setLoading(false);
     }
+  };
 
+  // Restore a deleted user from the trash
+  const restoreUser = async (id) => {
+    setUndoUser(null);
     setLoading(true);
     setError(null);
     try {
-      await axios.delete(`${API_BASE_URL}/users/${id}`);
-      setSuccess("User deleted successfully");
+      await api.post(`${API_BASE_URL}/users/${id}/restore`, null, {
+        headers: { "Idempotency-Key": createIdempotencyKey() },
+      });
+      setSuccess("User restored successfully");
       fetchUsers();
     } catch (err) {
       setError(
-        "Failed to delete user: " + (err.response?.data?.error || err.message)
+        "Failed to restore user: " + (err.response?.data?.error || err.message)
       );
     } finally {
       setLoading(false);
     }
   };
 
+  // Download all users as a CSV or NDJSON file
+  const exportUsers = async (format) => {
+    setError(null);
+    try {
+      const response = await api.get(`${API_BASE_URL}/users/export`, {
+        params: { format },
+        responseType: "blob",
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `users.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError("Failed to export users: " + err.message);
+    }
+  };
+
   // Open edit dialog
-  const openEditDialog = (user) => {
-    setEditingUser(user);
-    setFormData({ name: user.name, email: user.email });
-    setDialogOpen(true);
+  const openEditDialog = async (user) => {
+    setLoading(true);
+    setError(null);
+    try {
+      // Load the latest version so the update can send its ETag
+      const response = await api.get(`${API_BASE_URL}/users/${user.id}`);
+      const latest = response.data.data;
+      setEditingUser(latest);
+      setEditingEtag(response.headers.etag || null);
+      setFormData({ name: latest.name, email: latest.email });
+      setFieldErrors({});
+      setDialogOpen(true);
+    } catch (err) {
+      setError(
+        "Failed to load user: " + (err.response?.data?.error || err.message)
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Resolve an edit conflict by keeping the other change or overwriting it
+  const resolveConflict = (overwrite) => {
+    const { current, etag, changes } = conflict;
+    const data = {
+      name: current.name,
+      email: current.email,
+      ...(overwrite ? changes : {}),
+    };
+    setConflict(null);
+    setEditingUser(current);
+    setEditingEtag(etag);
+    setFormData(data);
+    if (overwrite) {
+      saveUser({ base: current, etag, data });
+    }
   };
 
   // Open create dialog
   const openCreateDialog = () => {
     setEditingUser(null);
     setFormData({ name: "", email: "" });
+    setFieldErrors({});
     setDialogOpen(true);
   };
 
@@ -143,12 +390,15 @@ function App() {
   const closeDialog = () => {
     setDialogOpen(false);
     setEditingUser(null);
+    setEditingEtag(null);
     setFormData({ name: "", email: "" });
+    setFieldErrors({});
   };
 
   // Handle form input changes
   const handleInputChange = (field, value) => {
     setFormData((prev) => ({ ...prev, [field]: value }));
+    setFieldErrors((prev) => ({ ...prev, [field]: undefined }));
   };
 
   // Clear messages
@@ -157,9 +407,47 @@ function App() {
     setSuccess(null);
   };
 
-  // Load data on component mount
+  // Load the current page whenever paging changes
   useEffect(() => {
     fetchUsers();
+  }, [fetchUsers]);
+
+  // Apply change events from other operators live. Updates are patched in
+  // place; anything that changes membership of the page refetches it.
+  const fetchUsersRef = useRef(fetchUsers);
+  fetchUsersRef.current = fetchUsers;
+  useEffect(() => {
+    let refetchTimer = null;
+    const refetch = () => {
+      clearTimeout(refetchTimer);
+      refetchTimer = setTimeout(() => fetchUsersRef.current(), 300);
+    };
+
+    const stop = subscribeToEvents((event) => {
+      if (event.type === "user.updated") {
+        setUsers((current) =>
+          current.map((user) =>
+            user.id === event.data.id ? event.data : user
+          )
+        );
+      } else if (event.type === "user.deleted") {
+        setUsers((current) =>
+          current.filter((user) => user.id !== event.data.id)
+        );
+        refetch();
+      } else {
+        refetch();
+      }
+    });
+
+    return () => {
+      stop();
+      clearTimeout(refetchTimer);
+    };
+  }, []);
+
+  // Check health on component mount
+  useEffect(() => {
     checkHealth();
 
     // Set up periodic health checks
@@ -184,10 +472,14 @@ function App() {
             k3s GitOps Platform - Sample App
           </Typography>
           <Box sx={{ display: "flex", alignItems: "center", gap: 2 }}>
+            <TenantSwitcher session={session} />
+            <Typography variant="body2">
+              {session.account.username} ({session.account.role})
+            </Typography>
             <Chip
               icon={<HealthIcon />}
               label={healthStatus?.status || "Unknown"}
-              color={healthStatus?.status === "healthy" ? "success" : "error"}
+              color={healthColor(healthStatus?.status)}
               variant="outlined"
               size="small"
             />
@@ -202,6 +494,9 @@ function App() {
             >
               Refresh
             </Button>
+            <Button color="inherit" onClick={logout}>
+              Logout
+            </Button>
           </Box>
         </Toolbar>
       </AppBar>
@@ -238,13 +533,30 @@ function App() {
                         ? Math.floor(healthStatus.uptime) + "s"
                         : "N/A"}
                     </Typography>
-                    <Typography variant="body2" color="text.secondary">
-                      Database:{" "}
-                      <strong>{healthStatus.database || "Unknown"}</strong>
-                    </Typography>
                     <Typography variant="body2" color="text.secondary">
                       Version: {healthStatus.version || "N/A"}
                     </Typography>
+                    {Object.entries(healthStatus.checks || {}).map(
+                      ([name, check]) => (
+                        <Box
+                          key={name}
+                          sx={{ display: "flex", alignItems: "center", gap: 1, mt: 1 }}
+                        >
+                          <Chip
+                            label={check.status}
+                            color={healthColor(check.status)}
+                            variant="outlined"
+                            size="small"
+                          />
+                          <Typography variant="body2">
+                            <strong>{capitalize(name)}</strong>
+                          </Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {describeCheck(check)}
+                          </Typography>
+                        </Box>
+                      )
+                    )}
                   </Box>
                 ) : (
                   <CircularProgress size={20} />
@@ -259,16 +571,47 @@ function App() {
                   User Management
                 </Typography>
                 <Typography variant="body2" color="text.secondary" gutterBottom>
-                  Total Users: {users.length}
+                  {view === "trash" ? "Deleted Users" : "Total Users"}:{" "}
+                  {totalUsers}
                 </Typography>
-                <Button
-                  variant="contained"
-                  startIcon={<AddIcon />}
-                  onClick={openCreateDialog}
-                  disabled={loading}
-                >
-                  Add User
-                </Button>
+                <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1 }}>
+                  {canEdit && (
+                    <Button
+                      variant="contained"
+                      startIcon={<AddIcon />}
+                      onClick={openCreateDialog}
+                      disabled={loading}
+                    >
+                      Add User
+                    </Button>
+                  )}
+                  {canEdit && (
+                    <Button
+                      variant="outlined"
+                      startIcon={<UploadIcon />}
+                      onClick={() => setImportOpen(true)}
+                      disabled={loading}
+                    >
+                      Import
+                    </Button>
+                  )}
+                  <Button
+                    variant="outlined"
+                    startIcon={<DownloadIcon />}
+                    onClick={() => exportUsers("csv")}
+                    disabled={loading}
+                  >
+                    Export CSV
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    startIcon={<DownloadIcon />}
+                    onClick={() => exportUsers("ndjson")}
+                    disabled={loading}
+                  >
+                    Export NDJSON
+                  </Button>
+                </Box>
               </CardContent>
             </Card>
           </Grid>
@@ -280,6 +623,17 @@ function App() {
             <Typography variant="h6" gutterBottom>
               Users
             </Typography>
+            <Tabs
+              value={view}
+              onChange={(e, newView) => {
+                setView(newView);
+                setPage(0);
+              }}
+              sx={{ mb: 2 }}
+            >
+              <Tab label="Users" value="active" />
+              <Tab label="Trash" value="trash" />
+            </Tabs>
             {loading && users.length === 0 ? (
               <Box display="flex" justifyContent="center" p={3}>
                 <CircularProgress />
@@ -292,8 +646,10 @@ function App() {
                       <TableCell>ID</TableCell>
                       <TableCell>Name</TableCell>
                       <TableCell>Email</TableCell>
-                      <TableCell>Created</TableCell>
-                      <TableCell align="right">Actions</TableCell>
+                      <TableCell>
+                        {view === "trash" ? "Deleted" : "Created"}
+                      </TableCell>
+                      {canEdit && <TableCell align="right">Actions</TableCell>}
                     </TableRow>
                   </TableHead>
                   <TableBody>
@@ -303,36 +659,74 @@ function App() {
                         <TableCell>{user.name}</TableCell>
                         <TableCell>{user.email}</TableCell>
                         <TableCell>
-                          {new Date(user.created_at).toLocaleDateString()}
-                        </TableCell>
-                        <TableCell align="right">
-                          <IconButton
-                            size="small"
-                            onClick={() => openEditDialog(user)}
-                            disabled={loading}
-                          >
-                            <EditIcon />
-                          </IconButton>
-                          <IconButton
-                            size="small"
-                            onClick={() => deleteUser(user.id)}
-                            disabled={loading}
-                            color="error"
-                          >
-                            <DeleteIcon />
-                          </IconButton>
+                          {new Date(
+                            view === "trash" ? user.deleted_at : user.created_at
+                          ).toLocaleDateString()}
                         </TableCell>
+                        {canEdit && (
+                          <TableCell align="right">
+                            <IconButton
+                              size="small"
+                              onClick={() => setHistoryUser(user)}
+                              title="History"
+                            >
+                              <HistoryIcon />
+                            </IconButton>
+                            {view === "trash" ? (
+                              <IconButton
+                                size="small"
+                                onClick={() => restoreUser(user.id)}
+                                disabled={loading}
+                                title="Restore"
+                              >
+                                <RestoreIcon />
+                              </IconButton>
+                            ) : (
+                              <>
+                                <IconButton
+                                  size="small"
+                                  onClick={() => openEditDialog(user)}
+                                  disabled={loading}
+                                >
+                                  <EditIcon />
+                                </IconButton>
+                                <IconButton
+                                  size="small"
+                                  onClick={() => deleteUser(user)}
+                                  disabled={loading}
+                                  color="error"
+                                >
+                                  <DeleteIcon />
+                                </IconButton>
+                              </>
+                            )}
+                          </TableCell>
+                        )}
                       </TableRow>
                     ))}
                     {users.length === 0 && !loading && (
                       <TableRow>
-                        <TableCell colSpan={5} align="center">
-                          No users found
+                        <TableCell colSpan={canEdit ? 5 : 4} align="center">
+                          {view === "trash"
+                            ? "Trash is empty"
+                            : "No users found"}
                         </TableCell>
                       </TableRow>
                     )}
                   </TableBody>
                 </Table>
+                <TablePagination
+                  component="div"
+                  count={totalUsers}
+                  page={page}
+                  onPageChange={(e, newPage) => setPage(newPage)}
+                  rowsPerPage={rowsPerPage}
+                  onRowsPerPageChange={(e) => {
+                    setRowsPerPage(parseInt(e.target.value, 10));
+                    setPage(0);
+                  }}
+                  rowsPerPageOptions={[10, 25, 50, 100]}
+                />
               </TableContainer>
             )}
           </CardContent>
@@ -351,6 +745,9 @@ function App() {
             variant="outlined"
             value={formData.name}
             onChange={(e) => handleInputChange("name", e.target.value)}
+            error={Boolean(fieldErrors.name)}
+            helperText={fieldErrors.name}
+            inputProps={{ maxLength: 100 }}
             sx={{ mb: 2 }}
           />
           <TextField
@@ -361,13 +758,20 @@ function App() {
             variant="outlined"
             value={formData.email}
             onChange={(e) => handleInputChange("email", e.target.value)}
+            error={Boolean(fieldErrors.email)}
+            helperText={fieldErrors.email}
+            inputProps={{ maxLength: 100 }}
           />
         </DialogContent>
         <DialogActions>
           <Button onClick={closeDialog} disabled={loading}>
             Cancel
           </Button>
-          <Button onClick={saveUser} variant="contained" disabled={loading}>
+          <Button
+            onClick={() => saveUser()}
+            variant="contained"
+            disabled={loading}
+          >
             {loading ? (
               <CircularProgress size={20} />
             ) : editingUser ? (
@@ -378,8 +782,103 @@ function App() {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Import Users Dialog */}
+      <ImportUsersDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImported={fetchUsers}
+      />
+
+      {/* User History Drawer */}
+      <UserHistoryDrawer
+        user={historyUser}
+        onClose={() => setHistoryUser(null)}
+      />
+
+      {/* Undo Delete Snackbar */}
+      <Snackbar
+        open={Boolean(undoUser)}
+        autoHideDuration={6000}
+        onClose={(e, reason) => {
+          if (reason !== "clickaway") setUndoUser(null);
+        }}
+        message={undoUser ? `Deleted ${undoUser.name}` : ""}
+        action={
+          <Button
+            color="secondary"
+            size="small"
+            onClick={() => restoreUser(undoUser.id)}
+          >
+            Undo
+          </Button>
+        }
+      />
+
+      {/* Edit Conflict Dialog */}
+      <Dialog open={Boolean(conflict)} onClose={() => setConflict(null)}>
+        <DialogTitle>User changed by someone else</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" gutterBottom>
+            This user was updated while you were editing it.
+          </Typography>
+          {conflict && (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell />
+                  <TableCell>Their version</TableCell>
+                  <TableCell>Your changes</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {["name", "email"].map((field) => (
+                  <TableRow key={field}>
+                    <TableCell>{capitalize(field)}</TableCell>
+                    <TableCell>{conflict.current[field]}</TableCell>
+                    <TableCell>
+                      {field in conflict.changes
+                        ? conflict.changes[field]
+                        : "(unchanged)"}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => resolveConflict(false)} disabled={loading}>
+            Keep theirs
+          </Button>
+          <Button
+            onClick={() => resolveConflict(true)}
+            variant="contained"
+            color="warning"
+            disabled={loading}
+          >
+            Overwrite with mine
+          </Button>
+        </DialogActions>
+      </Dialog>
     </div>
   );
 }
 
+// Show the login page until there is a session. Switching tenants
+// remounts the dashboard, so nothing of the previous tenant stays.
+function App() {
+  const [session, setSession] = useState(getSession);
+  const [tenant, setCurrentTenant] = useState(getTenant);
+
+  useEffect(() => onSessionChange(setSession), []);
+  useEffect(() => onTenantChange(setCurrentTenant), []);
+
+  return session ? (
+    <Dashboard key={tenant || ""} session={session} />
+  ) : (
+    <LoginPage />
+  );
+}
+
 export default App;
@@ -0,0 +1,176 @@
+import React, { useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  MenuItem,
+  Select,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+import api, { API_BASE_URL, createIdempotencyKey } from "./api";
+
+// Content type for an import file, by extension
+const contentTypeOf = (file) =>
+  /\.(ndjson|jsonl)$/i.test(file.name) ? "application/x-ndjson" : "text/csv";
+
+const describeResult = (result) =>
+  result.errors
+    ? result.errors
+        .map((error) => `${error.field || "row"} ${error.message}`)
+        .join("; ")
+    : result.reason || "";
+
+// Dialog to upload a CSV or NDJSON file of users
+function ImportUsersDialog({ open, onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [onConflict, setOnConflict] = useState("skip");
+  const [dryRun, setDryRun] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const close = () => {
+    setFile(null);
+    setReport(null);
+    setError(null);
+    setDryRun(true);
+    onClose();
+  };
+
+  const submit = async () => {
+    setLoading(true);
+    setError(null);
+    setReport(null);
+    try {
+      const response = await api.post(`${API_BASE_URL}/users/import`, file, {
+        params: { dryRun, onConflict },
+        headers: {
+          "Content-Type": contentTypeOf(file),
+          "Idempotency-Key": createIdempotencyKey(),
+        },
+      });
+      setReport(response.data.data);
+      if (!dryRun) onImported();
+    } catch (err) {
+      setError(
+        "Failed to import users: " + (err.response?.data?.error || err.message)
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const problems = (report?.results || []).filter(
+    (result) => result.status === "invalid" || result.status === "skipped"
+  );
+
+  return (
+    <Dialog open={open} onClose={close} maxWidth="sm" fullWidth>
+      <DialogTitle>Import Users</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Box sx={{ display: "flex", flexDirection: "column", gap: 2, mt: 1 }}>
+          <Button variant="outlined" component="label">
+            {file ? file.name : "Choose CSV or NDJSON file"}
+            <input
+              type="file"
+              hidden
+              accept=".csv,.ndjson,.jsonl,text/csv,application/x-ndjson"
+              onChange={(e) => {
+                setFile(e.target.files[0] || null);
+                setReport(null);
+              }}
+            />
+          </Button>
+          <FormControl fullWidth size="small">
+            <InputLabel id="import-conflict-label">Existing emails</InputLabel>
+            <Select
+              labelId="import-conflict-label"
+              label="Existing emails"
+              value={onConflict}
+              onChange={(e) => setOnConflict(e.target.value)}
+            >
+              <MenuItem value="skip">Skip duplicates</MenuItem>
+              <MenuItem value="upsert">Update by email</MenuItem>
+            </Select>
+          </FormControl>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={dryRun}
+                onChange={(e) => setDryRun(e.target.checked)}
+              />
+            }
+            label="Dry run (validate without saving)"
+          />
+        </Box>
+        {report && (
+          <Box sx={{ mt: 2 }}>
+            <Alert severity={problems.length ? "warning" : "success"}>
+              {report.dryRun ? "Dry run: " : "Imported: "}
+              {Object.entries(report.summary)
+                .map(([status, count]) => `${count} ${status}`)
+                .join(", ") || "no rows"}
+            </Alert>
+            {problems.length > 0 && (
+              <Table size="small" sx={{ mt: 1 }}>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Row</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Details</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {problems.map((result) => (
+                    <TableRow key={result.row}>
+                      <TableCell>{result.row}</TableCell>
+                      <TableCell>{result.status}</TableCell>
+                      <TableCell>
+                        <Typography variant="body2">
+                          {describeResult(result)}
+                        </Typography>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={close} disabled={loading}>
+          Close
+        </Button>
+        <Button
+          onClick={submit}
+          variant="contained"
+          disabled={loading || !file}
+        >
+          {loading ? <CircularProgress size={20} /> : dryRun ? "Validate" : "Import"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ImportUsersDialog;
@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  Container,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { login } from "./api";
+
+function LoginPage() {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      await login(username, password);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="xs" sx={{ mt: 12 }}>
+      <Card>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            k3s GitOps Platform - Sign in
+          </Typography>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <Box component="form" onSubmit={submit}>
+            <TextField
+              autoFocus
+              margin="dense"
+              label="Username"
+              fullWidth
+              variant="outlined"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+            />
+            <TextField
+              margin="dense"
+              label="Password"
+              type="password"
+              fullWidth
+              variant="outlined"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              sx={{ mb: 2 }}
+            />
+            <Button
+              type="submit"
+              variant="contained"
+              fullWidth
+              disabled={loading || !username || !password}
+            >
+              {loading ? <CircularProgress size={20} /> : "Sign in"}
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+    </Container>
+  );
+}
+
+export default LoginPage;
@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from "react";
+import {
+  Alert,
+  Box,
+  Chip,
+  CircularProgress,
+  Divider,
+  Drawer,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+} from "@mui/material";
+import api, { API_BASE_URL } from "./api";
+
+// Fields that change on every write and only add noise to the history
+const HIDDEN_FIELDS = ["updated_at", "version"];
+
+const ACTION_COLORS = {
+  create: "success",
+  update: "info",
+  delete: "error",
+  restore: "warning",
+};
+
+const formatValue = (value) =>
+  value === null || value === undefined ? "—" : String(value);
+
+// Side drawer listing the audit trail of one user
+function UserHistoryDrawer({ user, onClose }) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!user) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    api
+      .get(`${API_BASE_URL}/audit`, {
+        params: { entityType: "user", entityId: user.id, limit: 100 },
+      })
+      .then((response) => {
+        if (!cancelled) setEvents(response.data.data || []);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(
+            "Failed to fetch history: " +
+              (err.response?.data?.error || err.message)
+          );
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  return (
+    <Drawer anchor="right" open={Boolean(user)} onClose={onClose}>
+      <Box sx={{ width: 400, p: 2 }}>
+        <Typography variant="h6" gutterBottom>
+          History: {user?.name}
+        </Typography>
+        {error && <Alert severity="error">{error}</Alert>}
+        {loading ? (
+          <Box display="flex" justifyContent="center" p={3}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <List dense>
+            {events.map((event) => (
+              <React.Fragment key={event.id}>
+                <ListItem alignItems="flex-start">
+                  <ListItemText
+                    primary={
+                      <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+                        <Chip
+                          label={event.action}
+                          color={ACTION_COLORS[event.action] || "default"}
+                          size="small"
+                        />
+                        <Typography variant="body2">
+                          {event.actor || "system"} ·{" "}
+                          {new Date(event.createdAt).toLocaleString()}
+                        </Typography>
+                      </Box>
+                    }
+                    secondary={Object.entries(event.changes || {})
+                      .filter(([field]) => !HIDDEN_FIELDS.includes(field))
+                      .map(
+                        ([field, change]) =>
+                          `${field}: ${formatValue(change.from)} → ${formatValue(
+                            change.to
+                          )}`
+                      )
+                      .join("\n")}
+                    secondaryTypographyProps={{ sx: { whiteSpace: "pre-line" } }}
+                  />
+                </ListItem>
+                <Divider component="li" />
+              </React.Fragment>
+            ))}
+            {events.length === 0 && !error && (
+              <ListItem>
+                <ListItemText primary="No history recorded" />
+              </ListItem>
+            )}
+          </List>
+        )}
+      </Box>
+    </Drawer>
+  );
+}
+
+export default UserHistoryDrawer;
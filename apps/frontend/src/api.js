@@ -0,0 +1,242 @@
+import axios from "axios";
+
+export const API_BASE_URL = process.env.REACT_APP_API_URL || "/api";
+
+// Roles in increasing order of privilege, matching the backend
+const ROLES = ["viewer", "editor", "admin"];
+const SESSION_KEY = "session";
+const TENANT_KEY = "tenant";
+const listeners = new Set();
+const tenantListeners = new Set();
+
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (err) {
+    return null;
+  }
+};
+
+const setSession = (session) => {
+  if (session) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } else {
+    localStorage.removeItem(SESSION_KEY);
+  }
+  listeners.forEach((listener) => listener(session));
+};
+
+// Subscribe to login/logout; returns an unsubscribe function
+export const onSessionChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Tenant chosen in the switcher, sent as X-Tenant. Accounts pinned to a
+// tenant carry it in their token instead.
+export const getTenant = () => localStorage.getItem(TENANT_KEY);
+
+export const setTenant = (slug) => {
+  if (slug) {
+    localStorage.setItem(TENANT_KEY, slug);
+  } else {
+    localStorage.removeItem(TENANT_KEY);
+  }
+  tenantListeners.forEach((listener) => listener(slug));
+};
+
+// Subscribe to tenant switches; returns an unsubscribe function
+export const onTenantChange = (listener) => {
+  tenantListeners.add(listener);
+  return () => tenantListeners.delete(listener);
+};
+
+const tenantHeaders = () => {
+  const tenant = getTenant();
+  return tenant && !getSession()?.account?.tenant ? { "X-Tenant": tenant } : {};
+};
+
+export const hasRole = (session, role) =>
+  ROLES.indexOf(session?.account?.role) >= ROLES.indexOf(role);
+
+const randomHex = (bytes) =>
+  Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+
+// Random key for the Idempotency-Key header. crypto.randomUUID is only
+// available in secure contexts, so fall back to getRandomValues over HTTP.
+export const createIdempotencyKey = () =>
+  crypto.randomUUID ? crypto.randomUUID() : randomHex(16);
+
+// W3C traceparent starting a new sampled trace, so the backend's spans
+// for this request share one trace ID with the browser call
+const createTraceparent = () => `00-${randomHex(16)}-${randomHex(8)}-01`;
+
+// Axios instance for authenticated API calls
+const api = axios.create();
+
+// Time of this tab's last write as stamped by the backend. Echoing it back
+// keeps reads on the primary database until replicas have caught up.
+let lastWrite = null;
+
+api.interceptors.request.use((config) => {
+  config.headers.traceparent = createTraceparent();
+  if (lastWrite) {
+    config.headers["X-Last-Write"] = lastWrite;
+  }
+  const session = getSession();
+  if (session?.accessToken) {
+    config.headers.Authorization = `Bearer ${session.accessToken}`;
+  }
+  Object.assign(config.headers, tenantHeaders());
+  return config;
+});
+
+// Concurrent 401s share a single refresh request
+let refreshing = null;
+const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = axios
+      .post(`${API_BASE_URL}/auth/refresh`, {
+        refreshToken: getSession()?.refreshToken,
+      })
+      .then((response) => setSession(response.data.data))
+      .catch((err) => {
+        setSession(null);
+        throw err;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// Retry a request once with a fresh access token when it gets a 401, and
+// once more when a request carrying an Idempotency-Key never got a response
+api.interceptors.response.use(
+  (response) => {
+    if (response.headers["x-last-write"]) {
+      lastWrite = response.headers["x-last-write"];
+    }
+    return response;
+  },
+  async (error) => {
+    const { config, response } = error;
+    if (
+      !response &&
+      config?.headers?.["Idempotency-Key"] &&
+      !config.retriedAfterNetworkError
+    ) {
+      config.retriedAfterNetworkError = true;
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      return api(config);
+    }
+    if (
+      response?.status === 401 &&
+      config &&
+      !config.retriedAfterRefresh &&
+      getSession()?.refreshToken
+    ) {
+      config.retriedAfterRefresh = true;
+      await refreshSession();
+      return api(config);
+    }
+    return Promise.reject(error);
+  }
+);
+
+export const login = async (username, password) => {
+  const response = await axios.post(`${API_BASE_URL}/auth/login`, {
+    username,
+    password,
+  });
+  setSession(response.data.data);
+  return response.data.data;
+};
+
+export const logout = async () => {
+  const session = getSession();
+  setSession(null);
+  if (session?.refreshToken) {
+    await axios
+      .post(`${API_BASE_URL}/auth/logout`, {
+        refreshToken: session.refreshToken,
+      })
+      .catch(() => {});
+  }
+};
+
+// Stream the current tenant's user change events from /api/events,
+// reconnecting with backoff. fetch is used instead of EventSource so the
+// access token and tenant can be sent as headers. Returns a function that
+// stops the stream.
+export const subscribeToEvents = (onEvent) => {
+  const controller = new AbortController();
+  let retryDelay = 1000;
+
+  const dispatch = (frame) => {
+    const data = frame
+      .split("\n")
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).trim())
+      .join("\n");
+    if (!data) return;
+    try {
+      onEvent(JSON.parse(data));
+    } catch (err) {
+      // Ignore malformed frames
+    }
+  };
+
+  const connect = async () => {
+    const response = await fetch(`${API_BASE_URL}/events`, {
+      headers: {
+        Accept: "text/event-stream",
+        Authorization: `Bearer ${getSession()?.accessToken}`,
+        ...tenantHeaders(),
+      },
+      signal: controller.signal,
+    });
+    if (response.status === 401 && getSession()?.refreshToken) {
+      await refreshSession();
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(`Event stream failed with status ${response.status}`);
+    }
+
+    retryDelay = 1000;
+    const reader = response.body
+      .pipeThrough(new TextDecoderStream())
+      .getReader();
+    let buffer = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += value.replace(/\r\n?/g, "\n");
+      const frames = buffer.split("\n\n");
+      buffer = frames.pop();
+      frames.forEach(dispatch);
+    }
+  };
+
+  const run = async () => {
+    while (!controller.signal.aborted && getSession()) {
+      try {
+        await connect();
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        const delay = retryDelay;
+        retryDelay = Math.min(retryDelay * 2, 30000);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  };
+  run();
+
+  return () => controller.abort();
+};
+
+export default api;